@@ -23,7 +23,14 @@ export default [
         ...js.configs.recommended.languageOptions?.globals,
         fetch: "readonly",
         Response: "readonly",
+        Request: "readonly",
         setTimeout: "readonly",
+        clearTimeout: "readonly",
+        crypto: "readonly",
+        atob: "readonly",
+        btoa: "readonly",
+        AbortSignal: "readonly",
+        AbortController: "readonly",
       },
     },
     plugins: { "@typescript-eslint": tseslint },
@@ -52,7 +59,14 @@ export default [
       globals: {
         fetch: "readonly",
         Response: "readonly",
+        Request: "readonly",
         setTimeout: "readonly",
+        clearTimeout: "readonly",
+        crypto: "readonly",
+        atob: "readonly",
+        btoa: "readonly",
+        AbortSignal: "readonly",
+        AbortController: "readonly",
       },
     },
     plugins: { "@typescript-eslint": tseslint },
@@ -0,0 +1,194 @@
+/**
+ * Ambulatory Glucose Profile (AGP): readings folded onto a 24-hour local clock
+ * with 5/25/50/75/95th percentile curves, plus a standalone SVG chart.
+ */
+
+import { GLUCOSE_MAX_MG_DL, GLUCOSE_MIN_MG_DL } from "./constants";
+import { ArgumentError, DexcomErrorCode } from "./errors";
+import type { GlucoseReading } from "./glucoseReading";
+import type { GlucoseUnit } from "./types";
+import { toMmolL } from "./util";
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export interface AgpOptions {
+  /** Time slot width in minutes; must divide 1440 (default 15). */
+  slotMinutes?: number;
+  /**
+   * Fold all readings using this UTC offset in minutes. By default each reading
+   * uses its own `timezone`, i.e. the patient's local time when it was taken.
+   */
+  utcOffsetMinutes?: number;
+}
+
+/** Percentiles in mg/dL for one time slot (null when the slot has no data). */
+export interface AgpSlot {
+  /** Slot start, minutes after local midnight. */
+  minute: number;
+  count: number;
+  p5: number | null;
+  p25: number | null;
+  p50: number | null;
+  p75: number | null;
+  p95: number | null;
+}
+
+export interface AgpProfile {
+  slotMinutes: number;
+  /** Number of distinct local days covered. */
+  days: number;
+  count: number;
+  slots: AgpSlot[];
+}
+
+/** Percentile with linear interpolation between closest ranks. */
+function percentile(sorted: number[], p: number): number {
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  const a = sorted[lo]!;
+  const b = sorted[hi]!;
+  return Math.round((a + (b - a) * (idx - lo)) * 10) / 10;
+}
+
+/**
+ * Compute the AGP percentile curves for multi-day readings.
+ * @throws ArgumentError unless `slotMinutes` is a positive integer dividing 1440
+ */
+export function ambulatoryGlucoseProfile(
+  readings: readonly GlucoseReading[],
+  options: AgpOptions = {},
+): AgpProfile {
+  const { slotMinutes = 15, utcOffsetMinutes } = options;
+  if (!Number.isInteger(slotMinutes) || slotMinutes <= 0 || MINUTES_PER_DAY % slotMinutes !== 0) {
+    throw new ArgumentError(DexcomErrorCode.AGP_SLOT_INVALID);
+  }
+  const slotCount = MINUTES_PER_DAY / slotMinutes;
+
+  const bins: number[][] = Array.from({ length: slotCount }, () => []);
+  const days = new Set<number>();
+  const seen = new Set<number>();
+
+  for (const r of readings) {
+    const t = r.datetime.getTime();
+    if (seen.has(t)) continue;
+    seen.add(t);
+    const offset = utcOffsetMinutes ?? r.utcOffsetMinutes;
+    const localMinutes = Math.floor(t / 60_000) + offset;
+    const minuteOfDay = ((localMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    days.add(Math.floor(localMinutes / MINUTES_PER_DAY));
+    bins[Math.floor(minuteOfDay / slotMinutes)]!.push(r.mgDl);
+  }
+
+  const slots = bins.map((values, i): AgpSlot => {
+    const sorted = values.sort((a, b) => a - b);
+    const pct = (p: number): number | null => (sorted.length ? percentile(sorted, p) : null);
+    return {
+      minute: i * slotMinutes,
+      count: sorted.length,
+      p5: pct(0.05),
+      p25: pct(0.25),
+      p50: pct(0.5),
+      p75: pct(0.75),
+      p95: pct(0.95),
+    };
+  });
+
+  return { slotMinutes, days: days.size, count: seen.size, slots };
+}
+
+export interface AgpSvgOptions {
+  width?: number;
+  height?: number;
+  /** Axis label units (default "mg/dL"). */
+  units?: GlucoseUnit;
+  /** Target range shading in mg/dL (default [70, 180]). */
+  targetRange?: [number, number];
+  title?: string;
+}
+
+const escapeXml = (s: string): string =>
+  s.replace(
+    /[<>&"']/g,
+    (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]!,
+  );
+
+/** Render an AGP as a standalone SVG document (no DOM required). */
+export function renderAgpSvg(profile: AgpProfile, options: AgpSvgOptions = {}): string {
+  const { width = 800, height = 300, units = "mg/dL", targetRange = [70, 180], title } = options;
+  const pad = { top: title ? 30 : 10, right: 10, bottom: 24, left: 40 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+
+  const x = (minute: number): number => pad.left + (minute / MINUTES_PER_DAY) * plotW;
+  const y = (mgDl: number): number => {
+    const v = Math.min(GLUCOSE_MAX_MG_DL, Math.max(GLUCOSE_MIN_MG_DL, mgDl));
+    return (
+      pad.top + (1 - (v - GLUCOSE_MIN_MG_DL) / (GLUCOSE_MAX_MG_DL - GLUCOSE_MIN_MG_DL)) * plotH
+    );
+  };
+  const f = (n: number): string => n.toFixed(1);
+  const mid = profile.slotMinutes / 2;
+
+  // Contiguous runs of slots with data; empty slots break the curves.
+  const runs: AgpSlot[][] = [];
+  let run: AgpSlot[] = [];
+  for (const s of profile.slots) {
+    if (s.count) run.push(s);
+    else if (run.length) {
+      runs.push(run);
+      run = [];
+    }
+  }
+  if (run.length) runs.push(run);
+
+  type Curve = "p5" | "p25" | "p75" | "p95";
+  const band = (lo: Curve, hi: Curve, cls: string): string =>
+    runs
+      .map((r) => {
+        const upper = r.map((s) => `${f(x(s.minute + mid))},${f(y(s[hi]!))}`);
+        const lower = r.map((s) => `${f(x(s.minute + mid))},${f(y(s[lo]!))}`).reverse();
+        return `<polygon class="${cls}" points="${[...upper, ...lower].join(" ")}"/>`;
+      })
+      .join("");
+  const median = runs
+    .map(
+      (r) =>
+        `<polyline class="p50" points="${r.map((s) => `${f(x(s.minute + mid))},${f(y(s.p50!))}`).join(" ")}"/>`,
+    )
+    .join("");
+
+  const label = (mgDl: number): string =>
+    units === "mmol/L" ? toMmolL(mgDl).toFixed(1) : String(mgDl);
+  const yTicks = [54, targetRange[0], targetRange[1], 250]
+    .map(
+      (v) =>
+        `<line class="grid" x1="${pad.left}" x2="${width - pad.right}" y1="${f(y(v))}" y2="${f(y(v))}"/>` +
+        `<text class="axis" x="${pad.left - 4}" y="${f(y(v) + 4)}" text-anchor="end">${label(v)}</text>`,
+    )
+    .join("");
+  const xTicks = Array.from({ length: 9 }, (_, i) => i * 180)
+    .map(
+      (m) =>
+        `<text class="axis" x="${f(x(m))}" y="${height - 6}" text-anchor="middle">${String(m / 60).padStart(2, "0")}:00</text>`,
+    )
+    .join("");
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    "<style>",
+    ".target{fill:#e6f4ea}.p5-95{fill:#aec7e8}.p25-75{fill:#5b8ec9}",
+    ".p50{fill:none;stroke:#1f3f73;stroke-width:2}.grid{stroke:#ccc;stroke-dasharray:2 2}",
+    ".axis{font:10px sans-serif;fill:#555}.title{font:bold 12px sans-serif}",
+    "</style>",
+    title ? `<text class="title" x="${pad.left}" y="18">${escapeXml(title)}</text>` : "",
+    `<rect class="target" x="${pad.left}" y="${f(y(targetRange[1]))}" width="${plotW}" height="${f(y(targetRange[0]) - y(targetRange[1]))}"/>`,
+    yTicks,
+    band("p5", "p95", "p5-95"),
+    band("p25", "p75", "p25-75"),
+    median,
+    xTicks,
+    `<text class="axis" x="4" y="${pad.top + 8}">${units}</text>`,
+    "</svg>",
+  ].join("");
+}
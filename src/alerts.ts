@@ -0,0 +1,179 @@
+/**
+ * Threshold alert engine for glucose readings.
+ */
+
+import type { GlucoseReading } from "./glucoseReading";
+import type { GlucoseUnit } from "./types";
+import { toMgDl } from "./util";
+
+export type AlertType =
+  | "urgentLow"
+  | "low"
+  | "high"
+  | "risingFast"
+  | "fallingFast"
+  | "stale"
+  | "inRange";
+
+export interface AlertEvent {
+  type: AlertType;
+  /** Reading that triggered the alert (absent for `stale`). */
+  reading?: GlucoseReading;
+  /** Reading time, or the check time for `stale`. */
+  at: Date;
+}
+
+export type AlertListener = (event: AlertEvent) => void;
+
+export interface AlertOptions {
+  /** Units of the thresholds and hysteresis below (default "mg/dL"). */
+  units?: GlucoseUnit;
+  /** Urgent low below this value (default 55 mg/dL). */
+  urgentLow?: number;
+  /** Low below this value (default 70 mg/dL). */
+  low?: number;
+  /** High above this value (default 180 mg/dL). */
+  high?: number;
+  /** Margin a value must clear to leave a low/high state (default 5 mg/dL). */
+  hysteresis?: number;
+  /** Trend directions reported as `risingFast` (default ["DoubleUp"]). */
+  risingTrends?: string[];
+  /** Trend directions reported as `fallingFast` (default ["DoubleDown"]). */
+  fallingTrends?: string[];
+  /** No reading for this long is reported as `stale` (default 15 minutes). */
+  staleAfterMs?: number;
+  /** Re-emit an ongoing alert after this long (default 30 minutes). */
+  repeatMs?: number;
+}
+
+type Level = "urgentLow" | "low" | "inRange" | "high";
+type Rate = "risingFast" | "fallingFast" | null;
+
+/**
+ * Consumes readings and emits typed alert events.
+ *
+ * ```ts
+ * const alerts = new AlertEngine({ units: "mmol/L", low: 3.9, high: 10 });
+ * alerts.on((e) => console.log(e.type, e.reading?.mmolL));
+ * for await (const bg of dex.watch()) alerts.push(bg);
+ * ```
+ */
+export class AlertEngine {
+  private urgentLow: number;
+  private low: number;
+  private high: number;
+  private hysteresis: number;
+  private risingTrends: string[];
+  private fallingTrends: string[];
+  private staleAfterMs: number;
+  private repeatMs: number;
+
+  private listeners = new Set<AlertListener>();
+  private level: Level = "inRange";
+  private rate: Rate = null;
+  private last?: GlucoseReading;
+  private lastEmitted = new Map<AlertType, number>();
+  private snoozedUntil = new Map<AlertType, number>();
+
+  constructor(options: AlertOptions = {}) {
+    const {
+      units = "mg/dL",
+      risingTrends = ["DoubleUp"],
+      fallingTrends = ["DoubleDown"],
+      staleAfterMs = 15 * 60_000,
+      repeatMs = 30 * 60_000,
+    } = options;
+    const mgDl = (v: number | undefined, def: number): number =>
+      v === undefined ? def : toMgDl(v, units);
+
+    this.urgentLow = mgDl(options.urgentLow, 55);
+    this.low = mgDl(options.low, 70);
+    this.high = mgDl(options.high, 180);
+    this.hysteresis = mgDl(options.hysteresis, 5);
+    this.risingTrends = risingTrends;
+    this.fallingTrends = fallingTrends;
+    this.staleAfterMs = staleAfterMs;
+    this.repeatMs = repeatMs;
+  }
+
+  /** Subscribe to alert events. Returns an unsubscribe function. */
+  on(listener: AlertListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /** Suppress alerts of `type` for `ms` (state is still tracked). */
+  snooze(type: AlertType, ms: number, now: Date = new Date()): void {
+    this.snoozedUntil.set(type, now.getTime() + ms);
+  }
+
+  /**
+   * Feed a reading. Out-of-order or duplicate readings are ignored.
+   * Returns the events emitted for this reading.
+   */
+  push(reading: GlucoseReading): AlertEvent[] {
+    if (this.last && reading.datetime.getTime() <= this.last.datetime.getTime()) return [];
+    this.last = reading;
+
+    const at = reading.datetime;
+    const events: AlertEvent[] = [];
+
+    const prevLevel = this.level;
+    this.level = this.levelFor(reading.mgDl);
+    if (this.level !== "inRange") {
+      this.emit(events, this.level, at, reading, this.level !== prevLevel);
+    } else if (prevLevel !== "inRange") {
+      this.emit(events, "inRange", at, reading, true);
+    }
+
+    const prevRate = this.rate;
+    this.rate = this.risingTrends.includes(reading.trendDirection)
+      ? "risingFast"
+      : this.fallingTrends.includes(reading.trendDirection)
+        ? "fallingFast"
+        : null;
+    if (this.rate) this.emit(events, this.rate, at, reading, this.rate !== prevRate);
+
+    return events;
+  }
+
+  /** Report `stale` when the last reading is older than `staleAfterMs`. */
+  check(now: Date = new Date()): AlertEvent[] {
+    const events: AlertEvent[] = [];
+    const lastAt = this.last?.datetime.getTime();
+    if (lastAt === undefined || now.getTime() - lastAt < this.staleAfterMs) {
+      this.lastEmitted.delete("stale");
+      return events;
+    }
+    this.emit(events, "stale", now, undefined, !this.lastEmitted.has("stale"));
+    return events;
+  }
+
+  private levelFor(v: number): Level {
+    const prev = this.level;
+    const h = this.hysteresis;
+    if (v < this.urgentLow || (prev === "urgentLow" && v < this.urgentLow + h)) return "urgentLow";
+    if (v < this.low || ((prev === "low" || prev === "urgentLow") && v < this.low + h))
+      return "low";
+    if (v > this.high || (prev === "high" && v > this.high - h)) return "high";
+    return "inRange";
+  }
+
+  private emit(
+    events: AlertEvent[],
+    type: AlertType,
+    at: Date,
+    reading: GlucoseReading | undefined,
+    entered: boolean,
+  ): void {
+    const t = at.getTime();
+    const prev = this.lastEmitted.get(type);
+    if (!entered && prev !== undefined && t - prev < this.repeatMs) return;
+    if (t < (this.snoozedUntil.get(type) ?? 0)) return;
+
+    this.lastEmitted.set(type, t);
+    const event: AlertEvent = { type, reading, at };
+    events.push(event);
+    for (const l of this.listeners) l(event);
+  }
+}
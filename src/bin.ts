@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * Entry point of the `dexcom-share` executable.
+ */
+
+import process from "node:process";
+import { runCli } from "./cli";
+
+void runCli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
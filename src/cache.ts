@@ -2,6 +2,9 @@
  * Pluggable session cache with TTL.
  */
 
+import { mkdir, readFile, rename, unlink, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
 export interface SessionCache {
   /** Get current session id if not expired, else null. */
   get(): Promise<string | null>;
@@ -11,6 +14,23 @@ export interface SessionCache {
   clear(): Promise<void>;
 }
 
+/**
+ * Cache shared by many clients: values are stored per key (the client keys
+ * session IDs by region + account, and account IDs by region + username).
+ * The client passes the `signal` of the call it is serving; adapters that do
+ * I/O should stop waiting once it aborts.
+ */
+export interface KeyedSessionCache {
+  /** Marks the keyed contract (tells it apart from `SessionCache`). */
+  readonly keyed: true;
+  /** Value for `key` if not expired, else null. */
+  get(key: string, signal?: AbortSignal): Promise<string | null>;
+  /** Save `value` under `key` with TTL in ms. */
+  set(key: string, value: string, ttlMs: number, signal?: AbortSignal): Promise<void>;
+  /** Remove `key`. */
+  delete(key: string, signal?: AbortSignal): Promise<void>;
+}
+
 /** Simple in-memory cache implementation. */
 export class MemorySessionCache implements SessionCache {
   private id: string | null = null;
@@ -33,3 +53,101 @@ export class MemorySessionCache implements SessionCache {
     return Promise.resolve();
   }
 }
+
+/** In-memory keyed cache; share one instance between clients in a process. */
+export class KeyedMemorySessionCache implements KeyedSessionCache {
+  readonly keyed = true;
+  private entries = new Map<string, { value: string; expiresAt: number }>();
+
+  get(key: string): Promise<string | null> {
+    const entry = this.entries.get(key);
+    if (entry && Date.now() < entry.expiresAt) return Promise.resolve(entry.value);
+    this.entries.delete(key);
+    return Promise.resolve(null);
+  }
+
+  set(key: string, value: string, ttlMs: number): Promise<void> {
+    this.entries.set(key, { value, expiresAt: Date.now() + Math.max(0, ttlMs) });
+    return Promise.resolve();
+  }
+
+  delete(key: string): Promise<void> {
+    this.entries.delete(key);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Single-slot keyed view of a `SessionCache`: every key maps to the one stored
+ * value. The client only keeps its session ID in such a cache.
+ */
+export function fromSessionCache(cache: SessionCache): KeyedSessionCache {
+  return {
+    keyed: true,
+    get: () => cache.get(),
+    set: (_key, value, ttlMs) => cache.set(value, ttlMs),
+    delete: () => cache.clear(),
+  };
+}
+
+/** True if `cache` implements the keyed contract. */
+export function isKeyedSessionCache(
+  cache: SessionCache | KeyedSessionCache,
+): cache is KeyedSessionCache {
+  return (cache as Partial<KeyedSessionCache>).keyed === true;
+}
+
+/**
+ * File-backed keyed cache: one JSON file per key in `dir`. Writes go to a
+ * temporary file that is renamed into place, so concurrent processes never
+ * see partial entries and writers of different keys never overwrite each other.
+ */
+export class FileSessionCache implements KeyedSessionCache {
+  readonly keyed = true;
+  private ready?: Promise<unknown>;
+
+  constructor(private readonly dir: string) {}
+
+  private file(key: string): string {
+    return join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key: string): Promise<string | null> {
+    let entry: unknown;
+    try {
+      entry = JSON.parse(await readFile(this.file(key), "utf8"));
+    } catch (e) {
+      // Missing or unreadable entries count as a miss
+      if ((e as { code?: string }).code === "ENOENT" || e instanceof SyntaxError) return null;
+      throw e;
+    }
+    if (typeof entry !== "object" || entry === null) return null;
+    const { value, expiresAt } = entry as { value?: unknown; expiresAt?: unknown };
+    if (typeof value !== "string" || typeof expiresAt !== "number" || Date.now() >= expiresAt) {
+      return null;
+    }
+    return value;
+  }
+
+  async set(key: string, value: string, ttlMs: number): Promise<void> {
+    // a failed mkdir (e.g. EACCES fixed later) is tried again on the next write
+    this.ready ??= mkdir(this.dir, { recursive: true }).catch((e: Error) => {
+      this.ready = undefined;
+      throw e;
+    });
+    await this.ready;
+    const file = this.file(key);
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+    const expiresAt = Date.now() + Math.max(0, ttlMs);
+    await writeFile(tmp, JSON.stringify({ value, expiresAt }));
+    await rename(tmp, file);
+  }
+
+  async delete(key: string): Promise<void> {
+    try {
+      await unlink(this.file(key));
+    } catch (e) {
+      if ((e as { code?: string }).code !== "ENOENT") throw e;
+    }
+  }
+}
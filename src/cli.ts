@@ -0,0 +1,358 @@
+/**
+ * `dexcom-share` command-line tool: current reading, history, live watch and
+ * export, with credentials from the environment or a JSON config file.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import process from "node:process";
+import { parseArgs } from "node:util";
+import { Region } from "./constants";
+import { Dexcom } from "./dexcom";
+import {
+  AccountError,
+  ArgumentError,
+  CancellationError,
+  DexcomError,
+  ServerError,
+  SessionError,
+} from "./errors";
+import { readingsToCsv } from "./exporters";
+import type { GlucoseReading } from "./glucoseReading";
+import type { GlucoseUnit } from "./types";
+
+/** Process exit codes; scripts can branch on these. */
+export enum ExitCode {
+  OK = 0,
+  /** Anything not covered below (e.g. network failure). */
+  ERROR = 1,
+  /** Bad flags, missing credentials or invalid input (`ArgumentError`). */
+  USAGE = 2,
+  /** Login rejected or locked out (`AccountError`). */
+  AUTH = 3,
+  /** Session could not be established (`SessionError`). */
+  SESSION = 4,
+  /** Unexpected response from Share (`ServerError`). */
+  SERVER = 5,
+  /** `--timeout` elapsed (`CancellationError`). */
+  TIMEOUT = 6,
+  /** Request succeeded but there was no reading to show. */
+  NO_DATA = 7,
+}
+
+/** Credentials and settings read from the config file. */
+export interface CliConfig {
+  username?: string;
+  accountId?: string;
+  password?: string;
+  region?: string;
+  /** Share base URL override (e.g. a relay). */
+  baseUrl?: string;
+}
+
+/** Where the CLI writes and which environment it reads (process by default). */
+export interface CliIO {
+  stdout?: { write(chunk: string): unknown };
+  stderr?: { write(chunk: string): unknown };
+  env?: Record<string, string | undefined>;
+}
+
+const USAGE = `Usage: dexcom-share <command> [options]
+
+Commands:
+  current                 Latest reading with trend arrow and age
+  history                 Readings from the last --minutes (newest first)
+  watch                   Print each new reading as it arrives (Ctrl-C to stop)
+  export                  Write readings as CSV or JSON
+
+Options:
+  --minutes <n>           Window for history/export (default 1440)
+  --count <n>             Max readings for history/export (default 288)
+  --format <csv|json>     Export format (default csv)
+  --output <file>         Export to a file instead of stdout
+  --units <mgdl|mmol>     Display units (default mgdl)
+  --region <us|ous|jp>    Share region (default us)
+  --json                  Machine-readable output (NDJSON for watch)
+  --timeout <ms>          Overall deadline per request
+  --config <file>         JSON config file
+                          (default ~/.config/dexcom-share/config.json)
+  -h, --help              Show this help
+
+Credentials (flags are not accepted for the password):
+  DEXCOM_USERNAME or DEXCOM_ACCOUNT_ID, DEXCOM_PASSWORD, DEXCOM_REGION,
+  DEXCOM_BASE_URL, DEXCOM_CONFIG; or the same keys (username, accountId,
+  password, region, baseUrl) in the config file. Environment wins.
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 auth, 4 session, 5 server, 6 timeout, 7 no data
+`;
+
+/** Bad command line or config; reported with a pointer to `--help`. */
+class UsageError extends Error {}
+
+const COMMANDS = ["current", "history", "watch", "export"] as const;
+type Command = (typeof COMMANDS)[number];
+
+/** Map an error to its exit code. */
+export function exitCodeFor(err: unknown): ExitCode {
+  if (err instanceof AccountError) return ExitCode.AUTH;
+  if (err instanceof SessionError) return ExitCode.SESSION;
+  if (err instanceof ServerError) return ExitCode.SERVER;
+  if (err instanceof CancellationError) return ExitCode.TIMEOUT;
+  if (err instanceof ArgumentError) return ExitCode.USAGE;
+  return ExitCode.ERROR;
+}
+
+function parseUnits(value: string | undefined): GlucoseUnit {
+  if (value === undefined || /^mg(\/?dl)?$/i.test(value)) return "mg/dL";
+  if (/^mmol(\/?l)?$/i.test(value)) return "mmol/L";
+  throw new UsageError(`Unknown units "${value}" (use mgdl or mmol)`);
+}
+
+function parseRegion(value: string | undefined): Region | undefined {
+  if (value === undefined) return undefined;
+  const region = value.toLowerCase();
+  if (!(Object.values(Region) as string[]).includes(region)) {
+    throw new UsageError(`Unknown region "${value}" (use us, ous or jp)`);
+  }
+  return region as Region;
+}
+
+function parsePositiveInt(name: string, value: string | undefined, fallback: number): number {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new UsageError(`--${name} must be a positive integer`);
+  return n;
+}
+
+async function loadConfig(file: string, explicit: boolean): Promise<CliConfig> {
+  let text: string;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (e) {
+    if (!explicit && (e as { code?: unknown }).code === "ENOENT") return {};
+    throw new UsageError(`Cannot read config file ${file}: ${(e as Error).message}`);
+  }
+  try {
+    return JSON.parse(text) as CliConfig;
+  } catch {
+    throw new UsageError(`Config file ${file} is not valid JSON`);
+  }
+}
+
+function formatValue(r: GlucoseReading, units: GlucoseUnit): string {
+  return units === "mmol/L" ? `${r.mmolL.toFixed(1)} mmol/L` : `${r.mgDl} mg/dL`;
+}
+
+function formatAge(r: GlucoseReading, now: number): string {
+  const minutes = Math.max(0, Math.round((now - r.datetime.getTime()) / 60_000));
+  if (minutes < 1) return "just now";
+  if (minutes < 120) return `${minutes} min ago`;
+  return `${Math.round(minutes / 60)} h ago`;
+}
+
+function readingToJson(r: GlucoseReading, units: GlucoseUnit, now: number): object {
+  return {
+    value: units === "mmol/L" ? r.mmolL : r.mgDl,
+    units,
+    mgDl: r.mgDl,
+    mmolL: r.mmolL,
+    trend: r.trendDirection,
+    trendArrow: r.trendArrow,
+    trendDescription: r.trendDescription,
+    datetime: r.datetime.toISOString(),
+    timezone: r.timezone ?? null,
+    ageMinutes: Math.round((now - r.datetime.getTime()) / 60_000),
+  };
+}
+
+function readingLine(r: GlucoseReading, units: GlucoseUnit): string {
+  return `${r.datetime.toISOString()}  ${formatValue(r, units)}  ${r.trendArrow}`;
+}
+
+interface CliArgs {
+  values: {
+    minutes?: string;
+    count?: string;
+    format?: string;
+    output?: string;
+    units?: string;
+    region?: string;
+    json?: boolean;
+    timeout?: string;
+    config?: string;
+    help?: boolean;
+  };
+  positionals: string[];
+}
+
+function parseCommandLine(argv: string[]): CliArgs {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        minutes: { type: "string" },
+        count: { type: "string" },
+        format: { type: "string" },
+        output: { type: "string" },
+        units: { type: "string" },
+        region: { type: "string" },
+        json: { type: "boolean" },
+        timeout: { type: "string" },
+        config: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    // Unknown flags, missing option values, ...
+    throw new UsageError((e as Error).message);
+  }
+}
+
+/**
+ * Run the CLI with `argv` (without the node and script paths) and resolve with
+ * the exit code. Errors are reported on stderr, never thrown.
+ */
+export async function runCli(argv: string[], io: CliIO = {}): Promise<number> {
+  const stdout = io.stdout ?? process.stdout;
+  const stderr = io.stderr ?? process.stderr;
+  const env = io.env ?? process.env;
+  // Empty variables count as unset, like most shells' `${VAR:-default}`.
+  const fromEnv = (name: string): string | undefined => env[name] || undefined;
+
+  try {
+    const { values, positionals } = parseCommandLine(argv);
+
+    if (values.help) {
+      stdout.write(USAGE);
+      return ExitCode.OK;
+    }
+    const command = positionals[0] as Command | undefined;
+    if (!command || !COMMANDS.includes(command) || positionals.length > 1) {
+      throw new UsageError(command ? `Unknown command "${positionals.join(" ")}"` : "No command");
+    }
+
+    const units = parseUnits(values.units);
+    const json = values.json ?? false;
+    const minutes = parsePositiveInt("minutes", values.minutes, 1440);
+    const count = parsePositiveInt("count", values.count, 288);
+    const format = values.format ?? "csv";
+    if (format !== "csv" && format !== "json") {
+      throw new UsageError(`Unknown format "${format}" (use csv or json)`);
+    }
+    const timeoutMs =
+      values.timeout === undefined ? undefined : parsePositiveInt("timeout", values.timeout, 0);
+
+    const configFile =
+      values.config ??
+      fromEnv("DEXCOM_CONFIG") ??
+      join(fromEnv("XDG_CONFIG_HOME") ?? join(homedir(), ".config"), "dexcom-share", "config.json");
+    const config = await loadConfig(configFile, Boolean(values.config ?? fromEnv("DEXCOM_CONFIG")));
+
+    const username = fromEnv("DEXCOM_USERNAME") ?? fromEnv("DEXCOM_USER") ?? config.username;
+    const accountId = fromEnv("DEXCOM_ACCOUNT_ID") ?? config.accountId;
+    const password = fromEnv("DEXCOM_PASSWORD") ?? fromEnv("DEXCOM_PASS") ?? config.password;
+    if (!password || (!username && !accountId)) {
+      throw new UsageError(
+        "Missing credentials: set DEXCOM_PASSWORD and DEXCOM_USERNAME (or DEXCOM_ACCOUNT_ID)",
+      );
+    }
+    const region = parseRegion(values.region ?? fromEnv("DEXCOM_REGION") ?? config.region);
+    const baseUrl = fromEnv("DEXCOM_BASE_URL") ?? config.baseUrl;
+
+    const dex = new Dexcom({
+      ...(accountId ? { accountId } : { username }),
+      password,
+      region,
+      timeoutMs,
+      transport: baseUrl ? { baseUrl } : undefined,
+    });
+
+    switch (command) {
+      case "current": {
+        const r = await dex.getLatestGlucoseReading();
+        if (!r) {
+          stderr.write("No reading in the last 24 hours\n");
+          return ExitCode.NO_DATA;
+        }
+        const now = Date.now();
+        stdout.write(
+          json
+            ? JSON.stringify(readingToJson(r, units, now)) + "\n"
+            : `${formatValue(r, units)} ${r.trendArrow} (${formatAge(r, now)})\n`,
+        );
+        return ExitCode.OK;
+      }
+
+      case "history": {
+        const readings = await dex.getGlucoseReadings(minutes, count);
+        const now = Date.now();
+        if (json) {
+          stdout.write(JSON.stringify(readings.map((r) => readingToJson(r, units, now))) + "\n");
+        } else {
+          for (const r of readings) stdout.write(readingLine(r, units) + "\n");
+        }
+        return readings.length ? ExitCode.OK : ExitCode.NO_DATA;
+      }
+
+      case "export": {
+        const readings = (await dex.getGlucoseReadings(minutes, count)).reverse();
+        const now = Date.now();
+        const text =
+          format === "json"
+            ? JSON.stringify(
+                readings.map((r) => readingToJson(r, units, now)),
+                null,
+                2,
+              ) + "\n"
+            : readingsToCsv(readings, { units });
+        if (values.output) await writeFile(values.output, text, "utf8");
+        else stdout.write(text);
+        return readings.length ? ExitCode.OK : ExitCode.NO_DATA;
+      }
+
+      case "watch": {
+        const ac = new AbortController();
+        const stop = (): void => ac.abort();
+        process.once("SIGINT", stop);
+        process.once("SIGTERM", stop);
+        let fatal: DexcomError | undefined;
+        try {
+          const readings = dex.watch({
+            signal: ac.signal,
+            onError: (err) => {
+              // Bad credentials will not fix themselves; transient failures are retried.
+              if (err instanceof AccountError || err instanceof ArgumentError) {
+                fatal = err;
+                ac.abort();
+              } else {
+                stderr.write(`warning: ${err instanceof Error ? err.message : String(err)}\n`);
+              }
+            },
+          });
+          for await (const r of readings) {
+            stdout.write(
+              json
+                ? JSON.stringify(readingToJson(r, units, Date.now())) + "\n"
+                : readingLine(r, units) + "\n",
+            );
+          }
+        } finally {
+          process.off("SIGINT", stop);
+          process.off("SIGTERM", stop);
+        }
+        if (fatal) throw fatal;
+        return ExitCode.OK;
+      }
+    }
+  } catch (e) {
+    if (e instanceof UsageError) {
+      stderr.write(`dexcom-share: ${e.message}\nRun "dexcom-share --help" for usage.\n`);
+      return ExitCode.USAGE;
+    }
+    const message = e instanceof DexcomError ? `${e.name}: ${e.message}` : String(e);
+    stderr.write(`dexcom-share: ${message}\n`);
+    return exitCodeFor(e);
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Clock and time zone changes in reading series, and grouping by local day.
+ */
+
+import { CLOCK_SKEW_TOLERANCE_MS } from "./constants";
+import type { GlucoseReading } from "./glucoseReading";
+
+export interface ClockChange {
+  /**
+   * "offset": the UTC offset changed (DST, travel); "skew": display time jumped
+   * against system time (clock set by hand).
+   */
+  kind: "offset" | "skew";
+  /** Last reading before the change. */
+  before: GlucoseReading;
+  /** First reading after the change. */
+  after: GlucoseReading;
+  /** Offset change in minutes, e.g. 60 when DST starts. */
+  offsetDeltaMinutes: number;
+  /** Change of display-minus-system time in ms (0 when `ST` is missing). */
+  skewDeltaMs: number;
+}
+
+/** Oldest first by system time, which clock changes do not move; display time without `ST`. */
+function bySystemTime(readings: readonly GlucoseReading[]): GlucoseReading[] {
+  const at = (r: GlucoseReading): number => (r.systemTime ?? r.datetime).getTime();
+  return [...readings].sort((a, b) => at(a) - at(b));
+}
+
+/** Points where consecutive readings disagree about the local clock (readings in any order). */
+export function findClockChanges(readings: readonly GlucoseReading[]): ClockChange[] {
+  const sorted = bySystemTime(readings);
+  const changes: ClockChange[] = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const before = sorted[i - 1]!;
+    const after = sorted[i]!;
+    const offsetDeltaMinutes = after.utcOffsetMinutes - before.utcOffsetMinutes;
+    const skewDeltaMs = (after.clockSkewMs ?? 0) - (before.clockSkewMs ?? 0);
+    if (offsetDeltaMinutes !== 0) {
+      changes.push({ kind: "offset", before, after, offsetDeltaMinutes, skewDeltaMs });
+    } else if (Math.abs(skewDeltaMs) > CLOCK_SKEW_TOLERANCE_MS) {
+      changes.push({ kind: "skew", before, after, offsetDeltaMinutes, skewDeltaMs });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Readings grouped by the patient's local calendar day ("2023-08-07"), each
+ * reading in the zone it was taken in. Days ascending, readings oldest first.
+ */
+export function groupByLocalDay(
+  readings: readonly GlucoseReading[],
+): Map<string, GlucoseReading[]> {
+  const days = new Map<string, GlucoseReading[]>();
+  const sorted = [...readings].sort((a, b) => a.datetime.getTime() - b.datetime.getTime());
+  for (const r of sorted) {
+    const day = days.get(r.localDate);
+    if (day) day.push(r);
+    else days.set(r.localDate, [r]);
+  }
+  return new Map([...days].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
@@ -67,7 +67,18 @@ export const TREND_DESCRIPTIONS = [
 
 export const TREND_ARROWS = ["", "↑↑", "↑", "↗", "→", "↘", "↓", "↓↓", "?", "-"] as const;
 
+/** Dexcom CGMs publish a new reading every 5 minutes. */
+export const DEXCOM_READING_INTERVAL_MS = 5 * 60 * 1000;
+
+/** Display and system time further apart than this count as a clock disagreement. */
+export const CLOCK_SKEW_TOLERANCE_MS = 60 * 1000;
+
 export const MAX_MINUTES = 1440;
 export const MAX_MAX_COUNT = 288;
 
-export const MMOL_L_CONVERSION_FACTOR = 0.0555;
+/** Exact mg/dL per mmol/L (glucose molar mass / 10); every unit conversion uses it. */
+export const MG_DL_PER_MMOL_L = 18.0182;
+
+/** Sensor reporting limits; Dexcom shows "LOW"/"HIGH" outside this range. */
+export const GLUCOSE_MIN_MG_DL = 40;
+export const GLUCOSE_MAX_MG_DL = 400;
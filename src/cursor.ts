@@ -0,0 +1,29 @@
+/**
+ * Opaque sync cursor for `Dexcom.getReadingsSince()`.
+ */
+
+import { z } from "zod";
+import { ArgumentError, DexcomErrorCode } from "./errors";
+
+const zCursor = z.object({
+  v: z.literal(1),
+  /** Newest reading timestamp seen (ms). */
+  last: z.number().int(),
+  /** Timestamps already returned within the overlap window before `last`. */
+  seen: z.array(z.number().int()),
+});
+
+export type SyncCursorState = z.infer<typeof zCursor>;
+
+export function encodeCursor(state: SyncCursorState): string {
+  return btoa(JSON.stringify(state)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function decodeCursor(cursor: string): SyncCursorState {
+  try {
+    const json = atob(cursor.replace(/-/g, "+").replace(/_/g, "/"));
+    return zCursor.parse(JSON.parse(json));
+  } catch {
+    throw new ArgumentError(DexcomErrorCode.CURSOR_INVALID);
+  }
+}
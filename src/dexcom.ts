@@ -14,6 +14,7 @@ import {
   DEXCOM_BASE_URLS,
   DEXCOM_GLUCOSE_READINGS_ENDPOINT,
   DEXCOM_LOGIN_ID_ENDPOINT,
+  DEXCOM_READING_INTERVAL_MS,
   MAX_MAX_COUNT,
   MAX_MINUTES,
   Region,
@@ -21,21 +22,107 @@ import {
 import {
   AccountError,
   ArgumentError,
-  type DexcomError,
+  DexcomError,
+  type DexcomErrorDetails,
   DexcomErrorCode,
+  NetworkError,
+  RateLimitError,
   ServerError,
   SessionError,
+  ValidationError,
 } from "./errors";
-import { isValidUUID, toQuery, validateMinutesAndCount, fetchWithRetry } from "./util";
+import {
+  isValidUUID,
+  toQuery,
+  validateMinutesAndCount,
+  fetchWithRetry,
+  sleep,
+  minutesSince,
+  cancellationError,
+  parseRetryAfter,
+  throwIfAborted,
+  withDeadline,
+} from "./util";
 import type { RetryOptions } from "./util";
 import { GlucoseReading } from "./glucoseReading";
-import type { RawGlucoseReading } from "./types";
-import { MemorySessionCache } from "./cache";
-import type { SessionCache } from "./cache";
-import { zAuthString, zRawGlucoseArray } from "./schemas";
+import type {
+  DexcomHooks,
+  DexcomLogger,
+  GlucoseReadingsOptions,
+  InvalidRecordMode,
+  LoginBreakerOptions,
+  LoginBreakerStatus,
+  QuarantinedReadings,
+  QuarantinedRecord,
+  RawGlucoseReading,
+  ReadingsSinceOptions,
+  ReadingsSinceResult,
+  RequestOptions,
+  TransportOptions,
+  WatchOptions,
+} from "./types";
+import { decodeCursor, encodeCursor } from "./cursor";
+import { KeyedMemorySessionCache, fromSessionCache, isKeyedSessionCache } from "./cache";
+import type { KeyedSessionCache, SessionCache } from "./cache";
+import type { HistoryStore } from "./history";
+import { Instrumentation } from "./instrumentation";
+import { LoginBreaker } from "./loginBreaker";
+import {
+  validationIssues,
+  zAuthString,
+  zRawGlucose,
+  zRawGlucoseArray,
+  zRecordArray,
+} from "./schemas";
+import type { z } from "zod";
 
 type JSONObject = Record<string, unknown>;
 
+/**
+ * Session acquisitions in flight, per cache object and session key. Module-level
+ * so clients sharing a cache also share one login.
+ */
+const sessionFlights = new WeakMap<object, Map<string, SessionFlight>>();
+
+interface SessionFlight {
+  promise: Promise<string>;
+  /** Aborts the acquisition once every waiter has given up. */
+  controller: AbortController;
+  waiters: number;
+}
+
+/** Wait for `flight` until `signal` aborts; the last waiter to leave aborts the flight. */
+function joinFlight(flight: SessionFlight, signal?: AbortSignal): Promise<string> {
+  flight.waiters += 1;
+  if (!signal) return flight.promise;
+  return new Promise((resolve, reject) => {
+    const leave = (): void => {
+      flight.waiters -= 1;
+      if (flight.waiters === 0) flight.controller.abort(signal.reason);
+      reject(cancellationError(signal));
+    };
+    if (signal.aborted) return leave();
+    signal.addEventListener("abort", leave, { once: true });
+    void flight.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", leave));
+  });
+}
+
+/**
+ * Share reports errors such as SessionIdNotFound or AccountPasswordInvalid as
+ * HTTP 500 with a JSON `Code` and `Message`; retrying won't help.
+ */
+async function hasDexcomErrorCode(res: Response): Promise<boolean> {
+  if (res.status !== 500) return false;
+  try {
+    const body: unknown = await res.clone().json();
+    return typeof body === "object" && body !== null && "Code" in body && "Message" in body;
+  } catch {
+    return false;
+  }
+}
+
 export interface DexcomOptions {
   /** Region selector: 'us' (default) | 'ous' | 'jp' */
   region?: Region;
@@ -43,8 +130,28 @@ export interface DexcomOptions {
   retry?: RetryOptions;
   /** Session TTL in ms for caching (default 8 minutes). */
   sessionTtlMs?: number;
-  /** Pluggable session cache (default in-memory). */
-  cache?: SessionCache;
+  /**
+   * Pluggable session cache (default in-memory, per client). A `KeyedSessionCache`
+   * can be shared by many clients and also keeps account IDs looked up by username.
+   */
+  cache?: SessionCache | KeyedSessionCache;
+  /** TTL in ms for account IDs cached in a keyed cache (default 30 days). */
+  accountIdTtlMs?: number;
+  /** Local history store; fetched readings are saved into it (default none). */
+  history?: HistoryStore;
+  /** Default overall deadline in ms for each call (default none). */
+  timeoutMs?: number;
+  /** Custom fetch, extra headers, base URL / application ID overrides. */
+  transport?: TransportOptions;
+  /** Lifecycle observers: requests, retries, sessions, validation failures. */
+  hooks?: DexcomHooks;
+  /** Receives the same events as `hooks` (e.g. `console`); secrets are redacted. */
+  logger?: DexcomLogger;
+  /**
+   * Stops logging in after repeated authentication failures, before Dexcom locks
+   * the account (default on; `false` disables). State is kept in a keyed cache.
+   */
+  loginBreaker?: LoginBreakerOptions | false;
 }
 
 /**
@@ -59,14 +166,26 @@ export interface DexcomOptions {
 export class Dexcom {
   private baseUrl: string;
   private applicationId: string;
+  /** Region, or the base URL when overridden; scopes cache keys. */
+  private cacheScope: string;
+  private fetchImpl?: typeof fetch;
+  private headers: Record<string, string>;
 
   private username?: string;
   private accountId?: string;
   private password: string;
 
-  private cache: SessionCache;
+  private cache: KeyedSessionCache;
+  /** Cache object as passed in; identifies the cache for single-flight logins. */
+  private cacheOwner: object;
+  private cachesAccountId: boolean;
   private sessionTtlMs: number;
+  private accountIdTtlMs: number;
   private retry: RetryOptions;
+  private history?: HistoryStore;
+  private timeoutMs?: number;
+  private events: Instrumentation;
+  private breaker?: LoginBreaker;
 
   constructor(params: { password: string; username?: string; accountId?: string } & DexcomOptions) {
     const {
@@ -76,14 +195,26 @@ export class Dexcom {
       region = Region.US,
       retry = {},
       sessionTtlMs = 8 * 60 * 1000,
-      cache = new MemorySessionCache(),
+      cache = new KeyedMemorySessionCache(),
+      accountIdTtlMs = 30 * 24 * 60 * 60 * 1000,
+      history,
+      timeoutMs,
+      transport = {},
+      hooks,
+      logger,
+      loginBreaker = {},
     } = params;
 
     this.validateRegion(region);
     this.validateUserIds(accountId, username);
 
-    this.baseUrl = DEXCOM_BASE_URLS[region];
-    this.applicationId = DEXCOM_APPLICATION_IDS[region];
+    this.baseUrl = transport.baseUrl
+      ? transport.baseUrl.replace(/\/*$/, "/")
+      : DEXCOM_BASE_URLS[region];
+    this.applicationId = transport.applicationId ?? DEXCOM_APPLICATION_IDS[region];
+    this.cacheScope = transport.baseUrl ? this.baseUrl : region;
+    this.fetchImpl = transport.fetch;
+    this.headers = { ...DEFAULT_HEADERS, ...transport.headers };
 
     this.password = password;
     this.username = username;
@@ -91,7 +222,24 @@ export class Dexcom {
 
     this.retry = retry;
     this.sessionTtlMs = sessionTtlMs;
-    this.cache = cache;
+    this.cachesAccountId = isKeyedSessionCache(cache);
+    this.cache = isKeyedSessionCache(cache) ? cache : fromSessionCache(cache);
+    this.cacheOwner = cache;
+    this.accountIdTtlMs = accountIdTtlMs;
+    this.history = history;
+    this.timeoutMs = timeoutMs;
+    this.events = new Instrumentation(hooks, logger);
+    if (typeof password === "string") this.events.addPassword(password);
+    if (loginBreaker) {
+      // A legacy single-slot cache holds the session only; keep breaker state in memory then
+      const store = this.cachesAccountId ? this.cache : new KeyedMemorySessionCache();
+      const who = username ? `user:${username.toLowerCase()}` : accountId;
+      this.breaker = new LoginBreaker(
+        store,
+        `dexcom:breaker:${this.cacheScope}:${who}`,
+        loginBreaker,
+      );
+    }
   }
 
   get getUsername(): string | undefined {
@@ -106,33 +254,86 @@ export class Dexcom {
   private async post(
     endpoint: string,
     options: { params?: JSONObject; json?: JSONObject } = {},
+    signal?: AbortSignal,
   ): Promise<unknown> {
     const url = this.baseUrl + endpoint + toQuery(options.params ?? {});
-    const res = await fetchWithRetry(
-      url,
-      {
-        method: "POST",
-        headers: DEFAULT_HEADERS,
-        body: JSON.stringify(options.json ?? {}),
-      },
-      this.retry,
-    );
+    const { sessionId } = options.params ?? {};
+    if (typeof sessionId === "string") this.events.addSessionId(sessionId);
+    let attempts = 0;
+    let res: Response;
+    try {
+      res = await fetchWithRetry(
+        url,
+        {
+          method: "POST",
+          headers: this.headers,
+          body: JSON.stringify(options.json ?? {}),
+          signal,
+        },
+        this.retry,
+        this.fetchImpl,
+        hasDexcomErrorCode,
+        {
+          onRequest: (attempt) => {
+            attempts = attempt;
+            this.events.emit("onRequest", { endpoint, url, attempt });
+          },
+          onResponse: (attempt, status, durationMs) =>
+            this.events.emit("onResponse", { endpoint, url, attempt, status, durationMs }),
+          onRetry: (attempt, delayMs, reason) =>
+            this.events.emit("onRetry", { endpoint, url, attempt, delayMs, reason }),
+        },
+      );
+    } catch (e) {
+      if (e instanceof DexcomError) throw e;
+      throw new NetworkError({ endpoint, attempts, cause: e });
+    }
 
-    const text = await res.text();
+    const details: DexcomErrorDetails = {
+      status: res.status,
+      endpoint,
+      attempts,
+      retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+    };
+    let text: string;
+    try {
+      text = await res.text();
+    } catch (e) {
+      throwIfAborted(signal);
+      throw new NetworkError({ ...details, cause: e });
+    }
     let data: unknown;
     try {
       data = text ? JSON.parse(text) : null;
-    } catch {
-      throw new ServerError(DexcomErrorCode.SERVER_INVALID_JSON);
+    } catch (e) {
+      if (res.status === 429) throw new RateLimitError(details);
+      throw new ServerError(DexcomErrorCode.SERVER_INVALID_JSON, { ...details, cause: e });
     }
 
     if (!res.ok) {
-      throw this.handleErrorCode(data);
+      throw this.handleErrorCode(data, details);
     }
     return data;
   }
 
-  private handleErrorCode(json: unknown): DexcomError {
+  /** Validate a response; failures are reported to hooks and thrown as `ValidationError`. */
+  private parse<T>(schema: z.ZodType<T>, data: unknown, endpoint: string): T {
+    const result = schema.safeParse(data);
+    if (result.success) return result.data;
+    const error = new ValidationError(validationIssues(result.error, data), {
+      endpoint,
+      cause: result.error,
+    });
+    this.events.emit("onValidationFailure", {
+      endpoint,
+      message: error.message,
+      issues: error.issues,
+    });
+    throw error;
+  }
+
+  /** Map a non-2xx Share response to an error carrying `details` and Dexcom's code/message. */
+  private handleErrorCode(json: unknown, details: DexcomErrorDetails = {}): DexcomError {
     let code: string | undefined;
     let message: string | undefined;
 
@@ -140,32 +341,39 @@ export class Dexcom {
       code = (json as { Code?: string }).Code;
       message = (json as { Message?: string }).Message;
     }
+    const info: DexcomErrorDetails = { ...details, serverCode: code, serverMessage: message };
+
+    // a 429 stays a rate limit (with its Retry-After) whatever the body says
+    if (details.status === 429) return new RateLimitError(info);
 
-    if (code === "SessionIdNotFound") return new SessionError(DexcomErrorCode.SESSION_NOT_FOUND);
-    if (code === "SessionNotValid") return new SessionError(DexcomErrorCode.SESSION_INVALID);
+    if (code === "SessionIdNotFound")
+      return new SessionError(DexcomErrorCode.SESSION_NOT_FOUND, info);
+    if (code === "SessionNotValid") return new SessionError(DexcomErrorCode.SESSION_INVALID, info);
     if (code === "AccountPasswordInvalid")
-      return new AccountError(DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION);
+      return new AccountError(DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION, info);
     if (code === "SSO_AuthenticateMaxAttemptsExceeded")
-      return new AccountError(DexcomErrorCode.ACCOUNT_MAX_ATTEMPTS);
+      return new AccountError(DexcomErrorCode.ACCOUNT_MAX_ATTEMPTS, info);
     if (code === "SSO_InternalError") {
       if (
         message &&
         (message.includes("Cannot Authenticate by AccountName") ||
           message.includes("Cannot Authenticate by AccountId"))
       ) {
-        return new AccountError(DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION);
+        return new AccountError(DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION, info);
       }
     }
     if (code === "InvalidArgument") {
       if (message?.includes("accountName"))
-        return new ArgumentError(DexcomErrorCode.USERNAME_INVALID);
-      if (message?.includes("password")) return new ArgumentError(DexcomErrorCode.PASSWORD_INVALID);
-      if (message?.includes("UUID")) return new ArgumentError(DexcomErrorCode.ACCOUNT_ID_INVALID);
+        return new ArgumentError(DexcomErrorCode.USERNAME_INVALID, info);
+      if (message?.includes("password"))
+        return new ArgumentError(DexcomErrorCode.PASSWORD_INVALID, info);
+      if (message?.includes("UUID"))
+        return new ArgumentError(DexcomErrorCode.ACCOUNT_ID_INVALID, info);
     }
     if (code && message) {
-      return new ServerError(DexcomErrorCode.SERVER_UNKNOWN_CODE);
+      return new ServerError(DexcomErrorCode.SERVER_UNKNOWN_CODE, info);
     }
-    return new ServerError(DexcomErrorCode.SERVER_UNEXPECTED);
+    return new ServerError(DexcomErrorCode.SERVER_UNEXPECTED, info);
   }
 
   // ------------------------- Validation helpers -------------------------
@@ -184,80 +392,273 @@ export class Dexcom {
 
   // ------------------------- Session handling (with TTL cache) -------------------------
 
-  private async obtainAccountId(): Promise<string> {
+  private async obtainAccountId(signal?: AbortSignal): Promise<string> {
     const json = {
       accountName: this.username,
       password: this.password,
       applicationId: this.applicationId,
     };
-    const id = await this.post(DEXCOM_AUTHENTICATE_ENDPOINT, { json });
-    const parsed = zAuthString.parse(id);
-    return parsed;
+    const id = await this.guardLogin(() =>
+      this.post(DEXCOM_AUTHENTICATE_ENDPOINT, { json }, signal),
+    );
+    return this.parse(zAuthString, id, DEXCOM_AUTHENTICATE_ENDPOINT);
   }
 
-  private async obtainSessionId(): Promise<string> {
+  private async obtainSessionId(signal?: AbortSignal): Promise<string> {
     const json = {
       accountId: this.accountId,
       password: this.password,
       applicationId: this.applicationId,
     };
-    const id = await this.post(DEXCOM_LOGIN_ID_ENDPOINT, { json });
-    const parsed = zAuthString.parse(id);
-    return parsed;
+    const id = await this.guardLogin(() => this.post(DEXCOM_LOGIN_ID_ENDPOINT, { json }, signal));
+    return this.parse(zAuthString, id, DEXCOM_LOGIN_ID_ENDPOINT);
   }
 
-  private async ensureSession(): Promise<string> {
+  /**
+   * Login posts under the breaker. Share answers a wrong password with a coded
+   * HTTP 500 that `post()` never retries, so each failure the breaker counts is
+   * exactly one attempt at Dexcom.
+   */
+  private guardLogin(login: () => Promise<unknown>): Promise<unknown> {
+    return this.breaker ? this.breaker.guard(login) : login();
+  }
+
+  /** State of the login circuit breaker (always `closed` when disabled). */
+  async getLoginBreakerStatus(): Promise<LoginBreakerStatus> {
+    if (!this.breaker) return { state: "closed", failures: 0, threshold: Infinity };
+    return this.breaker.status();
+  }
+
+  /** Close the login circuit breaker, e.g. after the password was fixed. */
+  async resetLoginBreaker(): Promise<void> {
+    await this.breaker?.reset();
+  }
+
+  /** Cache key of the session: region plus account ID (or username until it is known). */
+  private sessionKey(): string {
+    const who = this.accountId ?? `user:${(this.username ?? "").toLowerCase()}`;
+    return `dexcom:session:${this.cacheScope}:${who}`;
+  }
+
+  private accountKey(): string {
+    return `dexcom:account:${this.cacheScope}:${(this.username ?? "").toLowerCase()}`;
+  }
+
+  /** Account ID for the username: from the cache if possible, else via authentication. */
+  private async resolveAccountId(signal?: AbortSignal): Promise<string> {
+    if (this.cachesAccountId) {
+      const cached = await this.cache.get(this.accountKey(), signal);
+      if (cached && isValidUUID(cached) && cached !== DEFAULT_UUID) return cached;
+    }
+    if (typeof this.username !== "string" || !this.username) {
+      throw new ArgumentError(DexcomErrorCode.USERNAME_INVALID);
+    }
+    if (typeof this.password !== "string" || !this.password) {
+      throw new ArgumentError(DexcomErrorCode.PASSWORD_INVALID);
+    }
+    const accountId = await this.obtainAccountId(signal);
+    if (this.cachesAccountId && isValidUUID(accountId) && accountId !== DEFAULT_UUID) {
+      await this.cache.set(this.accountKey(), accountId, this.accountIdTtlMs, signal);
+    }
+    return accountId;
+  }
+
+  /**
+   * Drop an account ID looked up by username once a login with it fails, so
+   * the next attempt authenticates again instead of reusing a stale cached ID.
+   * A wrong password keeps the ID: authenticating again would only spend
+   * another attempt toward Dexcom's lockout.
+   */
+  private async forgetAccountId(err: unknown, signal?: AbortSignal): Promise<void> {
+    if (!this.username) return;
+    const rejected =
+      (err instanceof AccountError &&
+        err.code === DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION &&
+        err.serverCode !== "AccountPasswordInvalid") ||
+      (err instanceof ArgumentError &&
+        (err.code === DexcomErrorCode.ACCOUNT_ID_INVALID ||
+          err.code === DexcomErrorCode.ACCOUNT_ID_DEFAULT));
+    if (!rejected) return;
+    this.accountId = undefined;
+    if (this.cachesAccountId) await this.cache.delete(this.accountKey(), signal);
+  }
+
+  /**
+   * Runs `acquire` unless a session for the same cache and key is already being
+   * acquired (by this or another client), in which case that result is shared.
+   * Each caller stops waiting when its own `signal` aborts.
+   */
+  private singleFlight(
+    acquire: (signal: AbortSignal) => Promise<string>,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    throwIfAborted(signal);
+    const key = this.sessionKey();
+    let flights = sessionFlights.get(this.cacheOwner);
+    if (!flights) {
+      flights = new Map();
+      sessionFlights.set(this.cacheOwner, flights);
+    }
+    let flight = flights.get(key);
+    if (!flight || flight.controller.signal.aborted) {
+      const controller = new AbortController();
+      const created: SessionFlight = {
+        controller,
+        waiters: 0,
+        promise: acquire(controller.signal).finally(() => {
+          if (flights.get(key) === created) flights.delete(key);
+        }),
+      };
+      flights.set(key, created);
+      flight = created;
+    }
+    return joinFlight(flight, signal);
+  }
+
+  private ensureSession(signal?: AbortSignal): Promise<string> {
+    return this.singleFlight((s) => this.acquireSession(s), signal);
+  }
+
+  /**
+   * New session after `stale` was rejected. Concurrent callers share one login,
+   * and a session another caller already renewed is reused.
+   */
+  private async renewSession(stale: string, signal?: AbortSignal): Promise<string> {
+    const renew = async (flightSignal: AbortSignal): Promise<string> => {
+      if (!this.accountId && this.cachesAccountId) {
+        this.accountId = await this.resolveAccountId(flightSignal);
+      }
+      const current = await this.cache.get(this.sessionKey(), flightSignal);
+      if (current && current !== stale && isValidUUID(current) && current !== DEFAULT_UUID) {
+        return current;
+      }
+      await this.cache.delete(this.sessionKey(), flightSignal);
+      return this.acquireSession(flightSignal);
+    };
+    let sessionId = await this.singleFlight(renew, signal);
+    // Joined an acquisition that started before the session went stale
+    if (sessionId === stale) sessionId = await this.singleFlight(renew, signal);
+    this.events.addSessionId(sessionId);
+    this.events.emit("onSessionRefreshed", {
+      sessionId,
+      accountId: this.accountId,
+      previousSessionId: stale,
+    });
+    return sessionId;
+  }
+
+  private async acquireSession(signal?: AbortSignal): Promise<string> {
+    // Sessions in a keyed cache are stored per account ID
+    if (!this.accountId && this.cachesAccountId) {
+      this.accountId = await this.resolveAccountId(signal);
+    }
+
     // Get from cache first
-    const cached = await this.cache.get();
+    const cached = await this.cache.get(this.sessionKey(), signal);
     if (cached && isValidUUID(cached) && cached !== DEFAULT_UUID) {
       return cached;
     }
 
     // Build a fresh session
-    if (!this.accountId) {
-      if (typeof this.username !== "string" || !this.username) {
-        throw new ArgumentError(DexcomErrorCode.USERNAME_INVALID);
-      }
-      if (typeof this.password !== "string" || !this.password) {
-        throw new ArgumentError(DexcomErrorCode.PASSWORD_INVALID);
-      }
-      this.accountId = await this.obtainAccountId();
-    }
+    let sessionId: string;
+    try {
+      this.accountId ??= await this.resolveAccountId(signal);
 
-    if (!isValidUUID(this.accountId)) throw new ArgumentError(DexcomErrorCode.ACCOUNT_ID_INVALID);
-    if (this.accountId === DEFAULT_UUID)
-      throw new ArgumentError(DexcomErrorCode.ACCOUNT_ID_DEFAULT);
+      if (!isValidUUID(this.accountId)) throw new ArgumentError(DexcomErrorCode.ACCOUNT_ID_INVALID);
+      if (this.accountId === DEFAULT_UUID)
+        throw new ArgumentError(DexcomErrorCode.ACCOUNT_ID_DEFAULT);
 
-    const sessionId = await this.obtainSessionId();
+      sessionId = await this.obtainSessionId(signal);
+    } catch (e) {
+      await this.forgetAccountId(e, signal);
+      throw e;
+    }
+    this.events.addSessionId(sessionId);
     if (!isValidUUID(sessionId)) throw new ArgumentError(DexcomErrorCode.SESSION_ID_INVALID);
     if (sessionId === DEFAULT_UUID) throw new ArgumentError(DexcomErrorCode.SESSION_ID_DEFAULT);
 
     // Cache with TTL
-    await this.cache.set(sessionId, this.sessionTtlMs);
+    await this.cache.set(this.sessionKey(), sessionId, this.sessionTtlMs, signal);
+    this.events.emit("onSessionCreated", { sessionId, accountId: this.accountId });
     return sessionId;
   }
 
   // ------------------------- Glucose readings -------------------------
 
   private async fetchRawReadings(
-    minutes = MAX_MINUTES,
-    maxCount = MAX_MAX_COUNT,
-  ): Promise<RawGlucoseReading[]> {
-    const sessionId = await this.ensureSession();
+    sessionId: string,
+    minutes: number,
+    maxCount: number,
+    signal?: AbortSignal,
+    mode: InvalidRecordMode = "throw",
+  ): Promise<{ records: RawGlucoseReading[]; quarantined: QuarantinedRecord[] }> {
+    const endpoint = DEXCOM_GLUCOSE_READINGS_ENDPOINT;
     const params = { sessionId, minutes, maxCount };
-    const data: unknown = await this.post(DEXCOM_GLUCOSE_READINGS_ENDPOINT, { params });
-    const parsed = zRawGlucoseArray.parse(data);
-    return parsed;
+    const data: unknown = await this.post(endpoint, { params }, signal);
+    if (mode === "throw") {
+      return { records: this.parse(zRawGlucoseArray, data, endpoint), quarantined: [] };
+    }
+
+    // Lenient: validate record by record and set the bad ones aside
+    const records: RawGlucoseReading[] = [];
+    const quarantined: QuarantinedRecord[] = [];
+    this.parse(zRecordArray, data, endpoint).forEach((raw, index) => {
+      const result = zRawGlucose.safeParse(raw);
+      if (result.success) {
+        records.push(result.data);
+        return;
+      }
+      const issues = validationIssues(result.error, raw, index);
+      quarantined.push({ index, raw, issues });
+      const { message } = new ValidationError(issues);
+      this.events.emit("onValidationFailure", { endpoint, message, issues });
+    });
+    return { records, quarantined };
+  }
+
+  /** Signal for one public call: the caller's signal plus its (or the client's) deadline. */
+  private deadline(options: RequestOptions): AbortSignal | undefined {
+    return withDeadline(options.signal, options.timeoutMs ?? this.timeoutMs);
   }
 
   /**
    * Returns up to `maxCount` glucose readings within `minutes`.
    * Handles one automatic session refresh if the session expired.
+   *
+   * A record that fails validation throws a `ValidationError` naming the record
+   * and field, unless `invalidRecords` is `skip` (dropped) or `quarantine`
+   * (returned as `{ readings, quarantined }`).
+   *
+   * With a `history` store the readings are saved into it; a failed write is
+   * reported through `onHistoryError` and does not fail the call.
    */
+  async getGlucoseReadings(
+    minutes?: number,
+    maxCount?: number,
+    options?: GlucoseReadingsOptions & { invalidRecords?: "throw" | "skip" },
+  ): Promise<GlucoseReading[]>;
+  async getGlucoseReadings(
+    minutes: number | undefined,
+    maxCount: number | undefined,
+    options: GlucoseReadingsOptions & { invalidRecords: "quarantine" },
+  ): Promise<QuarantinedReadings>;
   async getGlucoseReadings(
     minutes = MAX_MINUTES,
     maxCount = MAX_MAX_COUNT,
-  ): Promise<GlucoseReading[]> {
+    options: GlucoseReadingsOptions = {},
+  ): Promise<GlucoseReading[] | QuarantinedReadings> {
+    const { invalidRecords: mode = "throw" } = options;
+    const { readings, quarantined } = await this.readGlucose(minutes, maxCount, options);
+    await this.saveHistory(readings);
+    return mode === "quarantine" ? { readings, quarantined } : readings;
+  }
+
+  /** `getGlucoseReadings()` without saving into the history store. */
+  private async readGlucose(
+    minutes: number,
+    maxCount: number,
+    options: GlucoseReadingsOptions,
+  ): Promise<QuarantinedReadings> {
     validateMinutesAndCount(minutes, maxCount, {
       minM: 1,
       maxM: MAX_MINUTES,
@@ -265,29 +666,213 @@ export class Dexcom {
       maxC: MAX_MAX_COUNT,
     });
 
+    const { invalidRecords: mode = "throw" } = options;
+    const signal = this.deadline(options);
+    const sessionId = await this.ensureSession(signal);
+    let result: { records: RawGlucoseReading[]; quarantined: QuarantinedRecord[] };
     try {
-      const json = await this.fetchRawReadings(minutes, maxCount);
-      return json.map((r) => new GlucoseReading(r));
+      result = await this.fetchRawReadings(sessionId, minutes, maxCount, signal, mode);
     } catch (err) {
-      if (err instanceof SessionError) {
-        // clear cache and retry once
-        await this.cache.clear();
-        const json = await this.fetchRawReadings(minutes, maxCount);
-        return json.map((r) => new GlucoseReading(r));
-      }
-      throw err;
+      if (!(err instanceof SessionError)) throw err;
+      this.events.emit("onSessionInvalidated", {
+        sessionId,
+        accountId: this.accountId,
+        code: err.code,
+      });
+      // renew the session and retry once
+      const renewed = await this.renewSession(sessionId, signal);
+      result = await this.fetchRawReadings(renewed, minutes, maxCount, signal, mode);
+    }
+    const readings = result.records.map((r) => new GlucoseReading(r));
+    return { readings, quarantined: result.quarantined };
+  }
+
+  /** Saving is a side effect of fetching, so a failed write is reported, not thrown. */
+  private async saveHistory(readings: GlucoseReading[]): Promise<void> {
+    if (!this.history) return;
+    try {
+      await this.history.add(readings);
+    } catch (e) {
+      this.events.emit("onHistoryError", {
+        count: readings.length,
+        message: e instanceof Error ? e.message : String(e),
+      });
     }
   }
 
   /** Latest available glucose reading (last 24h). */
-  async getLatestGlucoseReading(): Promise<GlucoseReading | undefined> {
-    const arr = await this.getGlucoseReadings(MAX_MINUTES, 1);
+  async getLatestGlucoseReading(options: RequestOptions = {}): Promise<GlucoseReading | undefined> {
+    const arr = await this.getGlucoseReadings(MAX_MINUTES, 1, options);
     return arr[0];
   }
 
   /** Current reading (last ~10 minutes). */
-  async getCurrentGlucoseReading(): Promise<GlucoseReading | undefined> {
-    const arr = await this.getGlucoseReadings(10, 1);
+  async getCurrentGlucoseReading(
+    options: RequestOptions = {},
+  ): Promise<GlucoseReading | undefined> {
+    const arr = await this.getGlucoseReadings(10, 1, options);
     return arr[0];
   }
+
+  /**
+   * Incremental fetch: returns only readings not returned for `cursor` before,
+   * plus the cursor for the next call. Without a cursor, returns the last 24 hours.
+   * Only the minutes/count needed since the last seen reading are requested.
+   *
+   * ```ts
+   * let { readings, cursor } = await dex.getReadingsSince();
+   * // later
+   * ({ readings, cursor } = await dex.getReadingsSince(cursor));
+   * ```
+   */
+  async getReadingsSince(
+    cursor?: string,
+    options: ReadingsSinceOptions = {},
+  ): Promise<ReadingsSinceResult> {
+    const { overlapMinutes = 15 } = options;
+    const state = cursor === undefined ? undefined : decodeCursor(cursor);
+    const overlapMs = overlapMinutes * 60_000;
+
+    let minutes = MAX_MINUTES;
+    let maxCount = MAX_MAX_COUNT;
+    if (state) {
+      minutes = minutesSince(state.last - overlapMs);
+      maxCount = Math.min(
+        MAX_MAX_COUNT,
+        Math.ceil((minutes * 60_000) / DEXCOM_READING_INTERVAL_MS) + 2,
+      );
+    }
+
+    const fetchedAt = Date.now();
+    const fetched = await this.getGlucoseReadings(minutes, maxCount, options);
+    const seen = new Set(state?.seen ?? []);
+    const windowStart = state ? state.last - overlapMs : -Infinity;
+    const readings = fetched
+      .filter((r) => {
+        const t = r.datetime.getTime();
+        if (t < windowStart || seen.has(t)) return false;
+        seen.add(t);
+        return true;
+      })
+      .sort((a, b) => a.datetime.getTime() - b.datetime.getTime());
+
+    // a future-dated reading (wrong clock) must not move the window past readings still to come
+    const newest = Math.max(state?.last ?? 0, ...readings.map((r) => r.datetime.getTime()));
+    const last = Math.min(newest, fetchedAt);
+    const next = encodeCursor({
+      v: 1,
+      last,
+      seen: [...seen].filter((t) => t >= last - overlapMs).sort((a, b) => a - b),
+    });
+    return { readings, cursor: next };
+  }
+
+  /**
+   * Fetches readings newer than the newest one in the history store (the full
+   * 24 hours if the store is empty) and saves them. Returns the number added;
+   * unlike `getGlucoseReadings()`, a failed write rejects.
+   */
+  async syncHistory(options: RequestOptions = {}): Promise<number> {
+    const history = this.requireHistory();
+    const latest = await history.latest();
+    const minutes = latest ? minutesSince(latest.datetime.getTime()) : MAX_MINUTES;
+    const { readings } = await this.readGlucose(minutes, MAX_MAX_COUNT, options);
+    return history.add(readings);
+  }
+
+  /**
+   * Readings between `from` and `to` (newest first, like `getGlucoseReadings()`),
+   * served from the history store after syncing it. Can span weeks.
+   */
+  async getGlucoseHistory(
+    from: Date,
+    to: Date = new Date(),
+    options: RequestOptions = {},
+  ): Promise<GlucoseReading[]> {
+    const history = this.requireHistory();
+    await this.syncHistory(options);
+    const readings = await history.range(from, to);
+    return readings.reverse();
+  }
+
+  private requireHistory(): HistoryStore {
+    if (!this.history) throw new ArgumentError(DexcomErrorCode.HISTORY_STORE_REQUIRED);
+    return this.history;
+  }
+
+  /**
+   * Polls for new readings and yields each one exactly once, oldest first.
+   *
+   * The next poll is scheduled from the last reading's `datetime` plus the CGM
+   * cadence, so polls do not drift. When no new reading shows up, polling backs
+   * off exponentially. Session expiry is handled like in `getGlucoseReadings()`.
+   * Aborting `signal` also cancels a poll in progress.
+   *
+   * ```ts
+   * const ac = new AbortController();
+   * for await (const bg of dex.watch({ signal: ac.signal })) console.log(bg.mgDl);
+   * ```
+   */
+  async *watch(options: WatchOptions = {}): AsyncGenerator<GlucoseReading, void, undefined> {
+    const {
+      signal,
+      timeoutMs,
+      intervalMs = DEXCOM_READING_INTERVAL_MS,
+      lagMs = 15_000,
+      minBackoffMs = 15_000,
+      maxBackoffMs = 2 * 60_000,
+      onError,
+    } = options;
+
+    let last: GlucoseReading | undefined;
+    let misses = 0;
+
+    while (!signal?.aborted) {
+      let fresh: GlucoseReading[] = [];
+      try {
+        fresh = await this.readingsAfter(last, { signal, timeoutMs });
+      } catch (err) {
+        if (signal?.aborted) return;
+        if (!onError) throw err;
+        onError(err);
+      }
+
+      if (fresh.length > 0) {
+        misses = 0;
+        for (const reading of fresh) {
+          last = reading;
+          yield reading;
+          if (signal?.aborted) return;
+        }
+      } else {
+        misses += 1;
+      }
+
+      // Next reading is due one interval after the last one; poll for it then,
+      // otherwise back off until it shows up.
+      const due = last ? last.datetime.getTime() + intervalMs + lagMs - Date.now() : 0;
+      const wait =
+        misses === 0 && due > 0
+          ? due
+          : Math.min(maxBackoffMs, minBackoffMs * 2 ** Math.max(0, misses - 1));
+      await sleep(wait, signal);
+    }
+  }
+
+  /** Readings strictly newer than `last`, oldest first (only the latest one on first call). */
+  private async readingsAfter(
+    last: GlucoseReading | undefined,
+    options: RequestOptions,
+  ): Promise<GlucoseReading[]> {
+    if (!last) {
+      const latest = await this.getLatestGlucoseReading(options);
+      return latest ? [latest] : [];
+    }
+    const since = last.datetime.getTime();
+    const minutes = minutesSince(since);
+    const arr = await this.getGlucoseReadings(minutes, MAX_MAX_COUNT, options);
+    return arr
+      .filter((r) => r.datetime.getTime() > since)
+      .sort((a, b) => a.datetime.getTime() - b.datetime.getTime());
+  }
 }
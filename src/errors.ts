@@ -5,6 +5,7 @@
 export enum DexcomErrorCode {
   ACCOUNT_FAILED_AUTHENTICATION = "Failed to authenticate",
   ACCOUNT_MAX_ATTEMPTS = "Maximum authentication attempts exceeded",
+  LOGIN_BLOCKED = "Login paused after repeated authentication failures",
 
   SESSION_NOT_FOUND = "Session ID not found",
   SESSION_INVALID = "Session not active or timed out",
@@ -21,39 +22,198 @@ export enum DexcomErrorCode {
   SESSION_ID_INVALID = "Session ID must be UUID",
   SESSION_ID_DEFAULT = "Session ID default",
   GLUCOSE_READING_INVALID = "JSON glucose reading incorrectly formatted",
+  IMPORT_FORMAT_INVALID = "Imported readings incorrectly formatted",
+  HISTORY_STORE_REQUIRED = "History store not configured",
+  HISTORY_FILE_INVALID = "History file line incorrectly formatted",
+  CURSOR_INVALID = "Sync cursor invalid",
+  FORMAT_OPTIONS_INVALID = "Invalid locale, units or precision",
+  AGP_SLOT_INVALID = "Slot minutes must be a positive integer dividing 1440",
+  FIXTURE_MISMATCH = "Replay mismatch",
+  FIXTURE_EXHAUSTED = "Replay exhausted",
+  FIXTURE_FILE_INVALID = "Fixture file incorrectly formatted",
 
   SERVER_INVALID_JSON = "Invalid or malformed JSON in server response",
   SERVER_UNKNOWN_CODE = "Unknown error code in server response",
   SERVER_UNEXPECTED = "Unexpected server response",
+  RESPONSE_INVALID = "Invalid response from server",
+
+  RATE_LIMITED = "Rate limited by server",
+  NETWORK_ERROR = "Network request failed",
+
+  REQUEST_TIMEOUT = "Request timed out",
+  REQUEST_ABORTED = "Request aborted",
+
+  NIGHTSCOUT_AUTH_REQUIRED = "Nightscout API secret or token required",
+  NIGHTSCOUT_REQUEST_FAILED = "Nightscout request failed",
+}
+
+/** What the HTTP layer knew when the error was thrown; all fields optional. */
+export interface DexcomErrorDetails {
+  /** HTTP status of the last response. */
+  status?: number;
+  /** Share endpoint, e.g. "General/LoginPublisherAccountById". */
+  endpoint?: string;
+  /** Dexcom's own error code from the response body, e.g. "SessionNotValid". */
+  serverCode?: string;
+  /** Dexcom's error message from the response body. */
+  serverMessage?: string;
+  /** HTTP attempts made, retries included. */
+  attempts?: number;
+  /** Server-requested wait from `Retry-After`, in ms. */
+  retryAfterMs?: number;
+  /** Underlying error (network failure, JSON syntax error, ...). */
+  cause?: unknown;
 }
 
 export class DexcomError extends Error {
-  constructor(public readonly code: DexcomErrorCode) {
-    super(code);
+  readonly status?: number;
+  readonly endpoint?: string;
+  readonly serverCode?: string;
+  readonly serverMessage?: string;
+  readonly attempts?: number;
+  readonly retryAfterMs?: number;
+
+  constructor(
+    public readonly code: DexcomErrorCode,
+    details: DexcomErrorDetails = {},
+  ) {
+    const { cause, ...fields } = details;
+    super(code, cause === undefined ? undefined : { cause });
     this.name = "DexcomError";
+    Object.assign(this, fields);
+  }
+
+  /** Plain object for structured logs (`JSON.stringify(err)`). */
+  toJSON(): Record<string, unknown> {
+    const cause = this.cause instanceof Error ? this.cause.message : this.cause;
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      status: this.status,
+      endpoint: this.endpoint,
+      serverCode: this.serverCode,
+      serverMessage: this.serverMessage,
+      attempts: this.attempts,
+      retryAfterMs: this.retryAfterMs,
+      cause,
+    };
   }
 }
 export class AccountError extends DexcomError {
-  constructor(code: DexcomErrorCode) {
-    super(code);
+  constructor(code: DexcomErrorCode, details?: DexcomErrorDetails) {
+    super(code, details);
     this.name = "AccountError";
   }
 }
+/** Login refused locally by the circuit breaker until `retryAt`, to avoid an account lockout. */
+export class LoginBlockedError extends AccountError {
+  constructor(public readonly retryAt: Date) {
+    super(DexcomErrorCode.LOGIN_BLOCKED);
+    this.name = "LoginBlockedError";
+  }
+}
 export class SessionError extends DexcomError {
-  constructor(code: DexcomErrorCode) {
-    super(code);
+  constructor(code: DexcomErrorCode, details?: DexcomErrorDetails) {
+    super(code, details);
     this.name = "SessionError";
   }
 }
 export class ArgumentError extends DexcomError {
-  constructor(code: DexcomErrorCode) {
-    super(code);
+  constructor(code: DexcomErrorCode, details?: DexcomErrorDetails) {
+    super(code, details);
     this.name = "ArgumentError";
   }
 }
 export class ServerError extends DexcomError {
-  constructor(code: DexcomErrorCode) {
-    super(code);
+  constructor(code: DexcomErrorCode, details?: DexcomErrorDetails) {
+    super(code, details);
     this.name = "ServerError";
   }
 }
+/** One schema violation in a Share response. */
+export interface ValidationIssue {
+  /** Index of the offending record in a readings response. */
+  record?: number;
+  /** Offending field, e.g. "Trend" (undefined when the record itself is wrong). */
+  field?: string;
+  message: string;
+  /** The value that failed. */
+  received?: unknown;
+}
+
+/** A Share response failed schema validation; `issues` say which record and field. */
+export class ValidationError extends ServerError {
+  constructor(
+    public readonly issues: ValidationIssue[],
+    details?: DexcomErrorDetails,
+  ) {
+    super(DexcomErrorCode.RESPONSE_INVALID, details);
+    this.name = "ValidationError";
+    const [first] = issues;
+    if (first) {
+      const where = [
+        first.record === undefined ? "" : `record ${first.record}`,
+        first.field === undefined ? "" : `field ${first.field}`,
+      ].filter(Boolean);
+      const more = issues.length > 1 ? ` (+${issues.length - 1} more)` : "";
+      this.message = `${this.code}: ${where.length ? where.join(", ") + ": " : ""}${first.message}${more}`;
+    }
+  }
+}
+/** A line of a history file could not be read; the parse or validation error is `cause`. */
+export class HistoryFileError extends DexcomError {
+  constructor(
+    public readonly file: string,
+    public readonly line: number,
+    details?: DexcomErrorDetails,
+  ) {
+    super(DexcomErrorCode.HISTORY_FILE_INVALID, details);
+    this.name = "HistoryFileError";
+    this.message = `${this.code}: ${file}:${line}`;
+  }
+}
+/** A row of an imported file could not be read; `line` is where it starts (1-based). */
+export class ImportFormatError extends ArgumentError {
+  constructor(
+    public readonly line: number,
+    details?: DexcomErrorDetails,
+  ) {
+    super(DexcomErrorCode.IMPORT_FORMAT_INVALID, details);
+    this.name = "ImportFormatError";
+    this.message = `${this.code}: line ${line}`;
+  }
+}
+/**
+ * `FixtureReplayer` got a request the recording does not have, or was given a
+ * file it cannot replay. Thrown from `fetch` but never retried.
+ */
+export class FixtureError extends ArgumentError {
+  constructor(code: DexcomErrorCode, detail: string, details?: DexcomErrorDetails) {
+    super(code, details);
+    this.name = "FixtureError";
+    this.message = `${this.code}: ${detail}`;
+  }
+}
+/** HTTP 429 that outlasted the retries; `retryAfterMs` says how long the server wants you to wait. */
+export class RateLimitError extends ServerError {
+  constructor(details?: DexcomErrorDetails) {
+    super(DexcomErrorCode.RATE_LIMITED, details);
+    this.name = "RateLimitError";
+  }
+}
+/** Share could not be reached (DNS, TLS, connection reset, ...); the original error is `cause`. */
+export class NetworkError extends DexcomError {
+  constructor(details?: DexcomErrorDetails) {
+    super(DexcomErrorCode.NETWORK_ERROR, details);
+    this.name = "NetworkError";
+    if (details?.cause instanceof Error) this.message = `${this.code}: ${details.cause.message}`;
+  }
+}
+/** Call gave up: `timeoutMs` elapsed (`REQUEST_TIMEOUT`) or its `signal` aborted (`REQUEST_ABORTED`). */
+export class CancellationError extends DexcomError {
+  constructor(code: DexcomErrorCode, details?: DexcomErrorDetails) {
+    super(code, details);
+    this.name = "CancellationError";
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Export readings to CSV, NDJSON and Dexcom Clarity-style CSV, and import them back.
+ */
+
+import { GLUCOSE_MAX_MG_DL, GLUCOSE_MIN_MG_DL } from "./constants";
+import { ArgumentError, DexcomErrorCode, ImportFormatError } from "./errors";
+import { GlucoseReading } from "./glucoseReading";
+import type { GlucoseUnit, RawGlucoseReading } from "./types";
+import { formatUtcOffset, parseUtcOffset, toMgDl, trendDirectionForRate } from "./util";
+
+export type CsvColumn =
+  | "datetime"
+  | "value"
+  | "units"
+  | "mgDl"
+  | "mmolL"
+  | "trend"
+  | "trendDirection"
+  | "trendArrow"
+  | "trendDescription"
+  | "timezone";
+
+/**
+ * Timestamp rendering: "iso" (UTC), "local" (ISO with the reading's offset),
+ * "epoch" (ms) or a custom formatter (custom formats cannot be imported back).
+ */
+export type TimestampFormat = "iso" | "local" | "epoch" | ((reading: GlucoseReading) => string);
+
+export interface CsvExportOptions {
+  /** Columns in order (default datetime, value, units, trendDirection, timezone). */
+  columns?: CsvColumn[];
+  /** Units of the `value` column (default "mg/dL"). */
+  units?: GlucoseUnit;
+  /** Default "local". */
+  timestampFormat?: TimestampFormat;
+  /** Default ",". */
+  delimiter?: string;
+  /** Write a header row (default true). */
+  header?: boolean;
+}
+
+export interface CsvImportOptions {
+  /** Default ",". */
+  delimiter?: string;
+  /** Units of the `value` column when there is no `units` column (default "mg/dL"). */
+  units?: GlucoseUnit;
+}
+
+export interface ClarityCsvOptions {
+  /** Units of the glucose value column (default "mg/dL"). */
+  units?: GlucoseUnit;
+  /**
+   * Clarity timestamps are local time without an offset. On import, this offset
+   * (minutes) is assumed (default 0). Ignored on export.
+   */
+  utcOffsetMinutes?: number;
+}
+
+const DEFAULT_COLUMNS: CsvColumn[] = ["datetime", "value", "units", "trendDirection", "timezone"];
+
+const CLARITY_HEADER = [
+  "Index",
+  "Timestamp (YYYY-MM-DDThh:mm:ss)",
+  "Event Type",
+  "Event Subtype",
+  "Patient Info",
+  "Device Info",
+  "Source Device ID",
+  "Glucose Value (mg/dL)",
+  "Insulin Value (u)",
+  "Carb Value (grams)",
+  "Duration (hh:mm:ss)",
+  "Glucose Rate of Change (mg/dL/min)",
+  "Transmitter Time (Long Integer)",
+  "Transmitter ID",
+];
+
+const invalid = (): ArgumentError => new ArgumentError(DexcomErrorCode.IMPORT_FORMAT_INVALID);
+
+/** Parse one row or line; any failure becomes an `ImportFormatError` naming it. */
+function atLine<T>(line: number, parse: () => T): T {
+  try {
+    return parse();
+  } catch (e) {
+    throw new ImportFormatError(line, { cause: e });
+  }
+}
+
+// ------------------------- CSV primitives -------------------------
+
+function csvField(value: string, delimiter: string): string {
+  return value.includes(delimiter) || /["\r\n]/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+}
+
+const csvRow = (fields: string[], delimiter: string): string =>
+  fields.map((f) => csvField(f, delimiter)).join(delimiter);
+
+/** A parsed CSV row and the line it starts on (1-based). */
+interface CsvRow {
+  fields: string[];
+  line: number;
+}
+
+/** RFC 4180 parser; blank lines are skipped. */
+function parseCsv(text: string, delimiter: string): CsvRow[] {
+  const rows: CsvRow[] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]!;
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else {
+        if (c === "\n" || (c === "\r" && text[i + 1] !== "\n")) line++;
+        field += c;
+      }
+    } else if (c === '"') quoted = true;
+    else if (text.startsWith(delimiter, i)) {
+      row.push(field);
+      field = "";
+      i += delimiter.length - 1;
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push({ fields: row, line: start });
+      row = [];
+      field = "";
+      start = ++line;
+    } else field += c;
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push({ fields: row, line: start });
+  return rows;
+}
+
+const ISO_TIMESTAMP = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Epoch ms or ISO 8601 timestamp. An ISO time without an offset is read in
+ * `tz` (the row's `timezone`), never in the host's zone; with neither it is
+ * rejected.
+ */
+function parseTimestamp(ts: string, tz: string): { ms: number; tz: string } {
+  if (/^\d+$/.test(ts)) return { ms: Number(ts), tz: tz || "+0000" };
+  const m = ISO_TIMESTAMP.exec(ts);
+  if (!m) throw new Error(`Unreadable timestamp "${ts}"`);
+  const offset = m[2] === "Z" ? "+0000" : m[2]?.replace(":", "");
+  const zone = offset ?? tz;
+  if (!zone) throw new Error(`Timestamp "${ts}" has no UTC offset and there is no timezone`);
+  if (!/^[+-]\d{4}$/.test(zone)) throw new Error(`Unreadable timezone "${zone}"`);
+  const ms = Date.parse(`${m[1]}Z`) - parseUtcOffset(zone) * 60_000;
+  if (!Number.isFinite(ms)) throw new Error(`Unreadable timestamp "${ts}"`);
+  return { ms, tz: tz || zone };
+}
+
+/** Build a reading from parsed values (validated by the GlucoseReading constructor). */
+function makeReading(ms: number, tz: string, mgDl: number, trend: string): GlucoseReading {
+  return new GlucoseReading({ DT: `Date(${ms}${tz})`, Value: Math.round(mgDl), Trend: trend });
+}
+
+// ------------------------- Generic CSV -------------------------
+
+/** mmol/L always with one decimal ("5.0", not "5"), so columns stay uniform. */
+function formatMmolL(r: GlucoseReading): string {
+  return r.mmolL.toFixed(1);
+}
+
+function formatTimestamp(r: GlucoseReading, format: TimestampFormat): string {
+  if (typeof format === "function") return format(r);
+  if (format === "epoch") return String(r.datetime.getTime());
+  if (format === "iso") return r.datetime.toISOString();
+  return r.localIso;
+}
+
+/** Serialize readings to CSV. */
+export function readingsToCsv(
+  readings: readonly GlucoseReading[],
+  options: CsvExportOptions = {},
+): string {
+  const {
+    columns = DEFAULT_COLUMNS,
+    units = "mg/dL",
+    timestampFormat = "local",
+    delimiter = ",",
+    header = true,
+  } = options;
+
+  const cell = (r: GlucoseReading, col: CsvColumn): string => {
+    switch (col) {
+      case "datetime":
+        return formatTimestamp(r, timestampFormat);
+      case "value":
+        return units === "mmol/L" ? formatMmolL(r) : String(r.mgDl);
+      case "units":
+        return units;
+      case "mgDl":
+        return String(r.mgDl);
+      case "mmolL":
+        return formatMmolL(r);
+      case "trend":
+        return String(r.trend);
+      case "timezone":
+        return r.timezone ?? "";
+      default:
+        return r[col];
+    }
+  };
+
+  const lines = readings.map((r) =>
+    csvRow(
+      columns.map((c) => cell(r, c)),
+      delimiter,
+    ),
+  );
+  if (header) lines.unshift(csvRow(columns, delimiter));
+  return lines.map((l) => l + "\n").join("");
+}
+
+/**
+ * Parse CSV written by `readingsToCsv()` (header row required; "iso", "local"
+ * or "epoch" timestamps). Needs `datetime` and one of `value`, `mgDl`, `mmolL`.
+ * ISO timestamps without an offset need a `timezone` column.
+ * @throws ImportFormatError naming the line of the first unreadable row
+ */
+export function readingsFromCsv(text: string, options: CsvImportOptions = {}): GlucoseReading[] {
+  const { delimiter = ",", units = "mg/dL" } = options;
+  const [headRow, ...rows] = parseCsv(text, delimiter);
+  if (!headRow) return [];
+  const head = headRow.fields;
+  const col = (name: CsvColumn): number => head.indexOf(name);
+  const iDate = col("datetime");
+  const iValue = col("value");
+  const iMgDl = col("mgDl");
+  const iMmolL = col("mmolL");
+  const iUnits = col("units");
+  const iTrend = col("trendDirection");
+  const iTz = col("timezone");
+  if (iDate < 0 || (iValue < 0 && iMgDl < 0 && iMmolL < 0)) throw invalid();
+
+  return rows.map(({ fields: row, line }) =>
+    atLine(line, () => {
+      const get = (i: number): string => (i < 0 ? "" : (row[i] ?? "").trim());
+      const { ms, tz } = parseTimestamp(get(iDate), get(iTz));
+
+      let mgDl: number;
+      if (iMgDl >= 0 && get(iMgDl)) mgDl = Number(get(iMgDl));
+      else if (iValue >= 0 && get(iValue)) {
+        const u = (get(iUnits) || units) as GlucoseUnit;
+        mgDl = toMgDl(Number(get(iValue)), u);
+      } else mgDl = toMgDl(Number(get(iMmolL)), "mmol/L");
+
+      if (!Number.isFinite(mgDl)) throw new Error("Unreadable glucose value");
+      return makeReading(ms, tz, mgDl, get(iTrend) || "None");
+    }),
+  );
+}
+
+// ------------------------- NDJSON -------------------------
+
+/** Serialize readings as NDJSON, one raw Dexcom Share record per line. */
+export function readingsToNdjson(readings: readonly GlucoseReading[]): string {
+  return readings.map((r) => JSON.stringify(r.json) + "\n").join("");
+}
+
+/**
+ * Parse NDJSON written by `readingsToNdjson()`.
+ * @throws ImportFormatError naming the first unreadable line
+ */
+export function readingsFromNdjson(text: string): GlucoseReading[] {
+  return text
+    .split(/\r?\n/)
+    .map((line, i) => ({ line, number: i + 1 }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, number }) =>
+      atLine(number, () => new GlucoseReading(JSON.parse(line) as RawGlucoseReading)),
+    );
+}
+
+// ------------------------- Clarity CSV -------------------------
+
+/** Serialize readings in the Dexcom Clarity export layout (EGV rows, local time). */
+export function readingsToClarityCsv(
+  readings: readonly GlucoseReading[],
+  options: ClarityCsvOptions = {},
+): string {
+  const { units = "mg/dL" } = options;
+  const header = CLARITY_HEADER.map((h) => (units === "mmol/L" ? h.replace("mg/dL", "mmol/L") : h));
+  const value = (r: GlucoseReading): string => {
+    if (r.mgDl < GLUCOSE_MIN_MG_DL) return "Low";
+    if (r.mgDl > GLUCOSE_MAX_MG_DL) return "High";
+    return units === "mmol/L" ? formatMmolL(r) : String(r.mgDl);
+  };
+  const lines = readings.map((r, i) => {
+    const local = r.localIso.slice(0, 19);
+    return csvRow(
+      [String(i + 1), local, "EGV", "", "", "", "", value(r), "", "", "", "", "", ""],
+      ",",
+    );
+  });
+  return [csvRow(header, ","), ...lines].map((l) => l + "\n").join("");
+}
+
+/**
+ * Parse a Dexcom Clarity CSV export (EGV rows only). "Low"/"High" map to just
+ * outside the sensor limits (39/401 mg/dL); the trend is derived from the rate of
+ * change column if present.
+ */
+export function readingsFromClarityCsv(
+  text: string,
+  options: ClarityCsvOptions = {},
+): GlucoseReading[] {
+  const { utcOffsetMinutes = 0 } = options;
+  const [headRow, ...rows] = parseCsv(text, ",");
+  if (!headRow) return [];
+  const head = headRow.fields;
+  const iTime = head.findIndex((h) => h.startsWith("Timestamp"));
+  const iType = head.indexOf("Event Type");
+  const iValue = head.findIndex((h) => h.startsWith("Glucose Value"));
+  const iRate = head.findIndex((h) => h.startsWith("Glucose Rate of Change"));
+  if (iTime < 0 || iType < 0 || iValue < 0) throw invalid();
+  const mmol = head[iValue]!.includes("mmol/L");
+  const tz = formatUtcOffset(utcOffsetMinutes);
+
+  return rows
+    .filter(({ fields: row }) => row[iType] === "EGV")
+    .map(({ fields: row, line }) =>
+      atLine(line, () => {
+        const ms = Date.parse(`${row[iTime] ?? ""}Z`) - utcOffsetMinutes * 60_000;
+        const v = (row[iValue] ?? "").trim();
+        const mgDl =
+          v === "Low"
+            ? GLUCOSE_MIN_MG_DL - 1
+            : v === "High"
+              ? GLUCOSE_MAX_MG_DL + 1
+              : toMgDl(Number(v), mmol ? "mmol/L" : "mg/dL");
+        const rateText = iRate < 0 ? "" : (row[iRate] ?? "").trim();
+        const rate = mmol ? toMgDl(Number(rateText), "mmol/L") : Number(rateText);
+        const trend = rateText && Number.isFinite(rate) ? trendDirectionForRate(rate) : "None";
+        if (!Number.isFinite(ms)) throw new Error(`Unreadable timestamp "${row[iTime] ?? ""}"`);
+        if (!Number.isFinite(mgDl)) throw new Error(`Unreadable glucose value "${v}"`);
+        return makeReading(ms, tz, mgDl, trend);
+      }),
+    );
+}
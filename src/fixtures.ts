@@ -0,0 +1,268 @@
+/**
+ * Record/replay of Share HTTP traffic: capture what `Dexcom` sends and receives
+ * (with credentials redacted) and serve it back later as a regression fixture.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { z } from "zod";
+import { DEXCOM_AUTHENTICATE_ENDPOINT, DEXCOM_LOGIN_ID_ENDPOINT } from "./constants";
+import { DexcomErrorCode, FixtureError } from "./errors";
+import { isValidUUID } from "./util";
+
+/** Recorded response: an HTTP reply, or the message of a failed `fetch`. */
+export type RecordedResponse =
+  | { status: number; headers?: Record<string, string>; body: string }
+  | { error: string };
+
+/** One request/response pair. */
+export interface HttpFixture {
+  /** Share endpoint, e.g. "General/LoginPublisherAccountById". */
+  endpoint: string;
+  /** Query parameters (session ID redacted). */
+  query?: Record<string, string>;
+  /** Parsed JSON body (password, username and account ID redacted). */
+  body?: unknown;
+  response: RecordedResponse;
+}
+
+/** Contents of a fixture file. */
+export interface FixtureFile {
+  version: 1;
+  /** ISO timestamp of the first recorded request. */
+  recordedAt: string;
+  fixtures: HttpFixture[];
+}
+
+const zFixtureFile = z.object({
+  version: z.literal(1),
+  recordedAt: z.string(),
+  fixtures: z.array(
+    z.object({
+      endpoint: z.string(),
+      query: z.record(z.string(), z.string()).optional(),
+      body: z.unknown(),
+      response: z.union([
+        z.object({
+          status: z.number().int(),
+          headers: z.record(z.string(), z.string()).optional(),
+          body: z.string(),
+        }),
+        z.object({ error: z.string() }),
+      ]),
+    }),
+  ),
+});
+
+const REDACTED = "<redacted>";
+
+/** Statuses whose `Response` must not have a body. */
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+
+/** Response headers worth keeping; the client reads nothing else. */
+const KEPT_HEADERS = ["content-type", "retry-after"];
+
+/** "General/LoginPublisherAccountById" from a full Share URL. */
+function endpointOf(url: URL): string {
+  return url.pathname.split("/").slice(-2).join("/");
+}
+
+/**
+ * `fetch` wrapper that records every exchange. Pass `recorder.fetch` as
+ * `transport.fetch`, reproduce the problem, then `save()` the fixture file.
+ *
+ * Passwords and usernames are replaced with placeholders, also where a
+ * response echoes them; account and session IDs are mapped to stable fake
+ * UUIDs (the same real ID always gets the same stand-in), so the replayed flow
+ * stays consistent.
+ */
+export class FixtureRecorder {
+  readonly fixtures: HttpFixture[] = [];
+
+  private inner: typeof fetch;
+  private recordedAt?: string;
+  private ids = new Map<string, string>();
+  /** Usernames and passwords sent so far, to scrub from responses. */
+  private credentials = new Set<string>();
+  private accounts = 0;
+  private sessions = 0;
+
+  constructor(options: { fetch?: typeof fetch } = {}) {
+    this.inner = options.fetch ?? ((input, init) => fetch(input, init));
+  }
+
+  /** `fetch`-compatible recorder; pass as `transport.fetch`. */
+  readonly fetch = async (input: RequestInfo | URL, init?: RequestInit): Promise<Response> => {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+    const endpoint = endpointOf(url);
+    const text = typeof init?.body === "string" ? init.body : "";
+    this.recordedAt ??= new Date().toISOString();
+
+    const fixture: HttpFixture = { endpoint, response: { error: "" } };
+    const query = Object.fromEntries(url.searchParams);
+    if (Object.keys(query).length) {
+      if (query.sessionId) query.sessionId = this.stand(query.sessionId, "session");
+      fixture.query = query;
+    }
+    if (text) fixture.body = this.redactBody(text);
+
+    let res: Response;
+    try {
+      res = await this.inner(input, init);
+    } catch (e) {
+      fixture.response = { error: this.scrub(e instanceof Error ? e.message : String(e)) };
+      this.fixtures.push(fixture);
+      throw e;
+    }
+
+    const body = await res.clone().text();
+    const headers: Record<string, string> = {};
+    for (const name of KEPT_HEADERS) {
+      const value = res.headers.get(name);
+      if (value !== null) headers[name] = value;
+    }
+    fixture.response = {
+      status: res.status,
+      ...(Object.keys(headers).length ? { headers } : {}),
+      body: this.redactResponse(endpoint, res.ok, body),
+    };
+    this.fixtures.push(fixture);
+    return res;
+  };
+
+  /** Recorded exchanges as a fixture file. */
+  toJSON(): FixtureFile {
+    return {
+      version: 1,
+      recordedAt: this.recordedAt ?? new Date().toISOString(),
+      fixtures: this.fixtures,
+    };
+  }
+
+  /** Write the fixture file as JSON. */
+  async save(file: string): Promise<void> {
+    await writeFile(file, JSON.stringify(this.toJSON(), null, 2) + "\n", "utf8");
+  }
+
+  /** Fake UUID standing in for a real account or session ID. */
+  private stand(id: string, kind: "account" | "session"): string {
+    const key = id.toLowerCase();
+    let fake = this.ids.get(key);
+    if (!fake) {
+      const n = kind === "account" ? ++this.accounts : ++this.sessions;
+      const tag = kind === "account" ? "a" : "b";
+      fake = `00000000-0000-4000-${tag}000-${String(n).padStart(12, "0")}`;
+      this.ids.set(key, fake);
+    }
+    return fake;
+  }
+
+  private redactBody(text: string): unknown {
+    let body: unknown;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      return REDACTED;
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+    const out = { ...(body as Record<string, unknown>) };
+    for (const key of ["password", "accountName"]) {
+      if (!(key in out)) continue;
+      if (typeof out[key] === "string" && out[key]) this.credentials.add(out[key]);
+      out[key] = REDACTED;
+    }
+    if (typeof out.accountId === "string") out.accountId = this.stand(out.accountId, "account");
+    return out;
+  }
+
+  private redactResponse(endpoint: string, ok: boolean, text: string): string {
+    if (
+      ok &&
+      (endpoint === DEXCOM_AUTHENTICATE_ENDPOINT || endpoint === DEXCOM_LOGIN_ID_ENDPOINT)
+    ) {
+      let id: unknown;
+      try {
+        id = JSON.parse(text);
+      } catch {
+        return text;
+      }
+      if (isValidUUID(id)) {
+        const kind = endpoint === DEXCOM_AUTHENTICATE_ENDPOINT ? "account" : "session";
+        return JSON.stringify(this.stand(id as string, kind));
+      }
+    }
+    return this.scrub(text);
+  }
+
+  /** Replace IDs and credentials that error messages may echo back. */
+  private scrub(text: string): string {
+    let out = text;
+    for (const [real, fake] of this.ids) out = out.replace(new RegExp(real, "gi"), fake);
+    // longest first, so a username inside a password cannot expose the rest of it
+    const credentials = [...this.credentials].sort((a, b) => b.length - a.length);
+    for (const secret of credentials) {
+      const escaped = secret.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      out = out.replace(new RegExp(escaped, "gi"), REDACTED);
+    }
+    return out;
+  }
+}
+
+/**
+ * `fetch` replacement that serves recorded exchanges in order. Each request
+ * must hit the endpoint recorded at its position; anything else (or running
+ * past the end) throws a `FixtureError`, so a changed request flow fails loudly.
+ */
+export class FixtureReplayer {
+  private readonly fixtures: HttpFixture[];
+  private position = 0;
+
+  constructor(file: FixtureFile | HttpFixture[]) {
+    this.fixtures = Array.isArray(file) ? file : file.fixtures;
+  }
+
+  /**
+   * Load a fixture file written by `FixtureRecorder.save()`.
+   * @throws FixtureError if the file is not JSON or not shaped like a fixture file
+   */
+  static async fromFile(file: string): Promise<FixtureReplayer> {
+    const text = await readFile(file, "utf8");
+    let parsed: FixtureFile;
+    try {
+      parsed = zFixtureFile.parse(JSON.parse(text)) as FixtureFile;
+    } catch (e) {
+      throw new FixtureError(DexcomErrorCode.FIXTURE_FILE_INVALID, file, { cause: e });
+    }
+    return new FixtureReplayer(parsed);
+  }
+
+  /** Fixtures not served yet. */
+  get remaining(): number {
+    return this.fixtures.length - this.position;
+  }
+
+  /** `fetch`-compatible replayer; pass as `transport.fetch`. */
+  readonly fetch = (input: RequestInfo | URL, init?: RequestInit): Promise<Response> =>
+    new Promise((resolve) => resolve(this.next(input, init)));
+
+  private next(input: RequestInfo | URL, init?: RequestInit): Response {
+    const signal = init?.signal ?? undefined;
+    if (signal?.aborted) throw signal.reason;
+    const endpoint = endpointOf(new URL(new Request(input, init).url));
+    const fixture = this.fixtures[this.position];
+    if (!fixture) {
+      throw new FixtureError(DexcomErrorCode.FIXTURE_EXHAUSTED, `no fixture left for ${endpoint}`);
+    }
+    if (fixture.endpoint !== endpoint) {
+      throw new FixtureError(
+        DexcomErrorCode.FIXTURE_MISMATCH,
+        `expected ${fixture.endpoint} at #${this.position}, got ${endpoint}`,
+      );
+    }
+    this.position++;
+    const { response } = fixture;
+    if ("error" in response) throw new TypeError(response.error);
+    const body = NULL_BODY_STATUSES.has(response.status) ? null : response.body;
+    return new Response(body, { status: response.status, headers: response.headers });
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Short-term glucose forecasting from recent readings.
+ *
+ * Model: weighted linear regression of mg/dL over time, fitted to the most
+ * recent contiguous run of readings. Newer readings weigh more (exponential
+ * decay with `halfLifeMinutes`). The band is the regression prediction interval,
+ * with the residual spread floored at `noiseMgDl` to account for sensor noise.
+ */
+
+import { GLUCOSE_MAX_MG_DL, GLUCOSE_MIN_MG_DL } from "./constants";
+import type { GlucoseReading } from "./glucoseReading";
+import { trendDirectionForRate } from "./util";
+
+export interface ForecastOptions {
+  /** Minutes ahead to project (default [15, 30, 60]). */
+  horizons?: number[];
+  /** History used for the fit, in minutes before the last reading (default 30). */
+  windowMinutes?: number;
+  /** Fewest readings needed for a forecast (default 3). */
+  minReadings?: number;
+  /** Larger gaps between readings cut the history used for the fit (default 15). */
+  maxGapMinutes?: number;
+  /** Weight half-life in minutes (default 15). */
+  halfLifeMinutes?: number;
+  /** Lower bound for the residual standard deviation in mg/dL (default 5). */
+  noiseMgDl?: number;
+  /** Band width in standard errors (default 1.96, ~95%). */
+  z?: number;
+}
+
+export interface ForecastPoint {
+  /** Minutes after the last reading. */
+  minutes: number;
+  datetime: Date;
+  mgDl: number;
+  lowMgDl: number;
+  highMgDl: number;
+}
+
+export interface GlucoseForecast {
+  /** False when there is not enough recent, contiguous data. */
+  computable: boolean;
+  /** Dexcom-style direction for the fitted rate, or "NotComputable". */
+  trendDirection: string;
+  /** Fitted rate of change in mg/dL per minute (null if not computable). */
+  ratePerMinute: number | null;
+  /** Last reading the forecast is anchored to. */
+  basedOn?: Date;
+  points: ForecastPoint[];
+}
+
+const notComputable = (): GlucoseForecast => ({
+  computable: false,
+  trendDirection: "NotComputable",
+  ratePerMinute: null,
+  points: [],
+});
+
+const clamp = (v: number): number => Math.min(GLUCOSE_MAX_MG_DL, Math.max(GLUCOSE_MIN_MG_DL, v));
+
+/**
+ * Project glucose ahead from recent readings (any order, e.g. as returned by
+ * `getGlucoseReadings()`).
+ */
+export function forecastGlucose(
+  readings: readonly GlucoseReading[],
+  options: ForecastOptions = {},
+): GlucoseForecast {
+  const {
+    horizons = [15, 30, 60],
+    windowMinutes = 30,
+    minReadings = 3,
+    maxGapMinutes = 15,
+    halfLifeMinutes = 15,
+    noiseMgDl = 5,
+    z = 1.96,
+  } = options;
+
+  const sorted = [...readings].sort((a, b) => b.datetime.getTime() - a.datetime.getTime());
+  const last = sorted[0];
+  if (!last) return notComputable();
+  const t0 = last.datetime.getTime();
+
+  // Most recent contiguous run within the window: x = minutes before last (<= 0)
+  const xs: number[] = [];
+  const ys: number[] = [];
+  let prevT = t0 + 1;
+  for (const r of sorted) {
+    const t = r.datetime.getTime();
+    if (t === prevT) continue;
+    if ((prevT - t) / 60_000 > maxGapMinutes && xs.length > 0) break;
+    if ((t0 - t) / 60_000 > windowMinutes) break;
+    xs.push((t - t0) / 60_000);
+    ys.push(r.mgDl);
+    prevT = t;
+  }
+  const n = xs.length;
+  if (n < Math.max(2, minReadings)) return notComputable();
+
+  // Weights normalized to a mean of 1
+  const raw = xs.map((x) => 0.5 ** (-x / halfLifeMinutes));
+  const rawSum = raw.reduce((a, b) => a + b, 0);
+  const w = raw.map((v) => (v * n) / rawSum);
+
+  let xbar = 0;
+  let ybar = 0;
+  for (let i = 0; i < n; i++) {
+    xbar += w[i]! * xs[i]!;
+    ybar += w[i]! * ys[i]!;
+  }
+  xbar /= n;
+  ybar /= n;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += w[i]! * (xs[i]! - xbar) ** 2;
+    sxy += w[i]! * (xs[i]! - xbar) * (ys[i]! - ybar);
+  }
+  if (sxx === 0) return notComputable();
+
+  const slope = sxy / sxx;
+  const intercept = ybar - slope * xbar;
+
+  let rss = 0;
+  for (let i = 0; i < n; i++) rss += w[i]! * (ys[i]! - (intercept + slope * xs[i]!)) ** 2;
+  const s2 = Math.max(n > 2 ? rss / (n - 2) : 0, noiseMgDl ** 2);
+
+  const points = horizons.map((minutes) => {
+    const y = intercept + slope * minutes;
+    const se = Math.sqrt(s2 * (1 + 1 / n + (minutes - xbar) ** 2 / sxx));
+    return {
+      minutes,
+      datetime: new Date(t0 + minutes * 60_000),
+      mgDl: Math.round(clamp(y)),
+      lowMgDl: Math.round(clamp(y - z * se)),
+      highMgDl: Math.round(clamp(y + z * se)),
+    };
+  });
+
+  return {
+    computable: true,
+    trendDirection: trendDirectionForRate(slope),
+    ratePerMinute: slope,
+    basedOn: last.datetime,
+    points,
+  };
+}
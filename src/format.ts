@@ -0,0 +1,236 @@
+/**
+ * Locale- and unit-aware display of glucose readings.
+ */
+
+import {
+  GLUCOSE_MAX_MG_DL,
+  GLUCOSE_MIN_MG_DL,
+  TREND_ARROWS,
+  TREND_DESCRIPTIONS,
+} from "./constants";
+import { ArgumentError, DexcomErrorCode } from "./errors";
+import type { GlucoseReading } from "./glucoseReading";
+import type { GlucoseUnit } from "./types";
+import { toMmolL } from "./util";
+
+/** Languages with translated trend and accessible text; others fall back to English. */
+export type FormatLanguage = "en" | "ja" | "de" | "fr" | "es";
+
+export interface GlucoseFormatOptions {
+  /** BCP 47 locale for numbers and text, e.g. "ja-JP" (default "en"). */
+  locale?: string;
+  /** Display units (default "mg/dL"). */
+  units?: GlucoseUnit;
+  /** Decimals for mmol/L, 0..3 (default 1); mg/dL is always whole. */
+  precision?: number;
+}
+
+export interface FormattedGlucose {
+  /** Localized number ("7,3" in German), or "LOW"/"HIGH" beyond the sensor limits. */
+  value: string;
+  units: GlucoseUnit;
+  /** Reading below/above what the sensor reports. */
+  limit?: "low" | "high";
+  /** Trend arrow, e.g. "↗". */
+  arrow: string;
+  /** Localized trend description, e.g. "leicht steigend". */
+  trend: string;
+  /** Compact display, e.g. "7.3 mmol/L ↗" or "LOW". */
+  text: string;
+  /** Spelled-out text for screen readers, e.g. "132 milligrams per deciliter, rising slightly". */
+  accessibleText: string;
+}
+
+interface Messages {
+  trends: readonly string[];
+  units: Record<GlucoseUnit, string>;
+  low: (limit: string) => string;
+  high: (limit: string) => string;
+  join: string;
+  space: string;
+}
+
+const MESSAGES: Record<FormatLanguage, Messages> = {
+  en: {
+    trends: TREND_DESCRIPTIONS,
+    units: { "mg/dL": "milligrams per deciliter", "mmol/L": "millimoles per liter" },
+    low: (limit) => `Low, below ${limit}`,
+    high: (limit) => `High, above ${limit}`,
+    join: ", ",
+    space: " ",
+  },
+  ja: {
+    trends: [
+      "",
+      "急上昇",
+      "上昇",
+      "緩やかに上昇",
+      "安定",
+      "緩やかに下降",
+      "下降",
+      "急下降",
+      "トレンドを判定できません",
+      "トレンドなし",
+    ],
+    units: { "mg/dL": "ミリグラム毎デシリットル", "mmol/L": "ミリモル毎リットル" },
+    low: (limit) => `LOW、${limit}未満`,
+    high: (limit) => `HIGH、${limit}超`,
+    join: "、",
+    space: "",
+  },
+  de: {
+    trends: [
+      "",
+      "schnell steigend",
+      "steigend",
+      "leicht steigend",
+      "stabil",
+      "leicht fallend",
+      "fallend",
+      "schnell fallend",
+      "Trend nicht bestimmbar",
+      "Trend nicht verfügbar",
+    ],
+    units: { "mg/dL": "Milligramm pro Deziliter", "mmol/L": "Millimol pro Liter" },
+    low: (limit) => `Niedrig, unter ${limit}`,
+    high: (limit) => `Hoch, über ${limit}`,
+    join: ", ",
+    space: " ",
+  },
+  fr: {
+    trends: [
+      "",
+      "en hausse rapide",
+      "en hausse",
+      "en légère hausse",
+      "stable",
+      "en légère baisse",
+      "en baisse",
+      "en baisse rapide",
+      "tendance indéterminable",
+      "tendance indisponible",
+    ],
+    units: { "mg/dL": "milligrammes par décilitre", "mmol/L": "millimoles par litre" },
+    low: (limit) => `Bas, inférieur à ${limit}`,
+    high: (limit) => `Élevé, supérieur à ${limit}`,
+    join: ", ",
+    space: " ",
+  },
+  es: {
+    trends: [
+      "",
+      "subiendo rápidamente",
+      "subiendo",
+      "subiendo ligeramente",
+      "estable",
+      "bajando ligeramente",
+      "bajando",
+      "bajando rápidamente",
+      "no se puede determinar la tendencia",
+      "tendencia no disponible",
+    ],
+    units: { "mg/dL": "miligramos por decilitro", "mmol/L": "milimoles por litro" },
+    low: (limit) => `Bajo, por debajo de ${limit}`,
+    high: (limit) => `Alto, por encima de ${limit}`,
+    join: ", ",
+    space: " ",
+  },
+};
+
+/**
+ * Convert mg/dL to `units` (18.0182 mg/dL per mmol/L, like `reading.mmolL`),
+ * rounded to `precision` decimals for mmol/L (default 1).
+ */
+export function convertGlucose(mgDl: number, units: GlucoseUnit, precision = 1): number {
+  return units === "mg/dL" ? Math.round(mgDl) : toMmolL(mgDl, precision);
+}
+
+/**
+ * Renders readings for one locale and unit. Create once and reuse; number
+ * formatting is set up in the constructor.
+ */
+export class GlucoseFormatter {
+  readonly locale: string;
+  readonly language: FormatLanguage;
+  readonly units: GlucoseUnit;
+  readonly precision: number;
+
+  private numbers: Intl.NumberFormat;
+  private messages: Messages;
+
+  /** @throws ArgumentError on an unknown locale, units or precision */
+  constructor(options: GlucoseFormatOptions = {}) {
+    const { locale = "en", units = "mg/dL", precision = 1 } = options;
+    if (units !== "mg/dL" && units !== "mmol/L") throw invalidOptions();
+    if (!Number.isInteger(precision) || precision < 0 || precision > 3) throw invalidOptions();
+    const digits = units === "mmol/L" ? precision : 0;
+    try {
+      this.numbers = new Intl.NumberFormat(locale, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+        useGrouping: false,
+      });
+    } catch (e) {
+      throw invalidOptions(e);
+    }
+    this.locale = this.numbers.resolvedOptions().locale;
+    const language = this.locale.split("-")[0]!.toLowerCase();
+    this.language = language in MESSAGES ? (language as FormatLanguage) : "en";
+    this.messages = MESSAGES[this.language];
+    this.units = units;
+    this.precision = precision;
+  }
+
+  /** Localized number in the formatter's units; "LOW"/"HIGH" beyond the sensor limits. */
+  formatValue(mgDl: number): string {
+    if (mgDl < GLUCOSE_MIN_MG_DL) return "LOW";
+    if (mgDl > GLUCOSE_MAX_MG_DL) return "HIGH";
+    return this.number(mgDl);
+  }
+
+  /** Localized description of a Dexcom trend (0..9); "" for none. */
+  trendDescription(trend: number): string {
+    return this.messages.trends[trend] ?? "";
+  }
+
+  format(reading: GlucoseReading): FormattedGlucose {
+    const { mgDl } = reading;
+    const m = this.messages;
+    const limit = mgDl < GLUCOSE_MIN_MG_DL ? "low" : mgDl > GLUCOSE_MAX_MG_DL ? "high" : undefined;
+    const value = this.formatValue(mgDl);
+    const arrow = TREND_ARROWS[reading.trend] ?? "";
+    const trend = this.trendDescription(reading.trend);
+
+    const spoken = (v: number): string => `${this.number(v)}${m.space}${m.units[this.units]}`;
+    let spokenValue: string;
+    if (limit === "low") spokenValue = m.low(spoken(GLUCOSE_MIN_MG_DL));
+    else if (limit === "high") spokenValue = m.high(spoken(GLUCOSE_MAX_MG_DL));
+    else spokenValue = spoken(mgDl);
+
+    return {
+      value,
+      units: this.units,
+      ...(limit ? { limit } : {}),
+      arrow,
+      trend,
+      text: limit ? value : [value, this.units, arrow].filter(Boolean).join(" "),
+      accessibleText: [spokenValue, trend].filter(Boolean).join(m.join),
+    };
+  }
+
+  private number(mgDl: number): string {
+    return this.numbers.format(convertGlucose(mgDl, this.units, this.precision));
+  }
+}
+
+/** One-off `new GlucoseFormatter(options).format(reading)`. */
+export function formatGlucose(
+  reading: GlucoseReading,
+  options: GlucoseFormatOptions = {},
+): FormattedGlucose {
+  return new GlucoseFormatter(options).format(reading);
+}
+
+function invalidOptions(cause?: unknown): ArgumentError {
+  return new ArgumentError(DexcomErrorCode.FORMAT_OPTIONS_INVALID, cause ? { cause } : {});
+}
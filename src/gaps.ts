@@ -0,0 +1,111 @@
+/**
+ * Gap detection and regular 5-minute grids for reading series.
+ */
+
+import { DEXCOM_READING_INTERVAL_MS } from "./constants";
+import type { GlucoseReading } from "./glucoseReading";
+
+export interface ReadingGap {
+  /** Last reading before the gap. */
+  start: Date;
+  /** First reading after the gap. */
+  end: Date;
+  /** Readings expected in between but missing. */
+  missing: number;
+}
+
+export interface GapOptions {
+  /** Expected reading interval (default 5 minutes). */
+  intervalMs?: number;
+}
+
+export interface GridOptions extends GapOptions {
+  /** Interpolate gaps up to this long (between real readings); longer stay missing (default 15). */
+  maxGapMinutes?: number;
+}
+
+/** A point of a regular grid: a real reading, an interpolated value, or a hole. */
+export type GridPoint =
+  | { datetime: Date; kind: "reading"; mgDl: number; reading: GlucoseReading }
+  | { datetime: Date; kind: "interpolated"; mgDl: number }
+  | { datetime: Date; kind: "missing"; mgDl: null };
+
+/** Sorted oldest first, one reading per timestamp. */
+function ordered(readings: readonly GlucoseReading[]): GlucoseReading[] {
+  const byTime = new Map<number, GlucoseReading>();
+  for (const r of readings) byTime.set(r.datetime.getTime(), r);
+  return [...byTime.entries()].sort((a, b) => a[0] - b[0]).map(([, r]) => r);
+}
+
+/** Report holes in a reading series (readings in any order). */
+export function findGaps(
+  readings: readonly GlucoseReading[],
+  options: GapOptions = {},
+): ReadingGap[] {
+  const { intervalMs = DEXCOM_READING_INTERVAL_MS } = options;
+  const sorted = ordered(readings);
+  const gaps: ReadingGap[] = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const start = sorted[i - 1]!.datetime;
+    const end = sorted[i]!.datetime;
+    const missing = Math.round((end.getTime() - start.getTime()) / intervalMs) - 1;
+    if (missing >= 1) gaps.push({ start, end, missing });
+  }
+  return gaps;
+}
+
+/**
+ * Regular grid from the first to the last reading. Each reading snaps to the
+ * nearest slot; when several snap to the same slot the one closest to it is
+ * kept (the earliest on a tie) and the others are dropped. Empty slots are
+ * linearly interpolated when the surrounding real readings are at most
+ * `maxGapMinutes` apart, otherwise left missing.
+ */
+export function regularizeReadings(
+  readings: readonly GlucoseReading[],
+  options: GridOptions = {},
+): GridPoint[] {
+  const { intervalMs = DEXCOM_READING_INTERVAL_MS, maxGapMinutes = 15 } = options;
+  const sorted = ordered(readings);
+  const first = sorted[0];
+  if (!first) return [];
+  const t0 = first.datetime.getTime();
+  const slotCount = Math.round((sorted.at(-1)!.datetime.getTime() - t0) / intervalMs) + 1;
+
+  const slots: (GlucoseReading | undefined)[] = new Array<GlucoseReading | undefined>(slotCount);
+  for (const r of sorted) {
+    const k = Math.round((r.datetime.getTime() - t0) / intervalMs);
+    const offset = (s: GlucoseReading): number =>
+      Math.abs(s.datetime.getTime() - (t0 + k * intervalMs));
+    const held = slots[k];
+    if (!held || offset(r) < offset(held)) slots[k] = r;
+  }
+
+  const points: GridPoint[] = [];
+  let prev: GlucoseReading | undefined;
+  // slot of the next real reading; found once per gap, so the grid is built in linear time
+  let nextSlot = 0;
+  for (let k = 0; k < slotCount; k++) {
+    const datetime = new Date(t0 + k * intervalMs);
+    const r = slots[k];
+    if (r) {
+      points.push({ datetime, kind: "reading", mgDl: r.mgDl, reading: r });
+      prev = r;
+      continue;
+    }
+    if (nextSlot <= k) {
+      nextSlot = k + 1;
+      while (!slots[nextSlot]) nextSlot++; // the last slot always holds a reading
+    }
+    const next = slots[nextSlot];
+    const pt = prev!.datetime.getTime();
+    const nt = next!.datetime.getTime();
+    if (nt - pt <= maxGapMinutes * 60_000) {
+      const mgDl = prev!.mgDl + ((next!.mgDl - prev!.mgDl) * (datetime.getTime() - pt)) / (nt - pt);
+      points.push({ datetime, kind: "interpolated", mgDl: Math.round(mgDl) });
+    } else {
+      points.push({ datetime, kind: "missing", mgDl: null });
+    }
+  }
+  return points;
+}
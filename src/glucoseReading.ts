@@ -3,25 +3,34 @@
  */
 
 import {
+  CLOCK_SKEW_TOLERANCE_MS,
   DEXCOM_TREND_DIRECTIONS,
-  MMOL_L_CONVERSION_FACTOR,
   TREND_ARROWS,
   TREND_DESCRIPTIONS,
 } from "./constants";
-import type { RawGlucoseReading, GlucoseReadingLike } from "./types";
+import type { RawGlucoseReading, GlucoseReadingLike, SerializedGlucoseReading } from "./types";
 import { ArgumentError, DexcomErrorCode } from "./errors";
+import { zClonedGlucose, zSerializedGlucose } from "./schemas";
+import { parseUtcOffset, toLocalIso, toMmolL } from "./util";
 
-const DT_REGEX = /Date\((?<timestamp>\d+)(?<timezone>[+-]\d{4})\)/;
+const DATE_REGEX = /Date\((?<timestamp>\d+)(?<timezone>[+-]\d{4})?\)/;
 
-/** Parse "Date(1691455258000-0400)" -> { date: Date, tz: string } */
-function parseDexcomDate(dt: string): { date: Date; tz?: string } {
-  const m = DT_REGEX.exec(dt);
+/** Parse "Date(1691455258000-0400)" -> { date: Date, tz: "-0400" }; the offset is optional. */
+function parseDexcomDate(value: string): { date: Date; tz?: string } {
+  const m = DATE_REGEX.exec(value);
   if (!m || !m.groups) return { date: new Date(NaN) };
   const ts = Number(m.groups["timestamp"]);
   const tz = m.groups["timezone"];
   return { date: new Date(ts), tz };
 }
 
+/** Optional WT/ST timestamp: undefined when absent or malformed (only DT is required). */
+function parseOptionalDate(value: string | undefined): Date | undefined {
+  if (value === undefined) return undefined;
+  const { date } = parseDexcomDate(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
 export class GlucoseReading implements GlucoseReadingLike {
   private _json: RawGlucoseReading;
   private _value: number;
@@ -29,6 +38,9 @@ export class GlucoseReading implements GlucoseReadingLike {
   private _trendDirection: string;
   private _datetime: Date;
   private _timezone?: string;
+  private _offsetMinutes: number;
+  private _systemTime?: Date;
+  private _wallTime?: Date;
 
   /**
    * Create a GlucoseReading from Dexcom Share JSON.
@@ -47,13 +59,18 @@ export class GlucoseReading implements GlucoseReadingLike {
       if (trend === undefined) throw new Error("Unknown trend");
 
       const { date, tz } = parseDexcomDate(String(json["DT"]));
-      if (Number.isNaN(date.getTime())) throw new Error("DT parse error");
+      if (Number.isNaN(date.getTime()) || tz === undefined) throw new Error("DT parse error");
+      const systemTime = parseOptionalDate(json["ST"]);
+      const wallTime = parseOptionalDate(json["WT"]);
 
       this._value = value!;
       this._trendDirection = direction;
       this._trend = trend;
       this._datetime = date;
       this._timezone = tz;
+      this._offsetMinutes = parseUtcOffset(tz);
+      this._systemTime = systemTime;
+      this._wallTime = wallTime;
     } catch {
       throw new ArgumentError(DexcomErrorCode.GLUCOSE_READING_INVALID);
     }
@@ -66,7 +83,7 @@ export class GlucoseReading implements GlucoseReadingLike {
     return this._value;
   }
   get mmolL(): number {
-    return Math.round(this._value * MMOL_L_CONVERSION_FACTOR * 10) / 10;
+    return toMmolL(this._value);
   }
   get trend(): number {
     return this._trend;
@@ -80,12 +97,50 @@ export class GlucoseReading implements GlucoseReadingLike {
   get trendArrow(): string {
     return TREND_ARROWS[this._trend] ?? "";
   }
+  /** Display time (`DT`): when the reading was taken, as shown to the patient. */
   get datetime(): Date {
     return this._datetime;
   }
+  /** Alias of `datetime`. */
+  get displayTime(): Date {
+    return this._datetime;
+  }
+  /** System time (`ST`): the sensor device's own clock, unaffected by clock changes. */
+  get systemTime(): Date | undefined {
+    return this._systemTime;
+  }
+  /** Wall time (`WT`): UTC time of the record as stored by Share. */
+  get wallTime(): Date | undefined {
+    return this._wallTime;
+  }
+  /** Raw UTC offset of the display time, e.g. "-0400". */
   get timezone(): string | undefined {
     return this._timezone;
   }
+  /** UTC offset of the display time in minutes, e.g. -240. */
+  get utcOffsetMinutes(): number {
+    return this._offsetMinutes;
+  }
+  /** Local time in the patient's zone, e.g. "2023-08-07T20:40:58-04:00". */
+  get localIso(): string {
+    return toLocalIso(this._datetime, this._offsetMinutes);
+  }
+  /** Local calendar day in the patient's zone, e.g. "2023-08-07". */
+  get localDate(): string {
+    return this.localIso.slice(0, 10);
+  }
+  /** Local clock time in the patient's zone, e.g. "20:40:58". */
+  get localTime(): string {
+    return this.localIso.slice(11, 19);
+  }
+  /** Display time minus system time in ms (undefined without `ST`). */
+  get clockSkewMs(): number | undefined {
+    return this._systemTime ? this._datetime.getTime() - this._systemTime.getTime() : undefined;
+  }
+  /** True when display and system time disagree, e.g. after the phone clock was changed. */
+  get hasClockSkew(): boolean {
+    return Math.abs(this.clockSkewMs ?? 0) > CLOCK_SKEW_TOLERANCE_MS;
+  }
   get json(): RawGlucoseReading {
     return this._json;
   }
@@ -93,4 +148,61 @@ export class GlucoseReading implements GlucoseReadingLike {
   toString(): string {
     return String(this._value);
   }
+
+  /** Versioned plain-object form; `JSON.stringify(reading)` uses it. */
+  toJSON(): SerializedGlucoseReading {
+    return {
+      version: 1,
+      value: this._value,
+      units: "mg/dL",
+      trendDirection: this._trendDirection,
+      datetime: this._datetime.toISOString(),
+      timezone: this._timezone ?? "+0000",
+      ...(this._systemTime ? { systemTime: this._systemTime.toISOString() } : {}),
+      ...(this._wallTime ? { wallTime: this._wallTime.toISOString() } : {}),
+    };
+  }
+
+  /**
+   * Restore a reading from `toJSON()` output or from a structured clone of the
+   * instance (e.g. one posted to a worker), which has lost its class but keeps
+   * the raw record. Only the clone keeps extra properties of that record.
+   * @throws ArgumentError when `value` is not a valid serialized reading
+   */
+  static fromObject(value: unknown): GlucoseReading {
+    if (typeof value === "object" && value !== null && "_json" in value) {
+      const clone = zClonedGlucose.safeParse(value);
+      if (!clone.success) {
+        throw new ArgumentError(DexcomErrorCode.GLUCOSE_READING_INVALID, { cause: clone.error });
+      }
+      return new GlucoseReading(value._json as RawGlucoseReading);
+    }
+    const result = zSerializedGlucose.safeParse(value);
+    if (!result.success) {
+      throw new ArgumentError(DexcomErrorCode.GLUCOSE_READING_INVALID, { cause: result.error });
+    }
+    const s = result.data;
+    const date = (iso: string): string => `Date(${Date.parse(iso)})`;
+    return new GlucoseReading({
+      ...(s.wallTime ? { WT: date(s.wallTime) } : {}),
+      ...(s.systemTime ? { ST: date(s.systemTime) } : {}),
+      DT: `Date(${Date.parse(s.datetime)}${s.timezone})`,
+      Value: s.value,
+      Trend: s.trendDirection,
+    });
+  }
+
+  /**
+   * Restore a reading from `JSON.stringify(reading)` output.
+   * @throws ArgumentError when `text` is not a valid serialized reading
+   */
+  static fromJSON(text: string): GlucoseReading {
+    let value: unknown;
+    try {
+      value = JSON.parse(text);
+    } catch (e) {
+      throw new ArgumentError(DexcomErrorCode.GLUCOSE_READING_INVALID, { cause: e });
+    }
+    return GlucoseReading.fromObject(value);
+  }
 }
@@ -0,0 +1,252 @@
+/**
+ * Pluggable local history store for readings beyond Share's 24-hour window.
+ * Readings are stored as raw Share records, de-duplicated by timestamp.
+ */
+
+import { appendFile, readFile } from "node:fs/promises";
+import { HistoryFileError } from "./errors";
+import { GlucoseReading } from "./glucoseReading";
+import type { RawGlucoseReading } from "./types";
+
+export interface HistoryStore {
+  /** Store readings; ones already stored (same timestamp) are skipped. Returns the number added. */
+  add(readings: readonly GlucoseReading[]): Promise<number>;
+  /** Readings with `from <= datetime <= to`, oldest first. */
+  range(from: Date, to: Date): Promise<GlucoseReading[]>;
+  /** Newest stored reading. */
+  latest(): Promise<GlucoseReading | undefined>;
+}
+
+/** Sorted, de-duplicated in-memory index shared by the memory and JSONL stores. */
+class ReadingIndex {
+  private byTime = new Map<number, RawGlucoseReading>();
+  private sorted: number[] | null = [];
+
+  /** Readings not indexed yet, without indexing them (first of each timestamp). */
+  missing(readings: readonly GlucoseReading[]): GlucoseReading[] {
+    const seen = new Set<number>();
+    return readings.filter((r) => {
+      const t = r.datetime.getTime();
+      if (this.byTime.has(t) || seen.has(t)) return false;
+      seen.add(t);
+      return true;
+    });
+  }
+
+  /** Returns the readings that were not indexed yet. */
+  add(readings: readonly GlucoseReading[]): GlucoseReading[] {
+    const added: GlucoseReading[] = [];
+    for (const r of readings) {
+      const t = r.datetime.getTime();
+      if (this.byTime.has(t)) continue;
+      this.byTime.set(t, r.json);
+      added.push(r);
+    }
+    if (added.length) this.sorted = null;
+    return added;
+  }
+
+  private times(): number[] {
+    this.sorted ??= [...this.byTime.keys()].sort((a, b) => a - b);
+    return this.sorted;
+  }
+
+  range(from: Date, to: Date): GlucoseReading[] {
+    const lo = from.getTime();
+    const hi = to.getTime();
+    return this.times()
+      .filter((t) => t >= lo && t <= hi)
+      .map((t) => new GlucoseReading(this.byTime.get(t)!));
+  }
+
+  latest(): GlucoseReading | undefined {
+    const t = this.times().at(-1);
+    return t === undefined ? undefined : new GlucoseReading(this.byTime.get(t)!);
+  }
+}
+
+/** In-memory store (tests, short-lived processes). */
+export class MemoryHistoryStore implements HistoryStore {
+  private index = new ReadingIndex();
+
+  add(readings: readonly GlucoseReading[]): Promise<number> {
+    return Promise.resolve(this.index.add(readings).length);
+  }
+
+  range(from: Date, to: Date): Promise<GlucoseReading[]> {
+    return Promise.resolve(this.index.range(from, to));
+  }
+
+  latest(): Promise<GlucoseReading | undefined> {
+    return Promise.resolve(this.index.latest());
+  }
+}
+
+export interface JsonlHistoryOptions {
+  /**
+   * Skip unreadable lines (e.g. one truncated by a crash mid-write) and report
+   * each here. Without it, loading throws a `HistoryFileError`.
+   */
+  onInvalidLine?: (error: HistoryFileError) => void;
+}
+
+/**
+ * Append-only JSONL file store: one raw Share record per line. The file is
+ * loaded on first use and new readings are appended.
+ */
+export class JsonlHistoryStore implements HistoryStore {
+  private index?: Promise<ReadingIndex>;
+  /** Pending append; appends run one at a time so none writes a duplicate. */
+  private writing: Promise<unknown> = Promise.resolve();
+  /** The file ends mid-line; the next append starts a new line first. */
+  private unterminated = false;
+  private onInvalidLine?: (error: HistoryFileError) => void;
+
+  constructor(
+    private readonly path: string,
+    options: JsonlHistoryOptions = {},
+  ) {
+    this.onInvalidLine = options.onInvalidLine;
+  }
+
+  private load(): Promise<ReadingIndex> {
+    this.index ??= this.read().catch((e: unknown) => {
+      // Let the next call retry (e.g. after the file was repaired).
+      this.index = undefined;
+      throw e;
+    });
+    return this.index;
+  }
+
+  private async read(): Promise<ReadingIndex> {
+    const index = new ReadingIndex();
+    let text = "";
+    try {
+      text = await readFile(this.path, "utf8");
+    } catch (e) {
+      if ((e as { code?: string }).code !== "ENOENT") throw e;
+    }
+    const readings: GlucoseReading[] = [];
+    text.split("\n").forEach((l, i) => {
+      if (!l.trim()) return;
+      try {
+        readings.push(new GlucoseReading(JSON.parse(l) as RawGlucoseReading));
+      } catch (cause) {
+        const error = new HistoryFileError(this.path, i + 1, { cause });
+        if (!this.onInvalidLine) throw error;
+        this.onInvalidLine(error);
+      }
+    });
+    index.add(readings);
+    this.unterminated = text.length > 0 && !text.endsWith("\n");
+    return index;
+  }
+
+  add(readings: readonly GlucoseReading[]): Promise<number> {
+    const append = (): Promise<number> => this.append(readings);
+    const done = this.writing.then(append, append);
+    this.writing = done.catch(() => undefined);
+    return done;
+  }
+
+  /** Write new readings, then index them: a failed write leaves nothing half-added. */
+  private async append(readings: readonly GlucoseReading[]): Promise<number> {
+    const index = await this.load();
+    const fresh = index.missing(readings);
+    if (!fresh.length) return 0;
+    const lines = fresh.map((r) => JSON.stringify(r.json) + "\n").join("");
+    await appendFile(this.path, (this.unterminated ? "\n" : "") + lines);
+    this.unterminated = false;
+    return index.add(fresh).length;
+  }
+
+  async range(from: Date, to: Date): Promise<GlucoseReading[]> {
+    return (await this.load()).range(from, to);
+  }
+
+  async latest(): Promise<GlucoseReading | undefined> {
+    return (await this.load()).latest();
+  }
+}
+
+/**
+ * Minimal synchronous SQLite API; satisfied by `node:sqlite` (`DatabaseSync`)
+ * and `better-sqlite3`.
+ */
+export interface SqliteDatabaseLike {
+  exec(sql: string): unknown;
+  prepare(sql: string): {
+    run(...params: unknown[]): { changes: number | bigint };
+    all(...params: unknown[]): unknown[];
+  };
+}
+
+/** `fn()` as a promise; a synchronous throw becomes a rejection. */
+function promised<T>(fn: () => T): Promise<T> {
+  return new Promise((resolve) => resolve(fn()));
+}
+
+/**
+ * SQLite store: one row per reading, keyed by timestamp (ms). Each `add()` is
+ * one transaction (a savepoint, so it also nests in the caller's).
+ */
+export class SqliteHistoryStore implements HistoryStore {
+  private ready = false;
+
+  constructor(
+    private readonly db: SqliteDatabaseLike,
+    private readonly table = "glucose_readings",
+  ) {}
+
+  private init(): void {
+    if (this.ready) return;
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (ts INTEGER PRIMARY KEY, raw TEXT NOT NULL)`,
+    );
+    this.ready = true;
+  }
+
+  private rows(sql: string, ...params: unknown[]): GlucoseReading[] {
+    this.init();
+    return this.db
+      .prepare(sql)
+      .all(...params)
+      .map(
+        (row) => new GlucoseReading(JSON.parse((row as { raw: string }).raw) as RawGlucoseReading),
+      );
+  }
+
+  add(readings: readonly GlucoseReading[]): Promise<number> {
+    return promised(() => {
+      this.init();
+      const insert = this.db.prepare(`INSERT OR IGNORE INTO ${this.table} (ts, raw) VALUES (?, ?)`);
+      this.db.exec("SAVEPOINT dexcom_history_add");
+      try {
+        let added = 0;
+        for (const r of readings) {
+          added += Number(insert.run(r.datetime.getTime(), JSON.stringify(r.json)).changes);
+        }
+        this.db.exec("RELEASE dexcom_history_add");
+        return added;
+      } catch (e) {
+        this.db.exec("ROLLBACK TO dexcom_history_add");
+        this.db.exec("RELEASE dexcom_history_add");
+        throw e;
+      }
+    });
+  }
+
+  range(from: Date, to: Date): Promise<GlucoseReading[]> {
+    return promised(() =>
+      this.rows(
+        `SELECT raw FROM ${this.table} WHERE ts >= ? AND ts <= ? ORDER BY ts`,
+        from.getTime(),
+        to.getTime(),
+      ),
+    );
+  }
+
+  latest(): Promise<GlucoseReading | undefined> {
+    return promised(() => this.rows(`SELECT raw FROM ${this.table} ORDER BY ts DESC LIMIT 1`)[0]);
+  }
+}
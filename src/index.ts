@@ -4,3 +4,16 @@ export { GlucoseReading } from "./glucoseReading";
 export * from "./errors";
 export * from "./types";
 export * from "./cache";
+export * from "./redisCache";
+export * from "./alerts";
+export * from "./forecast";
+export * from "./stats";
+export * from "./agp";
+export * from "./exporters";
+export * from "./nightscout";
+export * from "./history";
+export * from "./gaps";
+export * from "./clock";
+export * from "./format";
+export * from "./manager";
+export * from "./fixtures";
@@ -0,0 +1,87 @@
+/**
+ * Internal: delivers lifecycle events to `DexcomHooks` and a `DexcomLogger`,
+ * with passwords and session IDs redacted.
+ */
+
+import type { DexcomHooks, DexcomLogger } from "./types";
+
+type EventOf<K extends keyof DexcomHooks> = Parameters<NonNullable<DexcomHooks[K]>>[0];
+
+const LOG: { [K in keyof Required<DexcomHooks>]: [keyof DexcomLogger, string] } = {
+  onRequest: ["debug", "request"],
+  onResponse: ["debug", "response"],
+  onRetry: ["warn", "retry"],
+  onSessionCreated: ["info", "session created"],
+  onSessionRefreshed: ["info", "session refreshed"],
+  onSessionInvalidated: ["info", "session invalidated"],
+  onValidationFailure: ["error", "validation failed"],
+  onHistoryError: ["error", "history write failed"],
+};
+
+/** "****eeee": enough to tell sessions apart in logs, useless to an attacker. */
+export function maskSecret(secret: string): string {
+  return `****${secret.slice(-4)}`;
+}
+
+/** Session IDs remembered for redaction; older ones are long expired. */
+const MAX_SESSION_SECRETS = 32;
+
+export class Instrumentation {
+  /** Secret -> replacement, applied to every string emitted. */
+  private secrets = new Map<string, string>();
+  private sessionIds: string[] = [];
+
+  constructor(
+    private hooks: DexcomHooks = {},
+    private logger?: DexcomLogger,
+  ) {}
+
+  /** False when nobody listens. */
+  private get enabled(): boolean {
+    return Boolean(this.logger) || Object.keys(this.hooks).length > 0;
+  }
+
+  addPassword(password: string): void {
+    if (password) this.secrets.set(password, "<redacted>");
+  }
+
+  addSessionId(sessionId: string): void {
+    if (this.secrets.has(sessionId)) return;
+    this.secrets.set(sessionId, maskSecret(sessionId));
+    this.sessionIds.push(sessionId);
+    if (this.sessionIds.length > MAX_SESSION_SECRETS) this.secrets.delete(this.sessionIds.shift()!);
+  }
+
+  emit<K extends keyof DexcomHooks>(name: K, event: EventOf<K>): void {
+    if (!this.enabled) return;
+    const safe = this.redact(event) as EventOf<K>;
+    const [level, message] = LOG[name];
+    this.logger?.[level](`dexcom: ${message}`, safe);
+    const hook = this.hooks[name] as ((e: EventOf<K>) => void) | undefined;
+    try {
+      hook?.(safe);
+    } catch (e) {
+      this.logger?.warn(`dexcom: ${name} hook threw`, {
+        error: this.redact(e instanceof Error ? e.message : String(e)),
+      });
+    }
+  }
+
+  private redact(value: unknown): unknown {
+    if (typeof value === "string") {
+      let out = value;
+      for (const [secret, replacement] of this.secrets) out = out.split(secret).join(replacement);
+      return out;
+    }
+    if (Array.isArray(value)) return value.map((v) => this.redact(v));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [
+          k,
+          /password/i.test(k) ? "<redacted>" : this.redact(v),
+        ]),
+      );
+    }
+    return value;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Internal: circuit breaker around logins, so a wrong password stops being
+ * retried before Dexcom locks the account. State lives in the session cache.
+ */
+
+import type { KeyedSessionCache } from "./cache";
+import { AccountError, DexcomErrorCode, LoginBlockedError } from "./errors";
+import type { LoginBreakerOptions, LoginBreakerStatus } from "./types";
+
+interface BreakerState {
+  failures: number;
+  /** Epoch ms; set once `failures` reached the threshold. */
+  openUntil?: number;
+}
+
+/** How long a failure streak is remembered without new attempts. */
+const STATE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pending state update per breaker key. Clients of one process may hold
+ * different handles to the same store (e.g. a `FileSessionCache` each), so
+ * updates are chained by key rather than by cache; without that, concurrent
+ * failures read the same count and one of them is lost. Separate processes
+ * sharing a cache are not coordinated.
+ */
+const updates = new Map<string, Promise<void>>();
+
+export class LoginBreaker {
+  private threshold: number;
+  private cooldownMs: number;
+
+  constructor(
+    private cache: KeyedSessionCache,
+    private key: string,
+    options: LoginBreakerOptions = {},
+  ) {
+    const { threshold = 3, cooldownMs = 30 * 60 * 1000 } = options;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+  }
+
+  async status(now = Date.now()): Promise<LoginBreakerStatus> {
+    const { failures, openUntil } = await this.load();
+    let state: LoginBreakerStatus["state"] = "closed";
+    if (openUntil !== undefined) state = now < openUntil ? "open" : "half-open";
+    return {
+      state,
+      failures,
+      threshold: this.threshold,
+      ...(openUntil === undefined ? {} : { openUntil: new Date(openUntil) }),
+    };
+  }
+
+  /**
+   * Run `login` unless the breaker is open, recording whether authentication
+   * failed. `login` must make a single attempt at Dexcom per authentication
+   * failure, so every failed attempt is counted.
+   */
+  async guard<T>(login: () => Promise<T>): Promise<T> {
+    const { state, trial } = await this.enter();
+    let result: T;
+    try {
+      result = await login();
+    } catch (e) {
+      if (e instanceof AccountError) await this.fail(e);
+      // Share never answered the trial: let the next caller try instead of waiting another cooldown
+      else if (trial) await this.update((s) => ({ ...s, openUntil: Date.now() }));
+      throw e;
+    }
+    if (state.failures > 0) await this.reset();
+    return result;
+  }
+
+  /**
+   * State to log in from, or `LoginBlockedError` while open. Once the cooldown
+   * is over the first caller takes the one trial login by re-opening the
+   * breaker until its outcome is recorded; concurrent callers stay blocked.
+   */
+  private async enter(): Promise<{ state: BreakerState; trial: boolean }> {
+    const seen: { state: BreakerState; trial: boolean; blockedUntil?: number } = {
+      state: { failures: 0 },
+      trial: false,
+    };
+    await this.update((state) => {
+      seen.state = state;
+      if (state.openUntil === undefined) return state;
+      if (Date.now() < state.openUntil) {
+        seen.blockedUntil = state.openUntil;
+        return state;
+      }
+      seen.trial = true;
+      return { ...state, openUntil: Date.now() + this.cooldownMs };
+    });
+    if (seen.blockedUntil !== undefined) throw new LoginBlockedError(new Date(seen.blockedUntil));
+    return seen;
+  }
+
+  reset(): Promise<void> {
+    return this.update(() => undefined);
+  }
+
+  private fail(err: AccountError): Promise<void> {
+    return this.update((state) => {
+      const failures = state.failures + 1;
+      // Share already locked the account: no point in trying before the cooldown
+      const open = failures >= this.threshold || err.code === DexcomErrorCode.ACCOUNT_MAX_ATTEMPTS;
+      return open ? { failures, openUntil: Date.now() + this.cooldownMs } : { failures };
+    });
+  }
+
+  /**
+   * Apply `change` to the stored state after earlier updates of the key:
+   * undefined deletes it, the unchanged state writes nothing.
+   */
+  private update(change: (state: BreakerState) => BreakerState | undefined): Promise<void> {
+    const run = async (): Promise<void> => {
+      const state = await this.load();
+      const next = change(state);
+      if (next === state) return;
+      if (next) await this.cache.set(this.key, JSON.stringify(next), STATE_TTL_MS);
+      else await this.cache.delete(this.key);
+    };
+    const done = (updates.get(this.key) ?? Promise.resolve()).then(run);
+    const settled = done.catch(() => undefined);
+    updates.set(this.key, settled);
+    void settled.then(() => {
+      if (updates.get(this.key) === settled) updates.delete(this.key);
+    });
+    return done;
+  }
+
+  private async load(): Promise<BreakerState> {
+    const raw = await this.cache.get(this.key);
+    if (!raw) return { failures: 0 };
+    try {
+      const parsed = JSON.parse(raw) as BreakerState;
+      return typeof parsed.failures === "number" ? parsed : { failures: 0 };
+    } catch {
+      return { failures: 0 };
+    }
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Multi-patient client manager for caregiver dashboards.
+ */
+
+import { Dexcom } from "./dexcom";
+import type { DexcomOptions } from "./dexcom";
+import { DEXCOM_READING_INTERVAL_MS } from "./constants";
+import type { GlucoseReading } from "./glucoseReading";
+
+/** One followed person. */
+export interface PatientAccount extends DexcomOptions {
+  /** Caller's key for this patient. */
+  id: string;
+  password: string;
+  username?: string;
+  accountId?: string;
+}
+
+export type Freshness = "fresh" | "stale" | "none";
+
+export interface PatientSnapshot {
+  id: string;
+  /** Latest reading seen (kept when a later poll fails). */
+  reading?: GlucoseReading;
+  /** "none" until a reading was seen, then by reading age versus `staleAfterMs`. */
+  freshness: Freshness;
+  /** Age of `reading` in ms at snapshot time. */
+  ageMs?: number;
+  lastPolledAt?: Date;
+  /** Error of the last poll, if it failed. */
+  error?: unknown;
+}
+
+export interface ManagerOptions {
+  /** Max polls in flight across all patients (default 4). */
+  concurrency?: number;
+  /** Poll interval per patient (default 5 minutes). */
+  pollIntervalMs?: number;
+  /** Readings older than this are "stale" (default 15 minutes). */
+  staleAfterMs?: number;
+  /** Options shared by every client; per-account options win. */
+  clientOptions?: DexcomOptions;
+  /** Called after each poll; an exception is logged via `clientOptions.logger` and ignored. */
+  onUpdate?: (snapshot: PatientSnapshot) => void;
+}
+
+interface PatientState {
+  client: Dexcom;
+  reading?: GlucoseReading;
+  lastPolledAt?: Date;
+  error?: unknown;
+  timer?: ReturnType<typeof setTimeout>;
+}
+
+/**
+ * Holds many accounts, polls them with staggered timers under one concurrency
+ * limit, and keeps failures per patient.
+ *
+ * ```ts
+ * const mgr = new DexcomManager([{ id: "anna", username, password, region: Region.OUS }]);
+ * mgr.start();
+ * setInterval(() => render(mgr.snapshot()), 10_000);
+ * ```
+ */
+export class DexcomManager {
+  private patients = new Map<string, PatientState>();
+  private concurrency: number;
+  private pollIntervalMs: number;
+  private staleAfterMs: number;
+  private clientOptions: DexcomOptions;
+  private onUpdate?: (snapshot: PatientSnapshot) => void;
+
+  private running = false;
+  /** Bumped by `start()`; timers of an earlier run never reschedule. */
+  private generation = 0;
+  private active = 0;
+  private queue: (() => void)[] = [];
+
+  constructor(accounts: readonly PatientAccount[] = [], options: ManagerOptions = {}) {
+    const {
+      concurrency = 4,
+      pollIntervalMs = DEXCOM_READING_INTERVAL_MS,
+      staleAfterMs = 15 * 60_000,
+      clientOptions = {},
+      onUpdate,
+    } = options;
+    this.concurrency = Math.max(1, concurrency);
+    this.pollIntervalMs = pollIntervalMs;
+    this.staleAfterMs = staleAfterMs;
+    this.clientOptions = clientOptions;
+    this.onUpdate = onUpdate;
+    for (const a of accounts) this.add(a);
+  }
+
+  /** Add (or replace) a patient. */
+  add(account: PatientAccount): void {
+    const { id, ...params } = account;
+    this.remove(id);
+    this.patients.set(id, { client: new Dexcom({ ...this.clientOptions, ...params }) });
+    if (this.running) this.schedule(id, 0);
+  }
+
+  /** Stop following a patient. */
+  remove(id: string): void {
+    const state = this.patients.get(id);
+    if (state?.timer) clearTimeout(state.timer);
+    this.patients.delete(id);
+  }
+
+  /** Poll one patient now (queued behind the concurrency limit). Never rejects. */
+  async poll(id: string): Promise<PatientSnapshot | undefined> {
+    const state = this.patients.get(id);
+    if (!state) return undefined;
+
+    await this.acquire();
+    try {
+      const reading = await state.client.getLatestGlucoseReading();
+      if (reading) state.reading = reading;
+      state.error = undefined;
+    } catch (err) {
+      state.error = err;
+    } finally {
+      state.lastPolledAt = new Date();
+      this.release();
+    }
+
+    const snap = this.snapshotOf(id, state, new Date());
+    try {
+      this.onUpdate?.(snap);
+    } catch (e) {
+      this.clientOptions.logger?.warn("dexcom: onUpdate callback threw", {
+        id,
+        error: e instanceof Error ? e.message : String(e),
+      });
+    }
+    return snap;
+  }
+
+  /** Poll every patient once. */
+  async pollAll(): Promise<PatientSnapshot[]> {
+    const snaps = await Promise.all([...this.patients.keys()].map((id) => this.poll(id)));
+    return snaps.filter((s): s is PatientSnapshot => s !== undefined);
+  }
+
+  /** Start polling; patients are spread evenly over one interval. */
+  start(): void {
+    if (this.running) return;
+    this.running = true;
+    this.generation += 1;
+    const ids = [...this.patients.keys()];
+    ids.forEach((id, i) => this.schedule(id, (i * this.pollIntervalMs) / ids.length));
+  }
+
+  /** Stop polling (polls in flight still finish). */
+  stop(): void {
+    this.running = false;
+    for (const state of this.patients.values()) {
+      if (state.timer) clearTimeout(state.timer);
+      state.timer = undefined;
+    }
+  }
+
+  /** Latest reading and freshness per patient. */
+  snapshot(now: Date = new Date()): PatientSnapshot[] {
+    return [...this.patients.entries()].map(([id, state]) => this.snapshotOf(id, state, now));
+  }
+
+  private schedule(id: string, delayMs: number): void {
+    const state = this.patients.get(id);
+    if (!state || !this.running) return;
+    const generation = this.generation;
+    state.timer = setTimeout(() => {
+      state.timer = undefined;
+      void this.poll(id).finally(() => {
+        // Skip if stopped, restarted, or the patient was removed or replaced meanwhile
+        if (this.generation === generation && this.patients.get(id) === state) {
+          this.schedule(id, this.pollIntervalMs);
+        }
+      });
+    }, delayMs);
+  }
+
+  private snapshotOf(id: string, state: PatientState, now: Date): PatientSnapshot {
+    const ageMs = state.reading ? now.getTime() - state.reading.datetime.getTime() : undefined;
+    return {
+      id,
+      reading: state.reading,
+      freshness: ageMs === undefined ? "none" : ageMs > this.staleAfterMs ? "stale" : "fresh",
+      ageMs,
+      lastPolledAt: state.lastPolledAt,
+      error: state.error,
+    };
+  }
+
+  private acquire(): Promise<void> {
+    if (this.active < this.concurrency) {
+      this.active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.queue.push(resolve));
+  }
+
+  private release(): void {
+    const next = this.queue.shift();
+    if (next) next();
+    else this.active -= 1;
+  }
+}
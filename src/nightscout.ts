@@ -0,0 +1,194 @@
+/**
+ * Nightscout bridge: upload Share readings as Nightscout SGV `entries`.
+ */
+
+import { MAX_MAX_COUNT, MAX_MINUTES } from "./constants";
+import type { Dexcom } from "./dexcom";
+import {
+  ArgumentError,
+  DexcomError,
+  type DexcomErrorDetails,
+  DexcomErrorCode,
+  NetworkError,
+  RateLimitError,
+  ServerError,
+} from "./errors";
+import type { GlucoseReading } from "./glucoseReading";
+import { fetchWithRetry, minutesSince, parseRetryAfter } from "./util";
+import type { RetryOptions } from "./util";
+
+export interface NightscoutOptions {
+  /** Site URL, e.g. "https://my-cgm.example.com". */
+  url: string;
+  /** API secret; sent SHA-1 hashed in the `api-secret` header. */
+  apiSecret?: string;
+  /** Access token (alternative to `apiSecret`). */
+  token?: string;
+  /** `device` field of uploaded entries (default "dexcom-share-ts"). */
+  device?: string;
+  /** Retry policy for network/5xx/429 errors. */
+  retry?: RetryOptions;
+}
+
+/** Nightscout SGV entry. */
+export interface NightscoutEntry {
+  type: "sgv";
+  sgv: number;
+  direction: string;
+  trend: number;
+  date: number;
+  dateString: string;
+  device: string;
+}
+
+/** Dexcom trend directions spelled the Nightscout way. */
+const NS_DIRECTIONS: Record<string, string> = {
+  None: "NONE",
+  NotComputable: "NOT COMPUTABLE",
+  RateOutOfRange: "RATE OUT OF RANGE",
+};
+
+/** Map a reading to a Nightscout SGV entry. */
+export function toNightscoutEntry(
+  reading: GlucoseReading,
+  device = "dexcom-share-ts",
+): NightscoutEntry {
+  return {
+    type: "sgv",
+    sgv: reading.mgDl,
+    direction: NS_DIRECTIONS[reading.trendDirection] ?? reading.trendDirection,
+    trend: reading.trend,
+    date: reading.datetime.getTime(),
+    dateString: reading.localIso,
+    device,
+  };
+}
+
+async function sha1Hex(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Uploads readings to Nightscout, skipping anything at or before the newest
+ * entry already there.
+ *
+ * ```ts
+ * const ns = new NightscoutUploader({ url, apiSecret });
+ * setInterval(() => void ns.sync(dex), 5 * 60_000);
+ * ```
+ */
+export class NightscoutUploader {
+  private baseUrl: string;
+  private apiSecret?: string;
+  private token?: string;
+  private device: string;
+  private retry: RetryOptions;
+  private lastDate?: number;
+
+  constructor(options: NightscoutOptions) {
+    const { url, apiSecret, token, device = "dexcom-share-ts", retry = {} } = options;
+    if (!apiSecret && !token) throw new ArgumentError(DexcomErrorCode.NIGHTSCOUT_AUTH_REQUIRED);
+    this.baseUrl = url.replace(/\/+$/, "");
+    this.apiSecret = apiSecret;
+    this.token = token;
+    this.device = device;
+    this.retry = retry;
+  }
+
+  /** Errors carry the same details as the Share client's: status, endpoint, attempts, cause. */
+  private async request(method: string, path: string, body?: unknown): Promise<unknown> {
+    const url = new URL(this.baseUrl + path);
+    const endpoint = url.pathname;
+    if (this.token) url.searchParams.set("token", this.token);
+    const headers: Record<string, string> = {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    };
+    if (this.apiSecret) headers["api-secret"] = await sha1Hex(this.apiSecret);
+
+    let attempts = 0;
+    let res: Response;
+    try {
+      res = await fetchWithRetry(
+        url,
+        { method, headers, body: body === undefined ? undefined : JSON.stringify(body) },
+        this.retry,
+        fetch,
+        undefined,
+        { onRequest: (attempt) => (attempts = attempt) },
+      );
+    } catch (e) {
+      if (e instanceof DexcomError) throw e;
+      throw new NetworkError({ endpoint, attempts, cause: e });
+    }
+
+    const details: DexcomErrorDetails = {
+      status: res.status,
+      endpoint,
+      attempts,
+      retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+    };
+    let text: string;
+    try {
+      text = await res.text();
+    } catch (e) {
+      throw new NetworkError({ ...details, cause: e });
+    }
+    if (!res.ok) {
+      if (res.status === 429) throw new RateLimitError(details);
+      throw new ServerError(DexcomErrorCode.NIGHTSCOUT_REQUEST_FAILED, details);
+    }
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (e) {
+      throw new ServerError(DexcomErrorCode.SERVER_INVALID_JSON, { ...details, cause: e });
+    }
+  }
+
+  /** Time of the newest SGV entry on the site (cached after the first call). */
+  async lastUploadedAt(): Promise<Date | undefined> {
+    if (this.lastDate === undefined) {
+      const data = await this.request("GET", "/api/v1/entries/sgv.json?count=1");
+      const date = Array.isArray(data)
+        ? (data[0] as { date?: unknown } | undefined)?.date
+        : undefined;
+      this.lastDate = typeof date === "number" ? date : 0;
+    }
+    return this.lastDate ? new Date(this.lastDate) : undefined;
+  }
+
+  /** Upload readings newer than the last uploaded one. Returns the number uploaded. */
+  async upload(readings: readonly GlucoseReading[]): Promise<number> {
+    const since = (await this.lastUploadedAt())?.getTime() ?? 0;
+    const seen = new Set<number>();
+    const fresh = readings
+      .filter((r) => {
+        const t = r.datetime.getTime();
+        if (t <= since || seen.has(t)) return false;
+        seen.add(t);
+        return true;
+      })
+      .sort((a, b) => a.datetime.getTime() - b.datetime.getTime());
+    if (fresh.length === 0) return 0;
+
+    await this.request(
+      "POST",
+      "/api/v1/entries",
+      fresh.map((r) => toNightscoutEntry(r, this.device)),
+    );
+    this.lastDate = fresh[fresh.length - 1]!.datetime.getTime();
+    return fresh.length;
+  }
+
+  /**
+   * Fetch readings since the last upload from Share and upload them. After an
+   * outage (or on first run) this backfills the full 24 hours Share keeps.
+   */
+  async sync(dexcom: Dexcom): Promise<number> {
+    const since = (await this.lastUploadedAt())?.getTime();
+    const minutes = since === undefined ? MAX_MINUTES : minutesSince(since);
+    const readings = await dexcom.getGlucoseReadings(minutes, MAX_MAX_COUNT);
+    return this.upload(readings);
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Keyed session cache over the Redis protocol (RESP2), without a client dependency.
+ */
+
+import { Buffer } from "node:buffer";
+import { connect as connectTcp } from "node:net";
+import type { Socket } from "node:net";
+import { connect as connectTls } from "node:tls";
+import type { KeyedSessionCache } from "./cache";
+import { cancellationError, throwIfAborted } from "./util";
+
+export interface RedisSessionCacheOptions {
+  /** `redis://[user:pass@]host:port/db` or `rediss://...` for TLS (default "redis://127.0.0.1:6379"). */
+  url?: string;
+  /** Prepended to every key (default ""). */
+  keyPrefix?: string;
+  /**
+   * Ms to wait for the connection and for each reply (default 5000). On timeout
+   * the connection is dropped and the next command reconnects.
+   */
+  timeoutMs?: number;
+}
+
+type Reply = string | number | null | Error | Reply[];
+
+/** Parse one RESP reply at `pos`; undefined if `buf` does not hold all of it yet. */
+function parseReply(buf: Buffer, pos: number): { value: Reply; next: number } | undefined {
+  const eol = buf.indexOf("\r\n", pos);
+  if (eol < 0) return undefined;
+  const line = buf.toString("utf8", pos + 1, eol);
+  const next = eol + 2;
+  switch (String.fromCharCode(buf[pos]!)) {
+    case "+":
+      return { value: line, next };
+    case "-":
+      return { value: new Error(line), next };
+    case ":":
+      return { value: Number(line), next };
+    case "$": {
+      const len = Number(line);
+      if (len < 0) return { value: null, next };
+      if (buf.length < next + len + 2) return undefined;
+      return { value: buf.toString("utf8", next, next + len), next: next + len + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count < 0) return { value: null, next };
+      const items: Reply[] = [];
+      let at = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, at);
+        if (!item) return undefined;
+        items.push(item.value);
+        at = item.next;
+      }
+      return { value: items, next: at };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${line}`);
+  }
+}
+
+function encodeCommand(args: string[]): string {
+  return `*${args.length}\r\n` + args.map((a) => `$${Buffer.byteLength(a)}\r\n${a}\r\n`).join("");
+}
+
+/** `promise`, or a `CancellationError` as soon as `signal` aborts. */
+function untilAborted<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+  if (!signal) return promise;
+  return new Promise<T>((resolve, reject) => {
+    const abort = (): void => reject(cancellationError(signal));
+    signal.addEventListener("abort", abort, { once: true });
+    void promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", abort));
+  });
+}
+
+/**
+ * Keyed session cache stored in Redis (or anything speaking its protocol,
+ * e.g. Valkey, KeyDB, Dragonfly). Connects lazily and reconnects after errors.
+ *
+ * ```ts
+ * const cache = new RedisSessionCache({ url: process.env.REDIS_URL, keyPrefix: "app:" });
+ * const dex = new Dexcom({ username, password, cache });
+ * ```
+ */
+export class RedisSessionCache implements KeyedSessionCache {
+  readonly keyed = true;
+  private url: URL;
+  private keyPrefix: string;
+  private timeoutMs: number;
+  private socket?: Promise<Socket>;
+  private current?: Socket;
+  private pending: { resolve: (r: Reply) => void; reject: (e: Error) => void }[] = [];
+  private buffer: Buffer = Buffer.alloc(0);
+
+  constructor(options: RedisSessionCacheOptions = {}) {
+    const { url = "redis://127.0.0.1:6379", keyPrefix = "", timeoutMs = 5_000 } = options;
+    this.url = new URL(url);
+    this.keyPrefix = keyPrefix;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async get(key: string, signal?: AbortSignal): Promise<string | null> {
+    const reply = await this.command(["GET", this.keyPrefix + key], signal);
+    return typeof reply === "string" ? reply : null;
+  }
+
+  async set(key: string, value: string, ttlMs: number, signal?: AbortSignal): Promise<void> {
+    const ttl = String(Math.max(1, Math.ceil(ttlMs)));
+    await this.command(["SET", this.keyPrefix + key, value, "PX", ttl], signal);
+  }
+
+  async delete(key: string, signal?: AbortSignal): Promise<void> {
+    await this.command(["DEL", this.keyPrefix + key], signal);
+  }
+
+  /** Close the connection (a later call reconnects). */
+  async close(): Promise<void> {
+    const socket = await this.socket?.catch(() => undefined);
+    if (socket) this.fail(socket, new Error("Redis connection closed"));
+  }
+
+  /**
+   * Send `args` once connected. An abort only stops the wait: the command keeps
+   * its place in the pipeline so later replies still match their commands.
+   */
+  private command(args: string[], signal?: AbortSignal): Promise<Reply> {
+    throwIfAborted(signal);
+    const reply = this.connection().then((socket) => {
+      throwIfAborted(signal);
+      return this.send(socket, args);
+    });
+    return untilAborted(reply, signal);
+  }
+
+  private send(socket: Socket, args: string[]): Promise<Reply> {
+    return new Promise<Reply>((resolve, reject) => {
+      // A server that stopped answering: drop the connection (and every waiting command)
+      const timer = setTimeout(() => {
+        this.fail(socket, new Error(`Redis reply timed out after ${this.timeoutMs} ms`));
+      }, this.timeoutMs);
+      this.pending.push({
+        resolve: (r) => {
+          clearTimeout(timer);
+          resolve(r);
+        },
+        reject: (e) => {
+          clearTimeout(timer);
+          reject(e);
+        },
+      });
+      socket.write(encodeCommand(args));
+    }).then((reply) => {
+      if (reply instanceof Error) throw reply;
+      return reply;
+    });
+  }
+
+  private connection(): Promise<Socket> {
+    this.socket ??= this.open().catch((e: unknown) => {
+      this.socket = undefined;
+      throw e;
+    });
+    return this.socket;
+  }
+
+  private async open(): Promise<Socket> {
+    const { hostname, port, protocol, username, password, pathname } = this.url;
+    const tls = protocol === "rediss:";
+    const host = hostname.replace(/^\[|\]$/g, "");
+    const socket = await new Promise<Socket>((resolve, reject) => {
+      const connected = (): void => {
+        clearTimeout(timer);
+        resolve(s);
+      };
+      const s = tls
+        ? connectTls({ host, port: Number(port || 6379), servername: host }, connected)
+        : connectTcp({ host, port: Number(port || 6379) }, connected);
+      const timer = setTimeout(() => {
+        s.destroy();
+        reject(new Error(`Redis connection timed out after ${this.timeoutMs} ms`));
+      }, this.timeoutMs);
+      s.once("error", (e: Error) => {
+        clearTimeout(timer);
+        reject(e);
+      });
+    });
+    this.current = socket;
+    this.buffer = Buffer.alloc(0);
+    socket.on("data", (chunk: Buffer) => this.onData(socket, chunk));
+    socket.on("error", (e) => this.fail(socket, e));
+    socket.on("close", () => this.fail(socket, new Error("Redis connection closed")));
+
+    try {
+      if (password) {
+        const auth = username
+          ? ["AUTH", decodeURIComponent(username), decodeURIComponent(password)]
+          : ["AUTH", decodeURIComponent(password)];
+        await this.send(socket, auth);
+      }
+      const db = pathname.replace(/^\//, "");
+      if (db) await this.send(socket, ["SELECT", db]);
+    } catch (e) {
+      this.fail(socket, e as Error);
+      throw e;
+    }
+    return socket;
+  }
+
+  private onData(socket: Socket, chunk: Buffer): void {
+    if (socket !== this.current) return;
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let pos = 0;
+    try {
+      for (;;) {
+        const reply = pos < this.buffer.length ? parseReply(this.buffer, pos) : undefined;
+        if (!reply) break;
+        pos = reply.next;
+        this.pending.shift()?.resolve(reply.value);
+      }
+    } catch (e) {
+      this.fail(socket, e as Error);
+      return;
+    }
+    this.buffer = this.buffer.subarray(pos);
+  }
+
+  private fail(socket: Socket, error: Error): void {
+    socket.destroy();
+    // Events of a connection that was already replaced or closed
+    if (socket !== this.current) return;
+    this.current = undefined;
+    this.socket = undefined;
+    for (const p of this.pending.splice(0)) p.reject(error);
+  }
+}
@@ -4,14 +4,19 @@
 
 import { z } from "zod";
 import { DEXCOM_TREND_DIRECTIONS } from "./constants";
+import type { ValidationIssue } from "./errors";
 
 export const zUuid = z.string().uuid();
 
 export const zDexcomDate = z.string().regex(/^Date\(\d{13}[+-]\d{4}\)$/);
 
+/** WT/ST: "Date(1691455258000)", offset optional. */
+export const zDexcomTimestamp = z.string().regex(/^Date\(\d{13}([+-]\d{4})?\)$/);
+
+// Only DT must parse: a malformed WT/ST is dropped instead of failing the record
 export const zRawGlucose = z.object({
-  WT: z.string().optional(),
-  ST: z.string().optional(),
+  WT: zDexcomTimestamp.optional().catch(undefined),
+  ST: zDexcomTimestamp.optional().catch(undefined),
   DT: zDexcomDate,
   Value: z.coerce.number().int(),
   Trend: z.string().refine((v) => v in DEXCOM_TREND_DIRECTIONS, { message: "Unknown trend" }),
@@ -19,7 +24,55 @@ export const zRawGlucose = z.object({
 
 export const zRawGlucoseArray = z.array(zRawGlucose);
 
+/** Readings response checked only for being an array, for per-record validation. */
+export const zRecordArray = z.array(z.unknown());
+
+/** Structured clone of a `GlucoseReading` instance: its private fields, `_json` the raw record. */
+export const zClonedGlucose = z.object({ _json: zRawGlucose });
+
+/** `SerializedGlucoseReading`, version 1 (see `GlucoseReading.toJSON()`). */
+export const zSerializedGlucose = z.object({
+  version: z.literal(1),
+  value: z.number().int(),
+  units: z.literal("mg/dL"),
+  trendDirection: z
+    .string()
+    .refine((v) => v in DEXCOM_TREND_DIRECTIONS, { message: "Unknown trend" }),
+  datetime: z.iso.datetime(),
+  timezone: z.string().regex(/^[+-]\d{4}$/),
+  systemTime: z.iso.datetime().optional(),
+  wallTime: z.iso.datetime().optional(),
+});
+
 // Dexcom endpoints for accountId/sessionId return string UUID
 export const zAuthString = z
   .string()
   .refine((s) => /^[0-9a-fA-F-]{36}$/.test(s), { message: "Not UUID-like" });
+
+/**
+ * Flatten a ZodError into issues naming the record and field. For arrays the
+ * first path element is the record index; pass `record` when `data` is a single
+ * element of a larger response.
+ */
+export function validationIssues(
+  error: z.ZodError,
+  data: unknown,
+  record?: number,
+): ValidationIssue[] {
+  return error.issues.map((issue) => {
+    const path = issue.path.filter((p): p is string | number => typeof p !== "symbol");
+    let received: unknown = data;
+    for (const key of path) {
+      received = received && typeof received === "object" ? (received as never)[key] : undefined;
+    }
+    const [head, ...rest] = path;
+    const index = record ?? (typeof head === "number" ? head : undefined);
+    const fields = record === undefined && typeof head === "number" ? rest : path;
+    return {
+      ...(index === undefined ? {} : { record: index }),
+      ...(fields.length ? { field: fields.join(".") } : {}),
+      message: issue.message,
+      received,
+    };
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * Glycemic statistics (international consensus CGM metrics).
+ */
+
+import { DEXCOM_READING_INTERVAL_MS } from "./constants";
+import type { GlucoseReading } from "./glucoseReading";
+import type { GlucoseUnit } from "./types";
+import { toMgDl, toMmolL } from "./util";
+
+/** A glucose quantity in both units. */
+export interface GlucoseQuantity {
+  mgDl: number;
+  mmolL: number;
+}
+
+export interface StatisticsOptions {
+  /** Units of the range cut-offs below (default "mg/dL"). */
+  units?: GlucoseUnit;
+  /** Very low below this value (default 54 mg/dL). */
+  veryLow?: number;
+  /** Low below this value (default 70 mg/dL). */
+  low?: number;
+  /** High above this value (default 180 mg/dL). */
+  high?: number;
+  /** Very high above this value (default 250 mg/dL). */
+  veryHigh?: number;
+  /** Period start; earlier readings are ignored (default first reading). */
+  start?: Date;
+  /** Period end; later readings are ignored (default last reading). */
+  end?: Date;
+  /** Expected reading interval (default 5 minutes). */
+  intervalMs?: number;
+}
+
+/** Percent of readings per range bucket (sums to 100). */
+export interface TimeInRanges {
+  veryLow: number;
+  low: number;
+  inRange: number;
+  high: number;
+  veryHigh: number;
+}
+
+export interface GlucoseStatistics {
+  count: number;
+  start: Date;
+  end: Date;
+  mean: GlucoseQuantity;
+  /** Standard deviation (sample). */
+  sd: GlucoseQuantity;
+  /** Coefficient of variation, percent. */
+  cv: number;
+  /** Glucose Management Indicator, percent. */
+  gmi: number;
+  /** Estimated A1c (ADAG formula), percent. */
+  estimatedA1c: number;
+  timeInRange: TimeInRanges;
+  /** Readings present versus expected for the period. */
+  sufficiency: { expected: number; present: number; percent: number };
+}
+
+const round1 = (v: number): number => Math.round(v * 10) / 10;
+const quantity = (mgDl: number): GlucoseQuantity => ({
+  mgDl: round1(mgDl),
+  mmolL: toMmolL(mgDl),
+});
+
+/**
+ * Compute consensus metrics for a set of readings (any order; duplicate
+ * timestamps count once). Returns undefined when no reading falls in the
+ * period.
+ */
+export function glucoseStatistics(
+  readings: readonly GlucoseReading[],
+  options: StatisticsOptions = {},
+): GlucoseStatistics | undefined {
+  const { units = "mg/dL", intervalMs = DEXCOM_READING_INTERVAL_MS } = options;
+  const mgDl = (v: number | undefined, def: number): number =>
+    v === undefined ? def : toMgDl(v, units);
+  const veryLow = mgDl(options.veryLow, 54);
+  const low = mgDl(options.low, 70);
+  const high = mgDl(options.high, 180);
+  const veryHigh = mgDl(options.veryHigh, 250);
+
+  const from = options.start?.getTime() ?? -Infinity;
+  const to = options.end?.getTime() ?? Infinity;
+  const byTime = new Map<number, number>();
+  for (const r of readings) {
+    const t = r.datetime.getTime();
+    if (t >= from && t <= to) byTime.set(t, r.mgDl);
+  }
+  const values = [...byTime.values()];
+  const n = values.length;
+  if (n === 0) return undefined;
+
+  const times = [...byTime.keys()];
+  const start = options.start ?? new Date(times.reduce((a, b) => Math.min(a, b)));
+  const end = options.end ?? new Date(times.reduce((a, b) => Math.max(a, b)));
+
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1)) : 0;
+
+  const buckets: TimeInRanges = { veryLow: 0, low: 0, inRange: 0, high: 0, veryHigh: 0 };
+  for (const v of values) {
+    if (v < veryLow) buckets.veryLow += 1;
+    else if (v < low) buckets.low += 1;
+    else if (v <= high) buckets.inRange += 1;
+    else if (v <= veryHigh) buckets.high += 1;
+    else buckets.veryHigh += 1;
+  }
+  for (const k of Object.keys(buckets) as (keyof TimeInRanges)[]) {
+    buckets[k] = round1((buckets[k] / n) * 100);
+  }
+
+  const expected = Math.max(1, Math.floor((end.getTime() - start.getTime()) / intervalMs) + 1);
+  const present = Math.min(expected, n);
+
+  return {
+    count: n,
+    start,
+    end,
+    mean: quantity(mean),
+    sd: quantity(sd),
+    cv: round1((sd / mean) * 100),
+    gmi: round1(3.31 + 0.02392 * mean),
+    estimatedA1c: round1((mean + 46.7) / 28.7),
+    timeInRange: buckets,
+    sufficiency: { expected, present, percent: round1((present / expected) * 100) },
+  };
+}
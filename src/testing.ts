@@ -0,0 +1,504 @@
+/**
+ * Test helpers (`dexcom-share-ts/testing`): an in-process fake Dexcom Share
+ * server with scripted or generated readings and error injection.
+ */
+
+import { Buffer } from "node:buffer";
+import { createServer } from "node:http";
+import type { IncomingMessage, Server, ServerResponse } from "node:http";
+import {
+  DEXCOM_AUTHENTICATE_ENDPOINT,
+  DEXCOM_GLUCOSE_READINGS_ENDPOINT,
+  DEXCOM_LOGIN_ID_ENDPOINT,
+  DEXCOM_READING_INTERVAL_MS,
+  GLUCOSE_MAX_MG_DL,
+  GLUCOSE_MIN_MG_DL,
+} from "./constants";
+import type { RawGlucoseReading } from "./types";
+import { isValidUUID, sleep, trendDirectionForRate } from "./util";
+
+/** A reading served by the fake server. */
+export interface FakeReading {
+  mgDl: number;
+  /** Trend direction, e.g. "Flat" (default "Flat"). */
+  trend?: string;
+  datetime: Date | number;
+  /** UTC offset like "-0400" (default "+0000"). */
+  timezone?: string;
+}
+
+export interface FakeAccountOptions {
+  username?: string;
+  /** Generated if omitted. */
+  accountId?: string;
+  password: string;
+  /** Scripted readings, or a function of the server clock (default none). */
+  readings?: FakeReading[] | ((now: Date) => FakeReading[]);
+}
+
+/** An account as registered on the fake server. */
+export interface FakeAccount {
+  username?: string;
+  accountId: string;
+  password: string;
+}
+
+export interface FakeShareServerOptions {
+  accounts?: FakeAccountOptions[];
+  /** Server clock (default `Date.now`). */
+  now?: () => number;
+  /** Sessions become invalid (SessionNotValid) after this many reads (default unlimited). */
+  sessionMaxReads?: number;
+  /** Sessions become invalid after this long (default unlimited). */
+  sessionTtlMs?: number;
+  /** Failed password checks before SSO_AuthenticateMaxAttemptsExceeded (default unlimited). */
+  maxFailedLogins?: number;
+  /** HTTP status of Share error responses (default 500, like the real service). */
+  errorStatus?: number;
+  /** Delay before each response in ms (default 0). */
+  latencyMs?: number;
+}
+
+export type FakeEndpoint = "authenticate" | "login" | "readings";
+
+/** Named faults: every Share error code the client maps, plus transport failures. */
+export type FakeFaultName =
+  | "SessionIdNotFound"
+  | "SessionNotValid"
+  | "AccountPasswordInvalid"
+  | "SSO_AuthenticateMaxAttemptsExceeded"
+  | "SSO_InternalError"
+  | "InvalidArgument"
+  | "UnknownCode"
+  | "rateLimit"
+  | "serverError"
+  | "badGateway"
+  | "serviceUnavailable"
+  | "gatewayTimeout"
+  | "malformedJson"
+  | "network";
+
+export type FakeFault =
+  | FakeFaultName
+  /** Share error body `{ Code, Message }`. */
+  | { code: string; message?: string; status?: number }
+  /** Plain HTTP failure. */
+  | { status: number; retryAfter?: number; body?: string };
+
+export interface InjectOptions {
+  /** Endpoint to fail (default: any). */
+  endpoint?: FakeEndpoint;
+  /** Number of requests to fail (default 1; `Infinity` until `clearFaults()`). */
+  times?: number;
+}
+
+/** A request seen by the fake server. */
+export interface FakeRequest {
+  endpoint: FakeEndpoint | "unknown";
+  url: string;
+  body: unknown;
+  /** Fault injected into this request, if any. */
+  fault?: FakeFault;
+}
+
+export interface GenerateReadingsOptions {
+  /** First reading time (default: `count` intervals before `end`). */
+  start?: Date | number;
+  /** Last reading time (default now). */
+  end?: Date | number;
+  /** Number of readings (default 288, i.e. 24 hours). */
+  count?: number;
+  intervalMs?: number;
+  /** Mean of the curve (default 120). */
+  baseMgDl?: number;
+  /** Sine amplitude (default 40). */
+  amplitudeMgDl?: number;
+  /** Sine period (default 180). */
+  periodMinutes?: number;
+  /** Uniform noise range ± (default 5). */
+  noiseMgDl?: number;
+  /** PRNG seed, for repeatable data (default 1). */
+  seed?: number;
+  timezone?: string;
+}
+
+/** Deterministic PRNG (mulberry32) in [0, 1). */
+function random(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sine-wave glucose curve with noise, oldest first, clamped to the sensor range.
+ * Trends follow the rate of change like Dexcom's.
+ */
+export function generateReadings(options: GenerateReadingsOptions = {}): FakeReading[] {
+  const {
+    count = 288,
+    intervalMs = DEXCOM_READING_INTERVAL_MS,
+    baseMgDl = 120,
+    amplitudeMgDl = 40,
+    periodMinutes = 180,
+    noiseMgDl = 5,
+    seed = 1,
+    timezone = "+0000",
+  } = options;
+  const end = new Date(options.end ?? Date.now()).getTime();
+  const start =
+    options.start === undefined
+      ? end - (count - 1) * intervalMs
+      : new Date(options.start).getTime();
+  const rand = random(seed);
+
+  const readings: FakeReading[] = [];
+  let prev: number | undefined;
+  for (let i = 0; i < count; i++) {
+    const t = start + i * intervalMs;
+    const phase = (2 * Math.PI * (t / 60_000)) / periodMinutes;
+    const noise = (rand() * 2 - 1) * noiseMgDl;
+    const mgDl = Math.round(
+      Math.min(
+        GLUCOSE_MAX_MG_DL,
+        Math.max(GLUCOSE_MIN_MG_DL, baseMgDl + amplitudeMgDl * Math.sin(phase) + noise),
+      ),
+    );
+    const rate = prev === undefined ? 0 : (mgDl - prev) / (intervalMs / 60_000);
+    readings.push({ mgDl, trend: trendDirectionForRate(rate), datetime: t, timezone });
+    prev = mgDl;
+  }
+  return readings;
+}
+
+const NAMED_FAULTS: Record<FakeFaultName, Exclude<FakeFault, FakeFaultName> | "network"> = {
+  SessionIdNotFound: { code: "SessionIdNotFound", message: "Session ID not found" },
+  SessionNotValid: { code: "SessionNotValid", message: "Session not active or timed out" },
+  AccountPasswordInvalid: { code: "AccountPasswordInvalid", message: "Password is invalid" },
+  SSO_AuthenticateMaxAttemptsExceeded: {
+    code: "SSO_AuthenticateMaxAttemptsExceeded",
+    message: "Maximum authentication attempts exceeded",
+  },
+  SSO_InternalError: {
+    code: "SSO_InternalError",
+    message: "Cannot Authenticate by AccountName",
+  },
+  InvalidArgument: { code: "InvalidArgument", message: "Argument 'password' is invalid" },
+  UnknownCode: { code: "SomethingNew", message: "Unrecognized failure" },
+  rateLimit: { status: 429, retryAfter: 1 },
+  serverError: { status: 500 },
+  badGateway: { status: 502 },
+  serviceUnavailable: { status: 503 },
+  gatewayTimeout: { status: 504 },
+  malformedJson: { status: 200, body: "{not json" },
+  network: "network",
+};
+
+const ENDPOINTS: [string, FakeEndpoint][] = [
+  [DEXCOM_AUTHENTICATE_ENDPOINT, "authenticate"],
+  [DEXCOM_LOGIN_ID_ENDPOINT, "login"],
+  [DEXCOM_GLUCOSE_READINGS_ENDPOINT, "readings"],
+];
+
+interface StoredAccount extends FakeAccount {
+  readings: FakeAccountOptions["readings"];
+  failedLogins: number;
+}
+
+interface FakeSession {
+  accountId: string;
+  reads: number;
+  createdAt: number;
+  valid: boolean;
+}
+
+/**
+ * In-process fake of the three Share endpoints the client uses. Plug it in via
+ * `transport.fetch`, or `listen()` for a real HTTP endpoint.
+ *
+ * ```ts
+ * import { FakeShareServer, generateReadings } from "dexcom-share-ts/testing";
+ *
+ * const share = new FakeShareServer({ sessionMaxReads: 3 });
+ * const { accountId } = share.addAccount({ password: "pw", readings: generateReadings() });
+ * const dex = new Dexcom({ accountId, password: "pw", transport: { fetch: share.fetch } });
+ * share.inject("rateLimit", { endpoint: "readings" });
+ * ```
+ */
+export class FakeShareServer {
+  /** Requests received, oldest first. */
+  readonly requests: FakeRequest[] = [];
+
+  private accounts = new Map<string, StoredAccount>();
+  private sessions = new Map<string, FakeSession>();
+  private faults: { fault: FakeFault; endpoint?: FakeEndpoint; remaining: number }[] = [];
+  private now: () => number;
+  private sessionMaxReads: number;
+  private sessionTtlMs: number;
+  private maxFailedLogins: number;
+  private errorStatus: number;
+  private latencyMs: number;
+  private server?: Server;
+
+  constructor(options: FakeShareServerOptions = {}) {
+    const {
+      accounts = [],
+      now = Date.now,
+      sessionMaxReads = Infinity,
+      sessionTtlMs = Infinity,
+      maxFailedLogins = Infinity,
+      errorStatus = 500,
+      latencyMs = 0,
+    } = options;
+    this.now = now;
+    this.sessionMaxReads = sessionMaxReads;
+    this.sessionTtlMs = sessionTtlMs;
+    this.maxFailedLogins = maxFailedLogins;
+    this.errorStatus = errorStatus;
+    this.latencyMs = latencyMs;
+    for (const a of accounts) this.addAccount(a);
+  }
+
+  /** Register an account. */
+  addAccount(options: FakeAccountOptions): FakeAccount {
+    const { username, password, readings } = options;
+    const accountId = options.accountId ?? crypto.randomUUID();
+    this.accounts.set(accountId, { username, accountId, password, readings, failedLogins: 0 });
+    return { username, accountId, password };
+  }
+
+  /** Replace an account's readings. */
+  setReadings(accountId: string, readings: FakeAccountOptions["readings"]): void {
+    const account = this.accounts.get(accountId);
+    if (account) account.readings = readings;
+  }
+
+  /** Fail the next matching request(s) with `fault`. */
+  inject(fault: FakeFault, options: InjectOptions = {}): void {
+    const { endpoint, times = 1 } = options;
+    this.faults.push({ fault, endpoint, remaining: times });
+  }
+
+  clearFaults(): void {
+    this.faults = [];
+  }
+
+  /** Invalidate all sessions (the next read gets SessionNotValid). */
+  expireSessions(): void {
+    for (const s of this.sessions.values()) s.valid = false;
+  }
+
+  /** Number of requests received by `endpoint`. */
+  count(endpoint: FakeEndpoint): number {
+    return this.requests.filter((r) => r.endpoint === endpoint).length;
+  }
+
+  /** `fetch`-compatible handler; pass as `transport.fetch`. */
+  readonly fetch = async (input: RequestInfo | URL, init?: RequestInit): Promise<Response> => {
+    const request = new Request(input, init);
+    const signal = init?.signal ?? undefined;
+    if (signal?.aborted) throw signal.reason;
+    const response = await this.handle(request.url, await request.text(), signal);
+    if (response === "network") throw new TypeError("fetch failed");
+    return response;
+  };
+
+  /** Serve over HTTP on 127.0.0.1; resolves with the base URL to use as `transport.baseUrl`. */
+  async listen(port = 0): Promise<string> {
+    const server = createServer((req, res) => {
+      this.serve(req, res).catch((e: unknown) => this.serveFailed(res, e));
+    });
+    this.server = server;
+    await new Promise<void>((resolve) => server.listen(port, "127.0.0.1", resolve));
+    const address = server.address();
+    const actual = typeof address === "object" && address ? address.port : port;
+    return `http://127.0.0.1:${actual}/ShareWebServices/Services/`;
+  }
+
+  /** Stop the HTTP listener. */
+  async close(): Promise<void> {
+    const server = this.server;
+    this.server = undefined;
+    if (!server) return;
+    server.closeAllConnections();
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+  }
+
+  private async serve(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const chunks: Buffer[] = [];
+    for await (const chunk of req) chunks.push(chunk as Buffer);
+    const body = Buffer.concat(chunks).toString("utf8");
+    const response = await this.handle(`http://127.0.0.1${req.url ?? "/"}`, body);
+    if (response === "network") {
+      req.socket.destroy();
+      return;
+    }
+    response.headers.forEach((value, name) => res.setHeader(name, value));
+    res.writeHead(response.status);
+    res.end(await response.text());
+  }
+
+  /** Answer a request the handler threw on (e.g. a `readings` function) with HTTP 500. */
+  private serveFailed(res: ServerResponse, error: unknown): void {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    res.writeHead(500, { "content-type": "application/json" });
+    res.end(JSON.stringify({ Code: "InternalServerError", Message: message }));
+  }
+
+  private async handle(
+    url: string,
+    text: string,
+    signal?: AbortSignal,
+  ): Promise<Response | "network"> {
+    if (this.latencyMs > 0) {
+      await sleep(this.latencyMs, signal);
+      if (signal?.aborted) throw signal.reason;
+    }
+    const { pathname, searchParams } = new URL(url);
+    const endpoint = ENDPOINTS.find(([path]) => pathname.endsWith(path))?.[1] ?? "unknown";
+    let body: unknown = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      // handled per endpoint
+    }
+    const record: FakeRequest = { endpoint, url, body };
+    this.requests.push(record);
+
+    const fault = endpoint === "unknown" ? undefined : this.takeFault(endpoint);
+    if (fault) {
+      record.fault = fault;
+      return this.faultResponse(fault);
+    }
+
+    const json = (body ?? {}) as Record<string, unknown>;
+    switch (endpoint) {
+      case "authenticate":
+        return this.authenticate(json);
+      case "login":
+        return this.login(json);
+      case "readings":
+        return this.readings(searchParams);
+      default:
+        return new Response("Not Found", { status: 404 });
+    }
+  }
+
+  private takeFault(endpoint: FakeEndpoint): FakeFault | undefined {
+    const i = this.faults.findIndex((f) => !f.endpoint || f.endpoint === endpoint);
+    const entry = this.faults[i];
+    if (!entry) return undefined;
+    entry.remaining -= 1;
+    if (entry.remaining <= 0) this.faults.splice(i, 1);
+    return entry.fault;
+  }
+
+  private faultResponse(fault: FakeFault): Response | "network" {
+    const f = typeof fault === "string" ? NAMED_FAULTS[fault] : fault;
+    if (f === "network") return "network";
+    if ("code" in f) return this.error(f.code, f.message ?? f.code, f.status);
+    const headers: Record<string, string> = {};
+    if (f.retryAfter !== undefined) headers["Retry-After"] = String(f.retryAfter);
+    return new Response(f.body ?? "{}", { status: f.status, headers });
+  }
+
+  private error(code: string, message: string, status = this.errorStatus): Response {
+    return Response.json({ Code: code, Message: message }, { status });
+  }
+
+  /** Password check shared by both auth endpoints. */
+  private checkPassword(account: StoredAccount, password: unknown): Response | undefined {
+    if (account.failedLogins >= this.maxFailedLogins) {
+      return this.error(
+        "SSO_AuthenticateMaxAttemptsExceeded",
+        "Maximum authentication attempts exceeded",
+      );
+    }
+    if (password !== account.password) {
+      account.failedLogins += 1;
+      return this.error("AccountPasswordInvalid", "Password is invalid");
+    }
+    account.failedLogins = 0;
+    return undefined;
+  }
+
+  private authenticate(json: Record<string, unknown>): Response {
+    const { accountName, password } = json;
+    if (typeof accountName !== "string" || !accountName) {
+      return this.error("InvalidArgument", "Argument 'accountName' is invalid");
+    }
+    if (typeof password !== "string" || !password) {
+      return this.error("InvalidArgument", "Argument 'password' is invalid");
+    }
+    const name = accountName.toLowerCase();
+    const account = [...this.accounts.values()].find((a) => a.username?.toLowerCase() === name);
+    if (!account) return this.error("SSO_InternalError", "Cannot Authenticate by AccountName");
+    return this.checkPassword(account, password) ?? Response.json(account.accountId);
+  }
+
+  private login(json: Record<string, unknown>): Response {
+    const { accountId, password } = json;
+    if (!isValidUUID(accountId)) {
+      return this.error("InvalidArgument", "Argument 'accountId' must be UUID");
+    }
+    const account = this.accounts.get(accountId as string);
+    if (!account) return this.error("SSO_InternalError", "Cannot Authenticate by AccountId");
+    const failed = this.checkPassword(account, password);
+    if (failed) return failed;
+
+    const sessionId = crypto.randomUUID();
+    this.sessions.set(sessionId, {
+      accountId: account.accountId,
+      reads: 0,
+      createdAt: this.now(),
+      valid: true,
+    });
+    return Response.json(sessionId);
+  }
+
+  private readings(params: URLSearchParams): Response {
+    const session = this.sessions.get(params.get("sessionId") ?? "");
+    if (!session) return this.error("SessionIdNotFound", "Session ID not found");
+    const now = this.now();
+    if (
+      !session.valid ||
+      session.reads >= this.sessionMaxReads ||
+      now - session.createdAt >= this.sessionTtlMs
+    ) {
+      session.valid = false;
+      return this.error("SessionNotValid", "Session not active or timed out");
+    }
+    session.reads += 1;
+
+    const minutes = Number(params.get("minutes"));
+    const maxCount = Number(params.get("maxCount"));
+    if (!Number.isInteger(minutes) || !Number.isInteger(maxCount)) {
+      return this.error("InvalidArgument", "Argument 'minutes' or 'maxCount' is invalid");
+    }
+    const account = this.accounts.get(session.accountId);
+    const source = account?.readings ?? [];
+    const all = typeof source === "function" ? source(new Date(now)) : source;
+    const from = now - minutes * 60_000;
+    const raw: RawGlucoseReading[] = all
+      .map((r) => ({ ...r, t: new Date(r.datetime).getTime() }))
+      .filter((r) => r.t >= from && r.t <= now)
+      .sort((a, b) => b.t - a.t)
+      .slice(0, maxCount)
+      .map((r) => ({
+        WT: `Date(${r.t})`,
+        ST: `Date(${r.t})`,
+        DT: `Date(${r.t}${r.timezone ?? "+0000"})`,
+        Value: r.mgDl,
+        Trend: r.trend ?? "Flat",
+      }));
+    return Response.json(raw);
+  }
+}
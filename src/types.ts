@@ -2,6 +2,9 @@
  * Public and internal types.
  */
 
+import type { ValidationIssue } from "./errors";
+import type { GlucoseReading } from "./glucoseReading";
+
 export interface RawGlucoseReading {
   WT?: string;
   ST?: string;
@@ -19,6 +22,236 @@ export interface GlucoseReadingLike {
   trendDescription: string;
   trendArrow: string;
   datetime: Date;
+  displayTime: Date;
+  systemTime?: Date;
+  wallTime?: Date;
   json: RawGlucoseReading;
   timezone?: string;
+  utcOffsetMinutes: number;
+  localIso: string;
+  localDate: string;
+  localTime: string;
+  clockSkewMs?: number;
+  hasClockSkew: boolean;
+}
+
+/**
+ * Stable plain-object form of a `GlucoseReading`, from `toJSON()`. Safe to
+ * store, send to workers (`postMessage`) or cache; restore with
+ * `GlucoseReading.fromObject()` / `fromJSON()`.
+ */
+export interface SerializedGlucoseReading {
+  /** Shape version, bumped on incompatible changes. */
+  version: 1;
+  /** Glucose value in mg/dL. */
+  value: number;
+  units: "mg/dL";
+  /** Dexcom trend direction, e.g. "Flat". */
+  trendDirection: string;
+  /** Display time, ISO 8601 UTC. */
+  datetime: string;
+  /** UTC offset of the display time, e.g. "-0400". */
+  timezone: string;
+  /** System time (`ST`), ISO 8601 UTC. */
+  systemTime?: string;
+  /** Wall time (`WT`), ISO 8601 UTC. */
+  wallTime?: string;
+}
+
+/** HTTP transport overrides for `DexcomOptions.transport`. */
+export interface TransportOptions {
+  /** fetch implementation, e.g. one bound to a proxy agent (default: global `fetch`). */
+  fetch?: typeof fetch;
+  /** Extra headers sent with every request (e.g. `User-Agent`); override the defaults. */
+  headers?: Record<string, string>;
+  /**
+   * Share base URL including the `ShareWebServices/Services/` path, for a relay
+   * or a local mock (default: chosen by `region`).
+   */
+  baseUrl?: string;
+  /** Application ID sent on login (default: chosen by `region`). */
+  applicationId?: string;
+}
+
+/** Options for `DexcomOptions.loginBreaker`. */
+export interface LoginBreakerOptions {
+  /** Authentication failures in a row that open the breaker (default 3). */
+  threshold?: number;
+  /** How long logins are refused once open, in ms (default 30 minutes). */
+  cooldownMs?: number;
+}
+
+/**
+ * Login circuit breaker state: `closed` lets logins through, `open` refuses them
+ * until `openUntil`, `half-open` allows one trial login after the cooldown (a
+ * failure re-opens it at once, a success closes it).
+ */
+export interface LoginBreakerStatus {
+  state: "closed" | "open" | "half-open";
+  /** Authentication failures in a row. */
+  failures: number;
+  threshold: number;
+  openUntil?: Date;
+}
+
+/** Per-call cancellation, accepted by every request-making `Dexcom` method. */
+export interface RequestOptions {
+  /** Aborts the call; it then rejects with a `CancellationError`. */
+  signal?: AbortSignal;
+  /**
+   * Overall deadline in ms, covering retries, backoff and session refresh
+   * (default: the client's `timeoutMs`, if any).
+   */
+  timeoutMs?: number;
+}
+
+/** Options for `Dexcom.watch()`. */
+export interface WatchOptions {
+  /** Stops the watcher; the iterator then completes without throwing. */
+  signal?: AbortSignal;
+  /** Deadline for each poll in ms (default: the client's `timeoutMs`, if any). */
+  timeoutMs?: number;
+  /** CGM reading cadence in ms (default 5 minutes). */
+  intervalMs?: number;
+  /** Extra wait after a reading is due, to let it reach Share (default 15s). */
+  lagMs?: number;
+  /** First backoff delay when no new reading arrived (default 15s). */
+  minBackoffMs?: number;
+  /** Backoff cap when no new reading arrives (default 2 minutes). */
+  maxBackoffMs?: number;
+  /**
+   * Called on request errors. When set, the watcher backs off and keeps polling;
+   * when omitted, the error is thrown from the iterator.
+   */
+  onError?: (err: unknown) => void;
+}
+
+/** Glucose unit used for thresholds and display. */
+export type GlucoseUnit = "mg/dL" | "mmol/L";
+
+/** Options for `Dexcom.getReadingsSince()`. */
+export interface ReadingsSinceOptions extends RequestOptions {
+  /**
+   * How far before the last seen reading to look again, in minutes, to catch
+   * readings that arrive late (e.g. phone back online) or clock skew (default 15).
+   */
+  overlapMinutes?: number;
+}
+
+/**
+ * What `getGlucoseReadings()` does with records that fail validation: `throw` a
+ * `ValidationError` (default), `skip` them, or `quarantine` them (returned
+ * next to the valid readings).
+ */
+export type InvalidRecordMode = "throw" | "skip" | "quarantine";
+
+/** Options for `Dexcom.getGlucoseReadings()`. */
+export interface GlucoseReadingsOptions extends RequestOptions {
+  invalidRecords?: InvalidRecordMode;
+}
+
+/** A record left out of the readings in `quarantine` mode. */
+export interface QuarantinedRecord {
+  /** Position in the Share response. */
+  index: number;
+  /** The record as received. */
+  raw: unknown;
+  issues: ValidationIssue[];
+}
+
+/** Result of `getGlucoseReadings()` with `invalidRecords: "quarantine"`. */
+export interface QuarantinedReadings {
+  readings: GlucoseReading[];
+  quarantined: QuarantinedRecord[];
+}
+
+/** Result of `Dexcom.getReadingsSince()`. */
+export interface ReadingsSinceResult {
+  /** Readings not returned before, oldest first. */
+  readings: GlucoseReading[];
+  /** Opaque cursor to pass to the next call. */
+  cursor: string;
+}
+
+/** An HTTP attempt to a Share endpoint. Session IDs in `url` are masked. */
+export interface RequestEvent {
+  /** e.g. "General/LoginPublisherAccountById". */
+  endpoint: string;
+  url: string;
+  /** 1 for the first try, 2 for the first retry, ... */
+  attempt: number;
+}
+
+export interface ResponseEvent extends RequestEvent {
+  status: number;
+  durationMs: number;
+}
+
+export interface RetryEvent extends RequestEvent {
+  /** Backoff before the next attempt. */
+  delayMs: number;
+  /** e.g. "HTTP 503" or the network error message. */
+  reason: string;
+}
+
+/** A session ID (masked to its last 4 characters) and the account it belongs to. */
+export interface SessionEvent {
+  sessionId: string;
+  accountId?: string;
+}
+
+export interface SessionRefreshedEvent extends SessionEvent {
+  /** The session that was rejected (masked). */
+  previousSessionId: string;
+}
+
+export interface SessionInvalidatedEvent extends SessionEvent {
+  /** Why Share rejected it, e.g. `DexcomErrorCode.SESSION_INVALID`. */
+  code: string;
+}
+
+/** A Share response that did not match the expected schema. */
+export interface ValidationFailureEvent {
+  endpoint: string;
+  message: string;
+  /** Which record and field failed. */
+  issues: ValidationIssue[];
+}
+
+/** Fetched readings that could not be saved into the history store. */
+export interface HistoryErrorEvent {
+  /** Readings in the failed write. */
+  count: number;
+  message: string;
+}
+
+/**
+ * Observers for `DexcomOptions.hooks`. They see copies with passwords and
+ * session IDs redacted; errors thrown by a hook are logged and ignored.
+ */
+export interface DexcomHooks {
+  /** Before every HTTP attempt, retries included. */
+  onRequest?: (event: RequestEvent) => void;
+  /** After every HTTP response, whatever its status. */
+  onResponse?: (event: ResponseEvent) => void;
+  /** A retryable failure; the next attempt follows after `delayMs`. */
+  onRetry?: (event: RetryEvent) => void;
+  /** A login produced a new session. */
+  onSessionCreated?: (event: SessionEvent) => void;
+  /** A rejected session was replaced (by a new login or a session another client cached). */
+  onSessionRefreshed?: (event: SessionRefreshedEvent) => void;
+  /** Share rejected a session (expired, logged out elsewhere, ...). */
+  onSessionInvalidated?: (event: SessionInvalidatedEvent) => void;
+  /** A response failed schema validation. */
+  onValidationFailure?: (event: ValidationFailureEvent) => void;
+  /** Saving fetched readings into the history store failed; the fetch itself succeeded. */
+  onHistoryError?: (event: HistoryErrorEvent) => void;
+}
+
+/** Logger for `DexcomOptions.logger`; `console` fits. */
+export interface DexcomLogger {
+  debug(message: string, data?: object): void;
+  info(message: string, data?: object): void;
+  warn(message: string, data?: object): void;
+  error(message: string, data?: object): void;
 }
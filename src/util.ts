@@ -2,7 +2,9 @@
  * Small utilities and retrying fetch.
  */
 
-import { DexcomErrorCode, ArgumentError } from "./errors";
+import { DexcomErrorCode, ArgumentError, CancellationError, DexcomError } from "./errors";
+import { MAX_MINUTES, MG_DL_PER_MMOL_L } from "./constants";
+import type { GlucoseUnit } from "./types";
 
 /** Validate a UUIDv4-like string (format check only). */
 export function isValidUUID(uuid: unknown): boolean {
@@ -43,6 +45,59 @@ export function validateMinutesAndCount(
   }
 }
 
+/** Convert a glucose value in `units` to mg/dL. */
+export function toMgDl(value: number, units: GlucoseUnit): number {
+  return units === "mmol/L" ? value * MG_DL_PER_MMOL_L : value;
+}
+
+/** Convert mg/dL to mmol/L, rounded to `decimals` (default 1). */
+export function toMmolL(mgDl: number, decimals = 1): number {
+  const p = 10 ** decimals;
+  return Math.round((mgDl / MG_DL_PER_MMOL_L) * p) / p;
+}
+
+/** Parse a Dexcom UTC offset like "-0400" into minutes (-240). */
+export function parseUtcOffset(tz: string | undefined): number {
+  const m = /^([+-])(\d{2})(\d{2})$/.exec(tz ?? "");
+  if (!m) return 0;
+  const minutes = Number(m[2]) * 60 + Number(m[3]);
+  return m[1] === "-" ? -minutes : minutes;
+}
+
+/** Format minutes as a Dexcom UTC offset (-240 -> "-0400"). */
+export function formatUtcOffset(minutes: number): string {
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `${minutes < 0 ? "-" : "+"}${hh}${mm}`;
+}
+
+/** ISO 8601 local time with offset, e.g. "2023-08-07T20:40:58-04:00". */
+export function toLocalIso(date: Date, offsetMinutes: number): string {
+  const local = new Date(date.getTime() + offsetMinutes * 60_000).toISOString().slice(0, 19);
+  const tz = formatUtcOffset(offsetMinutes);
+  return `${local}${tz.slice(0, 3)}:${tz.slice(3)}`;
+}
+
+/** Dexcom trend direction for a rate of change in mg/dL per minute. */
+export function trendDirectionForRate(rate: number): string {
+  if (rate > 3) return "DoubleUp";
+  if (rate > 2) return "SingleUp";
+  if (rate > 1) return "FortyFiveUp";
+  if (rate >= -1) return "Flat";
+  if (rate >= -2) return "FortyFiveDown";
+  if (rate >= -3) return "SingleDown";
+  return "DoubleDown";
+}
+
+/**
+ * `minutes` to request so the Share window reaches back to `since` (ms), with a
+ * one-minute margin; clamped to 1..MAX_MINUTES.
+ */
+export function minutesSince(since: number, now = Date.now()): number {
+  return Math.min(MAX_MINUTES, Math.max(1, Math.ceil((now - since) / 60_000) + 1));
+}
+
 /** Options for exponential backoff retries. */
 export interface RetryOptions {
   retries?: number; // max attempts (default 3)
@@ -52,8 +107,58 @@ export interface RetryOptions {
   retryOnStatuses?: number[]; // HTTP statuses to retry (default [429, 500, 502, 503, 504])
 }
 
-/** Sleep helper. */
-const sleep = (ms: number): Promise<void> => new Promise((r) => setTimeout(r, ms));
+/** Sleep helper. Resolves early (without throwing) when `signal` aborts. */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  if (!signal) return new Promise((r) => setTimeout(r, ms));
+  if (signal.aborted) return Promise.resolve();
+  return new Promise((r) => {
+    const done = (): void => {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", done);
+      r();
+    };
+    const timer = setTimeout(done, ms);
+    signal.addEventListener("abort", done, { once: true });
+  });
+}
+
+/** `CancellationError` for an aborted signal: a timeout if the abort reason is one. */
+export function cancellationError(signal: AbortSignal): CancellationError {
+  const reason = signal.reason as { name?: unknown; code?: unknown } | undefined;
+  const timedOut =
+    reason?.name === "TimeoutError" || reason?.code === DexcomErrorCode.REQUEST_TIMEOUT;
+  return new CancellationError(
+    timedOut ? DexcomErrorCode.REQUEST_TIMEOUT : DexcomErrorCode.REQUEST_ABORTED,
+  );
+}
+
+export function throwIfAborted(signal?: AbortSignal | null): void {
+  if (signal?.aborted) throw cancellationError(signal);
+}
+
+/** Combine an optional signal with an optional timeout. */
+export function withDeadline(signal?: AbortSignal, timeoutMs?: number): AbortSignal | undefined {
+  const timeout = timeoutMs === undefined ? undefined : AbortSignal.timeout(Math.max(0, timeoutMs));
+  if (!signal) return timeout;
+  return timeout ? AbortSignal.any([signal, timeout]) : signal;
+}
+
+/** `Retry-After` header (delay in seconds or an HTTP date) in ms; undefined if absent or invalid. */
+export function parseRetryAfter(value: string | null | undefined): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/** Observers for each `fetchWithRetry()` attempt. */
+export interface FetchAttemptHooks {
+  onRequest?(attempt: number): void;
+  onResponse?(attempt: number, status: number, durationMs: number): void;
+  /** Called before backing off for another attempt. */
+  onRetry?(attempt: number, delayMs: number, reason: string): void;
+}
 
 /** Exponential backoff with optional full jitter. */
 function backoff(attempt: number, base: number, max: number, jitter: boolean): number {
@@ -64,12 +169,19 @@ function backoff(attempt: number, base: number, max: number, jitter: boolean): n
 
 /**
  * fetch with retry for network errors and selected HTTP statuses.
- * Honors Retry-After (seconds) for 429/503 if present.
+ * Honors Retry-After (seconds or HTTP date) if present.
+ * `init.signal` also cuts backoff sleeps short; aborting throws `CancellationError`.
+ * Responses for which `isFinal` resolves true are returned even if their status is retryable,
+ * and so is the last response once attempts run out; the last network error is rethrown.
+ * A `DexcomError` thrown by `fetchImpl` itself (e.g. by a fixture replayer) is not retried.
  */
 export async function fetchWithRetry(
   input: RequestInfo | URL,
   init: RequestInit = {},
   opts: RetryOptions = {},
+  fetchImpl: typeof fetch = fetch,
+  isFinal?: (res: Response) => Promise<boolean>,
+  hooks: FetchAttemptHooks = {},
 ): Promise<Response> {
   const {
     retries = 3,
@@ -79,32 +191,42 @@ export async function fetchWithRetry(
     retryOnStatuses = [429, 500, 502, 503, 504],
   } = opts;
 
+  const signal = init.signal ?? undefined;
   let lastErr: unknown;
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    throwIfAborted(signal);
     try {
-      const res = await fetch(input, init);
-      if (!retryOnStatuses.includes(res.status)) return res;
+      hooks.onRequest?.(attempt);
+      const started = Date.now();
+      const res = await fetchImpl(input, init);
+      hooks.onResponse?.(attempt, res.status, Date.now() - started);
+      if (!retryOnStatuses.includes(res.status) || attempt === retries || (await isFinal?.(res))) {
+        return res;
+      }
 
       // Respect Retry-After when present
-      const ra = res.headers.get("retry-after");
-      if (ra) {
-        const raMs = Number.isFinite(Number(ra)) ? Number(ra) * 1000 : baseDelayMs;
-        await sleep(Math.min(raMs, maxDelayMs));
-      } else if (attempt < retries) {
-        await sleep(backoff(attempt, baseDelayMs, maxDelayMs, jitter));
-      }
-      lastErr = new Error(`HTTP ${res.status}`);
-      continue;
+      const retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+      const delay =
+        retryAfter === undefined
+          ? backoff(attempt, baseDelayMs, maxDelayMs, jitter)
+          : Math.min(retryAfter, maxDelayMs);
+      hooks.onRetry?.(attempt, delay, `HTTP ${res.status}`);
+      await sleep(delay, signal);
     } catch (e) {
-      // network error
+      // network error (or abort of the request itself)
+      throwIfAborted(signal);
+      if (e instanceof DexcomError) throw e;
       lastErr = e;
       if (attempt < retries) {
-        await sleep(backoff(attempt, baseDelayMs, maxDelayMs, jitter));
+        const delay = backoff(attempt, baseDelayMs, maxDelayMs, jitter);
+        hooks.onRetry?.(attempt, delay, e instanceof Error ? e.message : String(e));
+        await sleep(delay, signal);
         continue;
       }
       throw e;
     }
   }
+  throwIfAborted(signal);
   throw lastErr instanceof Error ? lastErr : new Error(String(lastErr));
 }
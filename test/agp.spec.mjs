@@ -0,0 +1,75 @@
+// AGP tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { ambulatoryGlucoseProfile, renderAgpSvg, GlucoseReading } = await import(distEntry);
+
+const HOUR = 3_600_000;
+const DAY = 24 * HOUR;
+const MIDNIGHT_UTC = Date.UTC(2023, 7, 1);
+const bg = (t, value, tz = "+0000") =>
+  new GlucoseReading({ DT: `Date(${t}${tz})`, Value: value, Trend: "Flat" });
+
+describe("ambulatoryGlucoseProfile", () => {
+  it("folds days onto one clock and computes percentiles per slot", () => {
+    // 5 days, 08:00 UTC each day, values 100..140
+    const readings = [0, 1, 2, 3, 4].map((d) =>
+      bg(MIDNIGHT_UTC + d * DAY + 8 * HOUR, 100 + d * 10),
+    );
+    const agp = ambulatoryGlucoseProfile(readings, { slotMinutes: 60 });
+    assert.equal(agp.slots.length, 24);
+    assert.equal(agp.days, 5);
+    assert.equal(agp.count, 5);
+    const s = agp.slots[8];
+    assert.equal(s.minute, 480);
+    assert.equal(s.count, 5);
+    assert.deepEqual([s.p5, s.p25, s.p50, s.p75, s.p95], [102, 110, 120, 130, 138]);
+    assert.equal(agp.slots[9].p50, null);
+  });
+
+  it("uses each reading's timezone offset, or a fixed override", () => {
+    // 12:00 UTC at -0400 is 08:00 local
+    const r = bg(MIDNIGHT_UTC + 12 * HOUR, 90, "-0400");
+    assert.equal(ambulatoryGlucoseProfile([r], { slotMinutes: 60 }).slots[8].count, 1);
+    const fixed = ambulatoryGlucoseProfile([r, r], { slotMinutes: 60, utcOffsetMinutes: 60 });
+    assert.equal(fixed.slots[13].count, 1);
+    assert.equal(fixed.count, 1);
+  });
+
+  it("rejects slot widths that do not divide the day", () => {
+    for (const slotMinutes of [0, -15, 7, 2.5, 2880, NaN]) {
+      assert.throws(() => ambulatoryGlucoseProfile([], { slotMinutes }), {
+        name: "ArgumentError",
+        message: "Slot minutes must be a positive integer dividing 1440",
+      });
+    }
+    assert.equal(ambulatoryGlucoseProfile([], { slotMinutes: 1440 }).slots.length, 1);
+  });
+});
+
+describe("renderAgpSvg", () => {
+  it("renders a standalone SVG with bands and median", () => {
+    const readings = [];
+    for (let d = 0; d < 3; d++)
+      for (let h = 0; h < 6; h++)
+        readings.push(bg(MIDNIGHT_UTC + d * DAY + h * HOUR, 100 + h * 5 + d));
+    const svg = renderAgpSvg(ambulatoryGlucoseProfile(readings, { slotMinutes: 60 }), {
+      units: "mmol/L",
+      title: "AGP <test>",
+    });
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(svg, /<\/svg>$/);
+    assert.equal((svg.match(/<polygon class="p5-95"/g) ?? []).length, 1);
+    assert.equal((svg.match(/<polyline class="p50"/g) ?? []).length, 1);
+    assert.ok(svg.includes("AGP &lt;test&gt;"));
+    assert.ok(svg.includes(">3.9<")); // 70 mg/dL axis label in mmol/L
+    assert.ok(svg.includes(">12:00<"));
+  });
+});
@@ -0,0 +1,80 @@
+// AlertEngine tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { AlertEngine, GlucoseReading } = await import(distEntry);
+
+const T0 = 1691455258000;
+const MIN = 60_000;
+// Reading `i` is taken i*5 minutes after T0
+const bg = (i, value, trend = "Flat") =>
+  new GlucoseReading({ DT: `Date(${T0 + i * 5 * MIN}-0400)`, Value: value, Trend: trend });
+const types = (events) => events.map((e) => e.type);
+
+describe("AlertEngine", () => {
+  it("emits low, urgent low and back in range with hysteresis", () => {
+    const eng = new AlertEngine();
+    assert.deepEqual(types(eng.push(bg(0, 100))), []);
+    assert.deepEqual(types(eng.push(bg(1, 69))), ["low"]);
+    assert.deepEqual(types(eng.push(bg(2, 54))), ["urgentLow"]);
+    assert.deepEqual(types(eng.push(bg(3, 58))), []); // within hysteresis of 55
+    assert.deepEqual(types(eng.push(bg(4, 62))), ["low"]);
+    assert.deepEqual(types(eng.push(bg(5, 72))), []); // within hysteresis of 70
+    assert.deepEqual(types(eng.push(bg(6, 76))), ["inRange"]);
+  });
+
+  it("emits high and repeats ongoing alerts after repeatMs", () => {
+    const eng = new AlertEngine({ repeatMs: 20 * MIN });
+    assert.deepEqual(types(eng.push(bg(0, 200))), ["high"]);
+    assert.deepEqual(types(eng.push(bg(1, 190))), []);
+    assert.deepEqual(types(eng.push(bg(2, 178))), []); // within hysteresis of 180
+    assert.deepEqual(types(eng.push(bg(3, 185))), []);
+    assert.deepEqual(types(eng.push(bg(4, 185))), ["high"]); // 20 minutes later
+  });
+
+  it("accepts thresholds in mmol/L", () => {
+    const eng = new AlertEngine({ units: "mmol/L", low: 4, high: 10 });
+    assert.deepEqual(types(eng.push(bg(0, 70))), ["low"]); // 70 mg/dL ≈ 3.9 mmol/L
+    assert.deepEqual(types(eng.push(bg(1, 190))), ["high"]); // ≈ 10.5 mmol/L
+  });
+
+  it("emits rising/falling fast from trend direction", () => {
+    const eng = new AlertEngine();
+    assert.deepEqual(types(eng.push(bg(0, 120, "DoubleUp"))), ["risingFast"]);
+    assert.deepEqual(types(eng.push(bg(1, 140, "DoubleUp"))), []);
+    assert.deepEqual(types(eng.push(bg(2, 120, "DoubleDown"))), ["fallingFast"]);
+    assert.deepEqual(types(eng.push(bg(3, 110, "Flat"))), []);
+  });
+
+  it("snoozes alerts, ignores stale input order and notifies listeners", () => {
+    const eng = new AlertEngine();
+    const seen = [];
+    const off = eng.on((e) => seen.push(e.type));
+    eng.snooze("low", 12 * MIN, new Date(T0));
+    assert.deepEqual(types(eng.push(bg(0, 65))), []);
+    assert.deepEqual(types(eng.push(bg(0, 50))), []); // duplicate timestamp ignored
+    assert.deepEqual(types(eng.push(bg(3, 65))), ["low"]); // snooze over
+    off();
+    eng.push(bg(4, 100));
+    assert.deepEqual(seen, ["low"]);
+  });
+
+  it("reports stale data via check()", () => {
+    const eng = new AlertEngine({ staleAfterMs: 15 * MIN, repeatMs: 30 * MIN });
+    assert.deepEqual(types(eng.check(new Date(T0))), []); // nothing seen yet
+    eng.push(bg(0, 100));
+    assert.deepEqual(types(eng.check(new Date(T0 + 10 * MIN))), []);
+    const [ev] = eng.check(new Date(T0 + 16 * MIN));
+    assert.equal(ev.type, "stale");
+    assert.equal(ev.reading, undefined);
+    assert.deepEqual(types(eng.check(new Date(T0 + 20 * MIN))), []);
+    assert.deepEqual(types(eng.check(new Date(T0 + 50 * MIN))), ["stale"]);
+  });
+});
@@ -0,0 +1,186 @@
+// AbortSignal / timeoutMs tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { Dexcom, DexcomError, CancellationError, ServerError, DexcomErrorCode } = await import(
+  distEntry
+);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function dexErr(code, message, status = 500) {
+  return new Response(JSON.stringify({ Code: code, Message: message }), { status });
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+
+const ACCOUNT = "12345678-90ab-cdef-1234-567890abcdef";
+const SESSION = "aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee";
+const reading = [{ DT: "Date(1691455258000-0400)", Value: 100, Trend: "Flat" }];
+
+// Never answers; rejects like fetch does when the request's signal aborts. The
+// timer stands in for the open socket that keeps the event loop alive.
+function hang(init) {
+  return new Promise((_, reject) => {
+    const socket = setTimeout(() => reject(new Error("test stub timed out")), 5000);
+    init.signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(socket);
+        reject(init.signal.reason);
+      },
+      { once: true },
+    );
+  });
+}
+
+function share({ login, read } = {}) {
+  const calls = { login: 0, read: 0, aborted: 0 };
+  setGlobalFetch((url, init) => {
+    const s = reqToString(url);
+    init.signal?.addEventListener("abort", () => (calls.aborted += 1), { once: true });
+    if (s.includes("LoginPublisherAccountById")) {
+      calls.login += 1;
+      return login ? login(init, calls) : Promise.resolve(ok(SESSION));
+    }
+    if (s.includes("ReadPublisherLatestGlucoseValues")) {
+      calls.read += 1;
+      return read ? read(init, calls) : Promise.resolve(ok(reading));
+    }
+    return Promise.resolve(new Response("{}", { status: 404 }));
+  });
+  return calls;
+}
+
+const mkDex = (opts = {}) => new Dexcom({ accountId: ACCOUNT, password: "p", ...opts });
+
+async function rejectsWith(promise, code) {
+  const started = Date.now();
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof CancellationError);
+    assert.ok(err instanceof DexcomError);
+    assert.ok(!(err instanceof ServerError));
+    assert.equal(err.code, code);
+    return true;
+  });
+  return Date.now() - started;
+}
+
+describe("Cancellation and timeouts", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("timeoutMs bounds a hung request", async () => {
+    share({ read: hang });
+    const elapsed = await rejectsWith(
+      mkDex().getCurrentGlucoseReading({ timeoutMs: 30 }),
+      DexcomErrorCode.REQUEST_TIMEOUT,
+    );
+    assert.ok(elapsed < 1000);
+  });
+
+  it("aborting the signal rejects with REQUEST_ABORTED; an aborted signal sends nothing", async () => {
+    const calls = share({ read: hang });
+    const ac = new AbortController();
+    const pending = mkDex().getLatestGlucoseReading({ signal: ac.signal });
+    setTimeout(() => ac.abort(), 10);
+    await rejectsWith(pending, DexcomErrorCode.REQUEST_ABORTED);
+
+    const before = calls.login + calls.read;
+    await rejectsWith(
+      mkDex().getGlucoseReadings(5, 1, { signal: AbortSignal.abort() }),
+      DexcomErrorCode.REQUEST_ABORTED,
+    );
+    assert.equal(calls.login + calls.read, before);
+  });
+
+  it("the deadline covers retries and backoff sleeps", async () => {
+    const calls = share({
+      read: () =>
+        Promise.resolve(new Response("{}", { status: 503, headers: { "retry-after": "5" } })),
+    });
+    const dex = mkDex({ retry: { retries: 5, maxDelayMs: 10_000 } });
+    const elapsed = await rejectsWith(
+      dex.getGlucoseReadings(10, 1, { timeoutMs: 80 }),
+      DexcomErrorCode.REQUEST_TIMEOUT,
+    );
+    assert.ok(elapsed < 1000);
+    assert.equal(calls.read, 1);
+  });
+
+  it("the client default deadline covers the session refresh", async () => {
+    share({
+      login: (init, calls) => (calls.login === 1 ? Promise.resolve(ok(SESSION)) : hang(init)),
+      read: () => Promise.resolve(dexErr("SessionNotValid", "expired", 401)),
+    });
+    await rejectsWith(
+      mkDex({ timeoutMs: 50 }).getCurrentGlucoseReading(),
+      DexcomErrorCode.REQUEST_TIMEOUT,
+    );
+  });
+
+  it("a shared login outlives one impatient caller and stops when all give up", async () => {
+    const calls = share({ login: async () => (await delay(40), ok(SESSION)) });
+    const dex = mkDex();
+    const impatient = dex.getCurrentGlucoseReading({ timeoutMs: 10 });
+    const patient = dex.getCurrentGlucoseReading({ timeoutMs: 2000 });
+    await rejectsWith(impatient, DexcomErrorCode.REQUEST_TIMEOUT);
+    assert.equal((await patient).mgDl, 100);
+    assert.equal(calls.login, 1);
+
+    const calls2 = share({ login: hang });
+    const other = mkDex();
+    await Promise.allSettled([
+      other.getCurrentGlucoseReading({ timeoutMs: 10 }),
+      other.getCurrentGlucoseReading({ timeoutMs: 20 }),
+    ]);
+    await delay(5);
+    assert.equal(calls2.login, 1);
+    assert.equal(calls2.aborted, 1, "login request aborted once nobody waits for it");
+  });
+
+  it("aborting watch() cancels the poll in progress", async () => {
+    share({ read: hang });
+    const ac = new AbortController();
+    setTimeout(() => ac.abort(), 20);
+    const started = Date.now();
+    const seen = [];
+    for await (const r of mkDex().watch({ signal: ac.signal })) seen.push(r);
+    assert.equal(seen.length, 0);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it("watch() applies timeoutMs per poll and reports it via onError", async () => {
+    share({ read: hang });
+    const ac = new AbortController();
+    const errors = [];
+    const iter = mkDex().watch({
+      signal: ac.signal,
+      timeoutMs: 10,
+      minBackoffMs: 5,
+      onError: (e) => {
+        errors.push(e.code);
+        if (errors.length === 2) ac.abort();
+      },
+    });
+    for await (const _ of iter) assert.fail("no readings expected");
+    assert.deepEqual(errors, [DexcomErrorCode.REQUEST_TIMEOUT, DexcomErrorCode.REQUEST_TIMEOUT]);
+  });
+});
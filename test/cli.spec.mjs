@@ -0,0 +1,175 @@
+// dexcom-share CLI tests: runs the built bin against the fake Share server.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile, spawn } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const bin = path.resolve(__dirname, "../dist/bin.js");
+const testingEntry = path.resolve(__dirname, "../dist/testing.js");
+
+const { FakeShareServer, generateReadings } = await import(testingEntry);
+
+const PASSWORD = "pw";
+// Fixed values; only the timestamps follow the server clock (newest 4 minutes old).
+const SERIES = generateReadings({ end: Date.UTC(2024, 0, 15, 12), count: 36, seed: 9 });
+const FIVE_MIN = 5 * 60_000;
+let share;
+let account;
+let baseUrl;
+let dir;
+
+function env(extra = {}) {
+  return {
+    PATH: process.env.PATH,
+    XDG_CONFIG_HOME: dir,
+    DEXCOM_BASE_URL: baseUrl,
+    DEXCOM_USERNAME: "anna@example.com",
+    DEXCOM_PASSWORD: PASSWORD,
+    ...extra,
+  };
+}
+
+function run(args, extraEnv) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [bin, ...args],
+      { env: env(extraEnv), timeout: 20_000 },
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }),
+    );
+  });
+}
+
+describe("dexcom-share CLI", () => {
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "dexcom-cli-"));
+    share = new FakeShareServer();
+    account = share.addAccount({
+      username: "anna@example.com",
+      password: PASSWORD,
+      readings: (now) =>
+        SERIES.map((r, i) => ({
+          ...r,
+          datetime: now.getTime() - 4 * 60_000 - (SERIES.length - 1 - i) * FIVE_MIN,
+        })),
+    });
+    baseUrl = await share.listen();
+  });
+  after(async () => {
+    await share.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("current prints value, arrow and age; --json and --units mmol", async () => {
+    const text = await run(["current"]);
+    assert.equal(text.code, 0, text.stderr);
+    assert.match(text.stdout, /^\d+ mg\/dL \S* ?\(4 min ago\)\n$/);
+
+    const json = await run(["current", "--json", "--units", "mmol"]);
+    const r = JSON.parse(json.stdout);
+    assert.equal(r.units, "mmol/L");
+    assert.equal(r.value, r.mmolL);
+    assert.equal(r.ageMinutes, 4);
+    assert.equal(typeof r.trend, "string");
+  });
+
+  it("history honours --minutes/--count; export writes CSV or JSON", async () => {
+    const history = await run(["history", "--minutes", "60", "--count", "3", "--json"]);
+    const rows = JSON.parse(history.stdout);
+    assert.equal(rows.length, 3);
+    assert.ok(rows[0].datetime > rows[1].datetime);
+    const lines = (await run(["history", "--minutes", "30"])).stdout.trim().split("\n");
+    assert.equal(lines.length, 6);
+
+    const csv = await run(["export", "--minutes", "60", "--units", "mmol"]);
+    const [header, first, ...rest] = csv.stdout.trim().split("\n");
+    assert.equal(header, "datetime,value,units,trendDirection,timezone");
+    assert.match(first, /,\d+\.\d,mmol\/L,/);
+    assert.equal(rest.length, 11);
+
+    const out = path.join(dir, "export.json");
+    const exported = await run(["export", "--format", "json", "--count", "5", "--output", out]);
+    assert.equal(exported.stdout, "");
+    const data = JSON.parse(await readFile(out, "utf8"));
+    assert.equal(data.length, 5);
+    assert.ok(data[0].datetime < data[4].datetime, "oldest first");
+  });
+
+  it("reads credentials from a config file", async () => {
+    const config = path.join(dir, "config.json");
+    await writeFile(config, JSON.stringify({ accountId: account.accountId, password: PASSWORD }));
+    const r = await run(["current", "--config", config], {
+      DEXCOM_USERNAME: "",
+      DEXCOM_PASSWORD: "",
+    });
+    assert.equal(r.code, 0, r.stderr);
+    const missing = await run(["current", "--config", path.join(dir, "nope.json")]);
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /Cannot read config file/);
+  });
+
+  it("maps errors to exit codes", async () => {
+    const cases = [
+      [["current"], { DEXCOM_PASSWORD: "wrong" }, 3, /AccountError/],
+      [["current", "--bogus"], {}, 2, /Unknown option/],
+      [["frobnicate"], {}, 2, /Unknown command/],
+      [["history", "--count", "0"], {}, 2, /--count must be a positive integer/],
+      [["current", "--region", "mars"], {}, 2, /Unknown region/],
+      [["current"], { DEXCOM_PASSWORD: "" }, 2, /Missing credentials/],
+    ];
+    for (const [args, extra, code, stderr] of cases) {
+      const r = await run(args, extra);
+      assert.equal(r.code, code, `${args.join(" ")}: ${r.stderr}`);
+      assert.match(r.stderr, stderr);
+    }
+
+    share.inject("SessionNotValid", { endpoint: "readings", times: 2 });
+    assert.equal((await run(["current"])).code, 4);
+    share.inject("UnknownCode", { endpoint: "readings" });
+    assert.equal((await run(["current"])).code, 5);
+
+    const empty = share.addAccount({ username: "empty", password: PASSWORD });
+    const none = await run(["current"], { DEXCOM_ACCOUNT_ID: empty.accountId });
+    assert.equal(none.code, 7);
+    assert.match(none.stderr, /No reading/);
+  });
+
+  it("--timeout maps to the timeout exit code", async () => {
+    const slow = new FakeShareServer({ latencyMs: 2_000 });
+    slow.addAccount({ username: "anna@example.com", password: PASSWORD });
+    const slowUrl = await slow.listen();
+    try {
+      const r = await run(["current", "--timeout", "100"], { DEXCOM_BASE_URL: slowUrl });
+      assert.equal(r.code, 6, r.stderr);
+      assert.match(r.stderr, /Request timed out/);
+    } finally {
+      await slow.close();
+    }
+  });
+
+  it("watch streams readings until interrupted", async () => {
+    const child = spawn(process.execPath, [bin, "watch", "--json"], { env: env() });
+    const exited = new Promise((resolve) => child.on("exit", (code) => resolve(code)));
+    const killer = setTimeout(() => child.kill("SIGKILL"), 20_000);
+    try {
+      let out = "";
+      await new Promise((resolve) => {
+        child.stdout.on("data", (chunk) => {
+          out += chunk;
+          if (out.includes("\n")) resolve();
+        });
+      });
+      assert.equal(JSON.parse(out.split("\n")[0]).ageMinutes, 4);
+      child.kill("SIGINT");
+      assert.equal(await exited, 0);
+    } finally {
+      clearTimeout(killer);
+    }
+  });
+});
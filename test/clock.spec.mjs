@@ -0,0 +1,122 @@
+// Timestamp parsing, local-time helpers and clock change detection tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { GlucoseReading, ArgumentError, findClockChanges, groupByLocalDay } = await import(
+  distEntry
+);
+
+const T = 1691455258000; // 2023-08-08T00:40:58Z
+const MIN = 60_000;
+
+function reading(dt, tz, { st = dt, wt = dt } = {}) {
+  return new GlucoseReading({
+    WT: wt === null ? undefined : `Date(${wt})`,
+    ST: st === null ? undefined : `Date(${st})`,
+    DT: `Date(${dt}${tz})`,
+    Value: 100,
+    Trend: "Flat",
+  });
+}
+
+describe("GlucoseReading timestamps", () => {
+  it("parses WT, ST and DT", () => {
+    const r = reading(T, "-0400", { st: T - 2000, wt: T + 3000 });
+    assert.equal(r.displayTime.getTime(), T);
+    assert.equal(r.datetime, r.displayTime);
+    assert.equal(r.systemTime.getTime(), T - 2000);
+    assert.equal(r.wallTime.getTime(), T + 3000);
+    assert.equal(r.timezone, "-0400");
+    assert.equal(r.utcOffsetMinutes, -240);
+  });
+
+  it("gives local date and time in the patient's zone", () => {
+    const ny = reading(T, "-0400");
+    assert.equal(ny.localIso, "2023-08-07T20:40:58-04:00");
+    assert.equal(ny.localDate, "2023-08-07");
+    assert.equal(ny.localTime, "20:40:58");
+
+    const kolkata = reading(T, "+0530");
+    assert.equal(kolkata.utcOffsetMinutes, 330);
+    assert.equal(kolkata.localIso, "2023-08-08T06:10:58+05:30");
+    assert.equal(kolkata.localDate, "2023-08-08");
+  });
+
+  it("WT and ST are optional and ignored when malformed", () => {
+    const r = reading(T, "+0000", { st: null, wt: null });
+    assert.equal(r.systemTime, undefined);
+    assert.equal(r.wallTime, undefined);
+    assert.equal(r.clockSkewMs, undefined);
+    assert.equal(r.hasClockSkew, false);
+
+    const bad = new GlucoseReading({
+      ST: "yesterday",
+      WT: "",
+      DT: `Date(${T}+0000)`,
+      Value: 1,
+      Trend: "Flat",
+    });
+    assert.equal(bad.systemTime, undefined);
+    assert.equal(bad.wallTime, undefined);
+    assert.equal(bad.datetime.getTime(), T);
+    assert.throws(
+      () => new GlucoseReading({ DT: `Date(${T})`, Value: 1, Trend: "Flat" }),
+      ArgumentError,
+    );
+  });
+
+  it("detects display time disagreeing with system time", () => {
+    assert.equal(reading(T, "-0400", { st: T - 30_000 }).hasClockSkew, false);
+    const changed = reading(T + 60 * MIN, "-0400", { st: T });
+    assert.equal(changed.clockSkewMs, 60 * MIN);
+    assert.equal(changed.hasClockSkew, true);
+  });
+});
+
+describe("findClockChanges", () => {
+  it("reports DST offset changes", () => {
+    const before = reading(T, "-0500");
+    const after = reading(T + 5 * MIN, "-0400");
+    const changes = findClockChanges([after, reading(T - 5 * MIN, "-0500"), before]);
+    assert.deepEqual(changes, [
+      { kind: "offset", before, after, offsetDeltaMinutes: 60, skewDeltaMs: 0 },
+    ]);
+  });
+
+  it("orders by system time and reports a manual clock change", () => {
+    const a = reading(T, "+0100");
+    // Clock set back an hour: display time goes backwards, system time keeps going.
+    const b = reading(T - 55 * MIN, "+0100", { st: T + 5 * MIN });
+    const c = reading(T - 50 * MIN, "+0100", { st: T + 10 * MIN });
+    const changes = findClockChanges([c, b, a]);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].kind, "skew");
+    assert.equal(changes[0].before, a);
+    assert.equal(changes[0].after, b);
+    assert.equal(changes[0].skewDeltaMs, -60 * MIN);
+  });
+
+  it("is empty for a steady series", () => {
+    assert.deepEqual(findClockChanges([reading(T, "+0000"), reading(T + 5 * MIN, "+0000")]), []);
+    assert.deepEqual(findClockChanges([]), []);
+  });
+});
+
+describe("groupByLocalDay", () => {
+  it("groups by the patient's local day, not UTC", () => {
+    const late = reading(T, "-0400"); // 20:40 on Aug 7 locally, Aug 8 in UTC
+    const next = reading(T + 4 * 60 * MIN, "-0400"); // 00:40 on Aug 8
+    const earlier = reading(T - 60 * MIN, "-0400");
+    const days = groupByLocalDay([next, late, earlier]);
+    assert.deepEqual([...days.keys()], ["2023-08-07", "2023-08-08"]);
+    assert.deepEqual(days.get("2023-08-07"), [earlier, late]);
+    assert.deepEqual(days.get("2023-08-08"), [next]);
+  });
+});
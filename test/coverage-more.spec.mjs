@@ -131,7 +131,7 @@ describe("Extra coverage", () => {
     const dex = mkDex();
     const arr = await dex.getGlucoseReadings(10, 3);
     assert.equal(arr.length, 3);
-    assert.equal(arr[0].mmolL, 4.8); // 86 * 0.0555 = 4.773 -> 4.8
+    assert.equal(arr[0].mmolL, 4.8); // 86 / 18.0182 = 4.773 -> 4.8
     assert.equal(arr[0].trendArrow, "↑↑");
     assert.equal(typeof arr[0].datetime.getTime(), "number");
     assert.equal(arr[0].timezone, "-0400");
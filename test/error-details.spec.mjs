@@ -0,0 +1,151 @@
+// Structured error details tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+const testingEntry = path.resolve(__dirname, "../dist/testing.js");
+
+const {
+  Dexcom,
+  DexcomError,
+  DexcomErrorCode,
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  SessionError,
+  AccountError,
+} = await import(distEntry);
+const { FakeShareServer } = await import(testingEntry);
+
+const READINGS = "Publisher/ReadPublisherLatestGlucoseValues";
+const fastRetry = { retries: 3, baseDelayMs: 1, maxDelayMs: 5, jitter: false };
+
+function setup() {
+  const share = new FakeShareServer();
+  const { accountId } = share.addAccount({
+    password: "pw",
+    readings: (now) => [{ mgDl: 100, datetime: now }],
+  });
+  const dex = new Dexcom({
+    accountId,
+    password: "pw",
+    retry: fastRetry,
+    loginBreaker: false,
+    transport: { fetch: share.fetch },
+  });
+  return { share, dex };
+}
+
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  assert.fail("expected a rejection");
+}
+
+describe("structured error details", () => {
+  it("rate limiting that outlasts the retries is a RateLimitError", async () => {
+    const { share, dex } = setup();
+    share.inject({ status: 429, retryAfter: 30 }, { endpoint: "readings", times: Infinity });
+    const err = await failure(dex.getCurrentGlucoseReading());
+    assert.ok(err instanceof RateLimitError);
+    assert.ok(err instanceof ServerError);
+    assert.equal(err.code, DexcomErrorCode.RATE_LIMITED);
+    assert.equal(err.status, 429);
+    assert.equal(err.endpoint, READINGS);
+    assert.equal(err.attempts, 3);
+    assert.equal(err.retryAfterMs, 30_000);
+  });
+
+  it("a coded 429 body still makes a RateLimitError with its Retry-After", async () => {
+    const { share, dex } = setup();
+    const body = JSON.stringify({ Code: "TooManyRequests", Message: "Slow down" });
+    share.inject({ status: 429, retryAfter: 30, body }, { endpoint: "readings", times: Infinity });
+    const err = await failure(dex.getCurrentGlucoseReading());
+    assert.ok(err instanceof RateLimitError);
+    assert.equal(err.serverCode, "TooManyRequests");
+    assert.equal(err.retryAfterMs, 30_000);
+  });
+
+  it("network failures are NetworkErrors with the original cause", async () => {
+    const { share, dex } = setup();
+    share.inject("network", { endpoint: "login", times: Infinity });
+    const err = await failure(dex.getCurrentGlucoseReading());
+    assert.ok(err instanceof NetworkError);
+    assert.equal(err.code, DexcomErrorCode.NETWORK_ERROR);
+    assert.equal(err.message, "Network request failed: fetch failed");
+    assert.equal(err.endpoint, "General/LoginPublisherAccountById");
+    assert.equal(err.attempts, 3);
+    assert.equal(err.status, undefined);
+    assert.ok(err.cause instanceof TypeError);
+  });
+
+  it("exhausted 5xx keeps the status instead of a bare Error", async () => {
+    const { share, dex } = setup();
+    share.inject({ status: 503, body: "<html>down</html>" }, { times: Infinity });
+    const err = await failure(dex.getCurrentGlucoseReading());
+    assert.ok(err instanceof ServerError);
+    assert.equal(err.code, DexcomErrorCode.SERVER_INVALID_JSON);
+    assert.equal(err.status, 503);
+    assert.equal(err.attempts, 3);
+    assert.ok(err.cause instanceof SyntaxError);
+
+    share.clearFaults();
+    share.inject({ status: 502, body: "{}" }, { times: Infinity });
+    const plain = await failure(dex.getCurrentGlucoseReading());
+    assert.equal(plain.code, DexcomErrorCode.SERVER_UNEXPECTED);
+    assert.equal(plain.status, 502);
+  });
+
+  it("keeps Dexcom's own code and message", async () => {
+    const { share, dex } = setup();
+    share.inject({ code: "SomethingNew", message: "Brand new failure" }, { endpoint: "readings" });
+    const unknown = await failure(dex.getCurrentGlucoseReading());
+    assert.equal(unknown.code, DexcomErrorCode.SERVER_UNKNOWN_CODE);
+    assert.equal(unknown.serverCode, "SomethingNew");
+    assert.equal(unknown.serverMessage, "Brand new failure");
+    assert.equal(unknown.status, 500);
+    assert.equal(unknown.attempts, 1, "coded errors are not retried");
+
+    share.inject("SessionNotValid", { endpoint: "readings", times: 2 });
+    const session = await failure(dex.getCurrentGlucoseReading());
+    assert.ok(session instanceof SessionError);
+    assert.equal(session.serverCode, "SessionNotValid");
+    assert.equal(session.endpoint, READINGS);
+
+    share.inject("AccountPasswordInvalid", { endpoint: "login" });
+    const fresh = new Dexcom({
+      accountId: dex.getAccountId,
+      password: "pw",
+      transport: { fetch: share.fetch },
+    });
+    const account = await failure(fresh.getCurrentGlucoseReading());
+    assert.ok(account instanceof AccountError);
+    assert.equal(account.serverCode, "AccountPasswordInvalid");
+  });
+
+  it("serializes to a plain object for logs", () => {
+    const err = new NetworkError({
+      endpoint: READINGS,
+      attempts: 2,
+      cause: new Error("ECONNRESET"),
+    });
+    assert.ok(err instanceof DexcomError);
+    assert.deepEqual(JSON.parse(JSON.stringify(err)), {
+      name: "NetworkError",
+      code: DexcomErrorCode.NETWORK_ERROR,
+      message: "Network request failed: ECONNRESET",
+      endpoint: READINGS,
+      attempts: 2,
+      cause: "ECONNRESET",
+    });
+    assert.equal(new ServerError(DexcomErrorCode.SERVER_UNEXPECTED).cause, undefined);
+  });
+});
@@ -0,0 +1,165 @@
+// Export/import tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const {
+  GlucoseReading,
+  ImportFormatError,
+  DexcomErrorCode,
+  readingsToCsv,
+  readingsFromCsv,
+  readingsToNdjson,
+  readingsFromNdjson,
+  readingsToClarityCsv,
+  readingsFromClarityCsv,
+} = await import(distEntry);
+
+const T = 1691455258000; // 2023-08-08T00:40:58Z
+const readings = [
+  new GlucoseReading({ DT: `Date(${T}-0400)`, Value: 85, Trend: "Flat" }),
+  new GlucoseReading({ DT: `Date(${T + 300_000}-0400)`, Value: 92, Trend: "FortyFiveUp" }),
+];
+const same = (a, b) =>
+  assert.deepEqual(
+    a.map((r) => [r.datetime.getTime(), r.mgDl, r.trendDirection, r.timezone]),
+    b.map((r) => [r.datetime.getTime(), r.mgDl, r.trendDirection, r.timezone]),
+  );
+
+describe("CSV", () => {
+  it("writes the default layout in local time and reads it back", () => {
+    const csv = readingsToCsv(readings);
+    assert.equal(
+      csv.split("\n")[0] + "\n" + csv.split("\n")[1],
+      "datetime,value,units,trendDirection,timezone\n2023-08-07T20:40:58-04:00,85,mg/dL,Flat,-0400",
+    );
+    same(readingsFromCsv(csv), readings);
+  });
+
+  it("supports columns, units, delimiter and timestamp format", () => {
+    const csv = readingsToCsv(readings, {
+      columns: ["datetime", "value", "trendArrow", "trendDescription"],
+      units: "mmol/L",
+      delimiter: ";",
+      timestampFormat: "epoch",
+    });
+    assert.equal(csv.split("\n")[1], `${T};4.7;→;steady`);
+    const back = readingsFromCsv(csv, { delimiter: ";", units: "mmol/L" });
+    assert.deepEqual(
+      back.map((r) => [r.datetime.getTime(), r.mgDl, r.timezone]),
+      [
+        [T, 85, "+0000"],
+        [T + 300_000, 92, "+0000"],
+      ],
+    );
+
+    const iso = readingsToCsv(readings, { columns: ["datetime", "mgDl"], timestampFormat: "iso" });
+    assert.equal(iso.split("\n")[1], "2023-08-08T00:40:58.000Z,85");
+    const custom = readingsToCsv(readings, {
+      header: false,
+      columns: ["datetime", "trend", "mmolL"],
+      timestampFormat: (r) => `t=${r.mgDl}, "x"`,
+    });
+    assert.equal(custom.split("\n")[0], '"t=85, ""x""",4,4.7');
+    const whole = new GlucoseReading({ DT: `Date(${T}+0000)`, Value: 90, Trend: "Flat" });
+    const fixed = readingsToCsv([whole], { header: false, columns: ["mmolL"], units: "mmol/L" });
+    assert.equal(fixed.split("\n")[0], "5.0");
+  });
+
+  it("rejects files without required columns or with bad values", () => {
+    assert.throws(() => readingsFromCsv("foo,bar\n1,2\n"), /Imported readings/);
+    assert.throws(() => readingsFromCsv("datetime,mgDl\nyesterday,85\n"), /Imported readings/);
+    assert.deepEqual(readingsFromCsv(""), []);
+  });
+
+  it("names the line of a bad row, whatever made it bad", () => {
+    const csv = 'datetime,mgDl,trendDirection\n2023-08-08T00:40:58Z,85,Flat\n\n"a\nb",90,Flat\n';
+    assert.throws(
+      () => readingsFromCsv(csv),
+      (err) => {
+        assert.ok(err instanceof ImportFormatError);
+        assert.equal(err.code, DexcomErrorCode.IMPORT_FORMAT_INVALID);
+        assert.equal(err.line, 4);
+        assert.equal(err.message, "Imported readings incorrectly formatted: line 4");
+        return true;
+      },
+    );
+    assert.throws(
+      () => readingsFromCsv("datetime,mgDl,trendDirection\n2023-08-08T00:40:58Z,85,Sideways\n"),
+      (err) =>
+        err instanceof ImportFormatError && err.line === 2 && err.cause.name === "ArgumentError",
+    );
+  });
+
+  it("reads offset-less timestamps in the timezone column, never the host's", () => {
+    const [r] = readingsFromCsv("datetime,mgDl,timezone\n2023-08-07T20:40:58,85,-0400\n");
+    assert.equal(r.datetime.getTime(), T);
+    assert.equal(r.timezone, "-0400");
+    assert.throws(
+      () => readingsFromCsv("datetime,mgDl\n2023-08-07T20:40:58,85\n"),
+      (err) => err instanceof ImportFormatError && /no UTC offset/.test(err.cause.message),
+    );
+  });
+});
+
+describe("NDJSON", () => {
+  it("round-trips raw Share records", () => {
+    const nd = readingsToNdjson(readings);
+    assert.equal(nd.trim().split("\n").length, 2);
+    same(readingsFromNdjson(nd + "\n\n"), readings);
+    assert.throws(() => readingsFromNdjson("{nope"), /Imported readings/);
+    assert.throws(
+      () => readingsFromNdjson(nd + '\n{"DT":"x"}\n'),
+      (err) => err instanceof ImportFormatError && err.line === 4,
+    );
+  });
+});
+
+describe("Clarity CSV", () => {
+  it("writes EGV rows in local time and reads them back with an offset", () => {
+    const low = new GlucoseReading({ DT: `Date(${T + 600_000}-0400)`, Value: 39, Trend: "Flat" });
+    const csv = readingsToClarityCsv([...readings, low]);
+    const lines = csv.trim().split("\n");
+    assert.ok(lines[0].startsWith("Index,Timestamp (YYYY-MM-DDThh:mm:ss),Event Type"));
+    assert.equal(lines[1].split(",").slice(0, 3).join(","), "1,2023-08-07T20:40:58,EGV");
+    assert.equal(lines[3].split(",")[7], "Low");
+
+    const back = readingsFromClarityCsv(csv, { utcOffsetMinutes: -240 });
+    assert.deepEqual(
+      back.map((r) => [r.datetime.getTime(), r.mgDl, r.timezone]),
+      [
+        [T, 85, "-0400"],
+        [T + 300_000, 92, "-0400"],
+        [T + 600_000, 39, "-0400"],
+      ],
+    );
+  });
+
+  it("reads mmol/L exports, skips non-EGV rows and derives trend from rate", () => {
+    const csv = [
+      "Index,Timestamp (YYYY-MM-DDThh:mm:ss),Event Type,Glucose Value (mmol/L),Glucose Rate of Change (mmol/L/min)",
+      "1,,FirstName,,",
+      "2,2023-08-08T00:40:58,EGV,5.0,0.1",
+      "3,2023-08-08T00:45:58,EGV,High,",
+    ].join("\r\n");
+    const back = readingsFromClarityCsv(csv);
+    assert.deepEqual(
+      back.map((r) => [r.mgDl, r.trendDirection]),
+      [
+        [90, "FortyFiveUp"],
+        [401, "None"],
+      ],
+    );
+    assert.equal(
+      readingsToClarityCsv(back, { units: "mmol/L" }).split("\n")[2].split(",")[7],
+      "High",
+    );
+    assert.throws(() => readingsFromClarityCsv("a,b\n"), /Imported readings/);
+  });
+});
@@ -0,0 +1,216 @@
+// Record/replay fixture tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+const testingEntry = path.resolve(__dirname, "../dist/testing.js");
+
+const { ArgumentError, Dexcom, FixtureRecorder, FixtureReplayer, SessionError } = await import(
+  distEntry
+);
+const { FakeShareServer, generateReadings } = await import(testingEntry);
+
+const NOW = Date.UTC(2024, 0, 15, 12, 0, 0);
+const USERNAME = "anna@example.com";
+const PASSWORD = "s3cret-pw";
+const fastRetry = { retries: 2, baseDelayMs: 1, maxDelayMs: 5, jitter: false };
+
+function upstream() {
+  const share = new FakeShareServer({ now: () => NOW });
+  const account = share.addAccount({
+    username: USERNAME,
+    password: PASSWORD,
+    readings: generateReadings({ end: NOW, count: 24, seed: 5 }),
+  });
+  return { share, account };
+}
+
+const plain = (readings) => readings.map((r) => [r.mgDl, r.trendDirection, r.datetime.getTime()]);
+
+describe("FixtureRecorder / FixtureReplayer", () => {
+  it("records a session with credentials redacted and replays it identically", async () => {
+    const { share, account } = upstream();
+    const recorder = new FixtureRecorder({ fetch: share.fetch });
+    const live = new Dexcom({
+      username: USERNAME,
+      password: PASSWORD,
+      retry: fastRetry,
+      transport: { fetch: recorder.fetch },
+    });
+    share.inject("SessionNotValid", { endpoint: "readings" });
+    share.inject("rateLimit", { endpoint: "readings" });
+    const recorded = await live.getGlucoseReadings(60, 6);
+
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-fixtures-"));
+    try {
+      const file = path.join(dir, "bug.json");
+      await recorder.save(file);
+      const text = await readFile(file, "utf8");
+      const sessionIds = share.requests.map((r) => new URL(r.url).searchParams.get("sessionId"));
+      for (const secret of [PASSWORD, USERNAME, account.accountId, ...sessionIds.filter(Boolean)]) {
+        assert.ok(!text.toLowerCase().includes(secret.toLowerCase()), `leaked ${secret}`);
+      }
+
+      const { version, fixtures } = JSON.parse(text);
+      assert.equal(version, 1);
+      assert.deepEqual(
+        fixtures.map((f) => [f.endpoint.split("/")[1], f.response.status]),
+        [
+          ["AuthenticatePublisherAccount", 200],
+          ["LoginPublisherAccountById", 200],
+          ["ReadPublisherLatestGlucoseValues", 500],
+          ["LoginPublisherAccountById", 200],
+          ["ReadPublisherLatestGlucoseValues", 429],
+          ["ReadPublisherLatestGlucoseValues", 200],
+        ],
+      );
+      const fakeAccount = JSON.parse(fixtures[0].response.body);
+      assert.equal(fixtures[1].body.accountId, fakeAccount);
+      assert.equal(fixtures[1].body.password, "<redacted>");
+      assert.equal(fixtures[0].body.accountName, "<redacted>");
+      assert.equal(fixtures[2].query.sessionId, JSON.parse(fixtures[1].response.body));
+      assert.notEqual(fixtures[4].query.sessionId, fixtures[2].query.sessionId);
+      assert.equal(fixtures[4].response.headers["retry-after"], "1");
+
+      const replayer = await FixtureReplayer.fromFile(file);
+      const replay = new Dexcom({
+        username: "someone",
+        password: "anything",
+        retry: fastRetry,
+        transport: { fetch: replayer.fetch },
+      });
+      assert.deepEqual(plain(await replay.getGlucoseReadings(60, 6)), plain(recorded));
+      assert.equal(replayer.remaining, 0);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("records and replays error responses and network failures", async () => {
+    const { share, account } = upstream();
+    const recorder = new FixtureRecorder({ fetch: share.fetch });
+    const live = new Dexcom({
+      accountId: account.accountId,
+      password: PASSWORD,
+      retry: fastRetry,
+      transport: { fetch: recorder.fetch },
+    });
+    share.inject("network", { endpoint: "login" });
+    share.inject("SessionIdNotFound", { endpoint: "readings", times: 2 });
+    await assert.rejects(live.getCurrentGlucoseReading(), SessionError);
+
+    const file = recorder.toJSON();
+    assert.deepEqual(file.fixtures[0].response, { error: "fetch failed" });
+    assert.ok(file.fixtures.every((f) => !JSON.stringify(f).includes(account.accountId)));
+
+    const replayer = new FixtureReplayer(JSON.parse(JSON.stringify(file)));
+    const replay = new Dexcom({
+      accountId: account.accountId,
+      password: PASSWORD,
+      retry: fastRetry,
+      transport: { fetch: replayer.fetch },
+    });
+    await assert.rejects(replay.getCurrentGlucoseReading(), SessionError);
+    assert.equal(replayer.remaining, 0);
+  });
+
+  it("scrubs credentials that error responses echo back", async () => {
+    const echo = (input, init) => {
+      const { accountName } = JSON.parse(init.body);
+      const Message = `Cannot Authenticate by AccountName '${accountName.toUpperCase()}'`;
+      return Promise.resolve(
+        new Response(JSON.stringify({ Code: "SSO_InternalError", Message }), { status: 500 }),
+      );
+    };
+    const recorder = new FixtureRecorder({ fetch: echo });
+    const live = new Dexcom({
+      username: USERNAME,
+      password: PASSWORD,
+      retry: fastRetry,
+      transport: { fetch: recorder.fetch },
+    });
+    await assert.rejects(live.getCurrentGlucoseReading());
+    const [fixture] = recorder.toJSON().fixtures;
+    assert.equal(
+      JSON.parse(fixture.response.body).Message,
+      "Cannot Authenticate by AccountName '<redacted>'",
+    );
+  });
+
+  it("replays responses that have no body", async () => {
+    const replayer = new FixtureReplayer([
+      { endpoint: "General/Anything", response: { status: 204, body: "" } },
+    ]);
+    const res = await replayer.fetch("https://share.example/ShareWebServices/General/Anything");
+    assert.equal(res.status, 204);
+    assert.equal(await res.text(), "");
+  });
+
+  it("fails loudly when the request flow diverges or runs out", async () => {
+    const replayer = new FixtureReplayer([
+      {
+        endpoint: "General/AuthenticatePublisherAccount",
+        response: { status: 200, body: '"00000000-0000-4000-a000-000000000001"' },
+      },
+    ]);
+    const retried = [];
+    const hooks = { onRetry: (e) => retried.push(e) };
+    const byId = new Dexcom({
+      accountId: "12345678-90ab-cdef-1234-567890abcdef",
+      password: "pw",
+      retry: fastRetry,
+      hooks,
+      transport: { fetch: replayer.fetch },
+    });
+    await assert.rejects(byId.getCurrentGlucoseReading(), (e) => {
+      assert.ok(e instanceof ArgumentError);
+      assert.equal(e.name, "FixtureError");
+      assert.match(e.message, /^Replay mismatch: expected .*AuthenticatePublisherAccount at #0/);
+      return true;
+    });
+
+    const byName = new Dexcom({
+      username: "u",
+      password: "pw",
+      retry: fastRetry,
+      hooks,
+      transport: { fetch: replayer.fetch },
+    });
+    await assert.rejects(byName.getCurrentGlucoseReading(), {
+      name: "FixtureError",
+      message: /^Replay exhausted: no fixture left for General\/LoginPublisherAccountById/,
+    });
+    assert.deepEqual(retried, []);
+  });
+
+  it("rejects fixture files it cannot replay", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-fixture-"));
+    try {
+      const file = path.join(dir, "fixture.json");
+      for (const contents of [
+        "{not json",
+        JSON.stringify({ version: 2, recordedAt: "", fixtures: [] }),
+        JSON.stringify({
+          version: 1,
+          recordedAt: "",
+          fixtures: [{ endpoint: "General/AuthenticatePublisherAccount", response: {} }],
+        }),
+      ]) {
+        await writeFile(file, contents);
+        await assert.rejects(FixtureReplayer.fromFile(file), {
+          name: "FixtureError",
+          message: `Fixture file incorrectly formatted: ${file}`,
+        });
+      }
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
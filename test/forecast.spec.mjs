@@ -0,0 +1,65 @@
+// forecastGlucose tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { forecastGlucose, GlucoseReading } = await import(distEntry);
+
+const T0 = 1691455258000;
+const MIN = 60_000;
+const bg = (minute, value) =>
+  new GlucoseReading({ DT: `Date(${T0 + minute * MIN}-0400)`, Value: value, Trend: "Flat" });
+
+describe("forecastGlucose", () => {
+  it("projects a steady fall with a band around it", () => {
+    // -1.6 mg/dL per minute, newest first like Share returns them
+    const readings = [0, 5, 10, 15, 20, 25, 30].map((m) => bg(m, 200 - 1.6 * m)).reverse();
+    const f = forecastGlucose(readings, { horizons: [15, 30, 120] });
+    assert.equal(f.computable, true);
+    assert.equal(f.trendDirection, "FortyFiveDown");
+    assert.ok(Math.abs(f.ratePerMinute + 1.6) < 1e-9);
+    assert.equal(f.basedOn.getTime(), T0 + 30 * MIN);
+    assert.deepEqual(
+      f.points.map((p) => [p.minutes, p.mgDl]),
+      [
+        [15, 128],
+        [30, 104],
+        [120, 40], // clamped at the sensor floor
+      ],
+    );
+    const [p15, p30] = f.points;
+    assert.ok(p15.lowMgDl < p15.mgDl && p15.highMgDl > p15.mgDl);
+    assert.ok(p30.highMgDl - p30.lowMgDl > p15.highMgDl - p15.lowMgDl, "band widens");
+    assert.equal(p15.datetime.getTime(), T0 + 45 * MIN);
+  });
+
+  it("maps rates to Dexcom directions", () => {
+    const dir = (rate) =>
+      forecastGlucose([0, 5, 10].map((m) => bg(m, 150 + rate * m))).trendDirection;
+    assert.equal(dir(3.5), "DoubleUp");
+    assert.equal(dir(2.5), "SingleUp");
+    assert.equal(dir(1.5), "FortyFiveUp");
+    assert.equal(dir(0), "Flat");
+    assert.equal(dir(-2.5), "SingleDown");
+    assert.equal(dir(-3.5), "DoubleDown");
+  });
+
+  it("uses only the run after a gap and reports NotComputable when too short", () => {
+    const readings = [bg(0, 100), bg(5, 105), bg(10, 110), bg(40, 150), bg(45, 150)];
+    const f = forecastGlucose(readings, { windowMinutes: 60 });
+    assert.equal(f.computable, false);
+    assert.equal(f.trendDirection, "NotComputable");
+    assert.equal(f.ratePerMinute, null);
+    assert.deepEqual(f.points, []);
+
+    assert.equal(forecastGlucose([]).computable, false);
+    // duplicates collapse to one point
+    assert.equal(forecastGlucose([bg(0, 100), bg(0, 100), bg(0, 100)]).computable, false);
+  });
+});
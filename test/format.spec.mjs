@@ -0,0 +1,146 @@
+// Glucose formatter tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const {
+  GlucoseReading,
+  GlucoseFormatter,
+  formatGlucose,
+  convertGlucose,
+  ArgumentError,
+  DexcomErrorCode,
+} = await import(distEntry);
+
+const reading = (Value, Trend = "FortyFiveUp") =>
+  new GlucoseReading({ DT: "Date(1691455258000-0400)", Value, Trend });
+
+describe("convertGlucose", () => {
+  it("uses the exact 18.0182 factor", () => {
+    assert.equal(convertGlucose(132, "mmol/L"), 7.3);
+    assert.equal(convertGlucose(132, "mmol/L", 2), 7.33);
+    assert.equal(convertGlucose(100, "mmol/L", 4), 5.5499);
+    assert.equal(convertGlucose(90, "mmol/L", 2), 4.99); // 0.0555 would give 5.00
+    assert.equal(convertGlucose(132.4, "mg/dL"), 132);
+  });
+
+  it("agrees with reading.mmolL and the formatter", () => {
+    for (const mgDl of [40, 70, 90, 132, 180, 250, 400]) {
+      const mmol = convertGlucose(mgDl, "mmol/L");
+      assert.equal(reading(mgDl).mmolL, mmol);
+      assert.equal(formatGlucose(reading(mgDl), { units: "mmol/L" }).value, mmol.toFixed(1));
+    }
+  });
+});
+
+describe("GlucoseFormatter", () => {
+  it("formats mg/dL in English by default", () => {
+    assert.deepEqual(formatGlucose(reading(132)), {
+      value: "132",
+      units: "mg/dL",
+      arrow: "↗",
+      trend: "rising slightly",
+      text: "132 mg/dL ↗",
+      accessibleText: "132 milligrams per deciliter, rising slightly",
+    });
+  });
+
+  it("formats mmol/L with the locale's decimal separator and configurable precision", () => {
+    const de = new GlucoseFormatter({ locale: "de-DE", units: "mmol/L" });
+    assert.equal(de.language, "de");
+    const f = de.format(reading(132));
+    assert.equal(f.value, "7,3");
+    assert.equal(f.text, "7,3 mmol/L ↗");
+    assert.equal(f.accessibleText, "7,3 Millimol pro Liter, leicht steigend");
+
+    const precise = new GlucoseFormatter({ units: "mmol/L", precision: 2 });
+    assert.equal(precise.formatValue(132), "7.33");
+    assert.equal(precise.formatValue(90), "4.99");
+    assert.equal(new GlucoseFormatter({ units: "mmol/L", precision: 0 }).formatValue(132), "7");
+  });
+
+  it("translates trends and accessible text", () => {
+    const ja = formatGlucose(reading(132, "DoubleDown"), { locale: "ja-JP" });
+    assert.equal(ja.trend, "急下降");
+    assert.equal(ja.text, "132 mg/dL ↓↓");
+    assert.equal(ja.accessibleText, "132ミリグラム毎デシリットル、急下降");
+
+    assert.equal(formatGlucose(reading(132, "Flat"), { locale: "fr" }).trend, "stable");
+    assert.equal(
+      formatGlucose(reading(132, "SingleUp"), { locale: "es-ES", units: "mmol/L" }).accessibleText,
+      "7,3 milimoles por litro, subiendo",
+    );
+
+    const all = new GlucoseFormatter({ locale: "de" });
+    assert.deepEqual(
+      [0, 1, 4, 7, 8, 9].map((t) => all.trendDescription(t)),
+      [
+        "",
+        "schnell steigend",
+        "stabil",
+        "schnell fallend",
+        "Trend nicht bestimmbar",
+        "Trend nicht verfügbar",
+      ],
+    );
+  });
+
+  it("falls back to English text for other languages, keeping local numbers", () => {
+    const pt = new GlucoseFormatter({ locale: "pt-BR", units: "mmol/L" });
+    assert.equal(pt.language, "en");
+    assert.equal(
+      pt.format(reading(132)).accessibleText,
+      "7,3 millimoles per liter, rising slightly",
+    );
+  });
+
+  it("shows LOW and HIGH beyond the sensor limits", () => {
+    const low = formatGlucose(reading(39, "NotComputable"), { units: "mmol/L" });
+    assert.equal(low.value, "LOW");
+    assert.equal(low.limit, "low");
+    assert.equal(low.text, "LOW");
+    assert.equal(
+      low.accessibleText,
+      "Low, below 2.2 millimoles per liter, unable to determine trend",
+    );
+
+    const high = formatGlucose(reading(401, "None"), { locale: "de" });
+    assert.equal(high.value, "HIGH");
+    assert.equal(high.limit, "high");
+    assert.equal(high.accessibleText, "Hoch, über 400 Milligramm pro Deziliter");
+
+    assert.equal(
+      formatGlucose(reading(39), { locale: "ja" }).accessibleText.startsWith("LOW、40"),
+      true,
+    );
+    assert.equal(formatGlucose(reading(40)).value, "40");
+    assert.equal(formatGlucose(reading(400)).limit, undefined);
+  });
+
+  it("omits an empty trend", () => {
+    const f = formatGlucose(reading(100, "None"));
+    assert.equal(f.text, "100 mg/dL");
+    assert.equal(f.accessibleText, "100 milligrams per deciliter");
+  });
+
+  it("rejects invalid options", () => {
+    for (const options of [
+      { locale: "not a locale!" },
+      { precision: 4 },
+      { precision: 1.5 },
+      { units: "mg" },
+    ]) {
+      assert.throws(
+        () => new GlucoseFormatter(options),
+        (err) =>
+          err instanceof ArgumentError && err.code === DexcomErrorCode.FORMAT_OPTIONS_INVALID,
+      );
+    }
+  });
+});
@@ -0,0 +1,83 @@
+// Gap detection and grid tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { findGaps, regularizeReadings, GlucoseReading } = await import(distEntry);
+
+const T0 = 1691455258000;
+const MIN = 60_000;
+const bg = (minute, value) =>
+  new GlucoseReading({ DT: `Date(${T0 + minute * MIN}-0400)`, Value: value, Trend: "Flat" });
+
+// 0, 5, [10 missing], 15, [20..35 missing], 40 (with a little clock jitter on 15)
+const series = [bg(40, 160), bg(15.1, 130), bg(5, 110), bg(0, 100), bg(5, 110)];
+
+describe("findGaps", () => {
+  it("reports start, end and missing count", () => {
+    const gaps = findGaps(series);
+    assert.deepEqual(
+      gaps.map((g) => [(g.start - T0) / MIN, (g.end - T0) / MIN, g.missing]),
+      [
+        [5, 15.1, 1],
+        [15.1, 40, 4],
+      ],
+    );
+    assert.deepEqual(findGaps([]), []);
+  });
+});
+
+describe("regularizeReadings", () => {
+  it("fills short gaps by interpolation and leaves long ones missing", () => {
+    const grid = regularizeReadings(series);
+    assert.equal(grid.length, 9);
+    assert.deepEqual(
+      grid.map((p) => [(p.datetime - T0) / MIN, p.kind, p.mgDl]),
+      [
+        [0, "reading", 100],
+        [5, "reading", 110],
+        [10, "interpolated", 120],
+        [15, "reading", 130],
+        [20, "missing", null],
+        [25, "missing", null],
+        [30, "missing", null],
+        [35, "missing", null],
+        [40, "reading", 160],
+      ],
+    );
+    assert.equal(grid[3].reading.datetime.getTime(), T0 + 15.1 * MIN);
+  });
+
+  it("keeps the reading nearest to a slot, the earliest on a tie", () => {
+    const near = regularizeReadings([bg(0, 100), bg(3.5, 150), bg(5.5, 120), bg(10, 140)]);
+    assert.deepEqual(
+      near.map((p) => p.mgDl),
+      [100, 120, 140],
+    );
+    const tie = regularizeReadings([bg(0, 100), bg(6, 160), bg(4, 130), bg(10, 140)]);
+    assert.deepEqual(
+      tie.map((p) => p.mgDl),
+      [100, 130, 140],
+    );
+  });
+
+  it("honours maxGapMinutes", () => {
+    const grid = regularizeReadings(series, { maxGapMinutes: 30 });
+    assert.deepEqual(
+      grid.slice(4, 8).map((p) => [p.kind, p.mgDl]),
+      [
+        ["interpolated", 136],
+        ["interpolated", 142],
+        ["interpolated", 148],
+        ["interpolated", 154],
+      ],
+    );
+    assert.deepEqual(regularizeReadings([]), []);
+  });
+});
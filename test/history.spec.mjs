@@ -0,0 +1,206 @@
+// History store tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { DatabaseSync } from "node:sqlite";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const {
+  Dexcom,
+  GlucoseReading,
+  HistoryFileError,
+  MemoryHistoryStore,
+  JsonlHistoryStore,
+  SqliteHistoryStore,
+} = await import(distEntry);
+
+const T = 1691455258000;
+const raw = (i, value) => ({ DT: `Date(${T + i * 300_000}-0400)`, Value: value, Trend: "Flat" });
+const bg = (i, value) => new GlucoseReading(raw(i, value));
+const values = (arr) => arr.map((r) => r.mgDl);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+
+// Same contract for every adapter
+async function exerciseStore(store) {
+  assert.equal(await store.latest(), undefined);
+  assert.equal(await store.add([bg(2, 120), bg(0, 100), bg(1, 110)]), 3);
+  assert.equal(await store.add([bg(1, 110), bg(3, 130)]), 1);
+  assert.deepEqual(
+    values(await store.range(new Date(T + 300_000), new Date(T + 900_000))),
+    [110, 120, 130],
+  );
+  assert.equal((await store.latest()).mgDl, 130);
+}
+
+describe("History stores", () => {
+  it("MemoryHistoryStore", async () => {
+    await exerciseStore(new MemoryHistoryStore());
+  });
+
+  it("JsonlHistoryStore persists across instances", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-history-"));
+    try {
+      const file = path.join(dir, "readings.jsonl");
+      await exerciseStore(new JsonlHistoryStore(file));
+      assert.equal((await readFile(file, "utf8")).trim().split("\n").length, 4);
+
+      const reopened = new JsonlHistoryStore(file);
+      assert.equal((await reopened.latest()).mgDl, 130);
+      assert.equal(await reopened.add([bg(0, 100)]), 0);
+      await assert.rejects(() => new JsonlHistoryStore(dir).latest(), /EISDIR/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("JsonlHistoryStore reports bad lines and recovers", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-history-"));
+    try {
+      const file = path.join(dir, "readings.jsonl");
+      // Crash mid-append: the last line is cut short.
+      await writeFile(file, JSON.stringify(raw(0, 100)) + "\n" + '{"DT":"Date(169');
+
+      const strict = new JsonlHistoryStore(file);
+      for (let i = 0; i < 2; i++) {
+        await assert.rejects(strict.latest(), (err) => {
+          assert.ok(err instanceof HistoryFileError);
+          assert.equal(err.file, file);
+          assert.equal(err.line, 2);
+          assert.equal(err.message, `History file line incorrectly formatted: ${file}:2`);
+          assert.ok(err.cause instanceof SyntaxError);
+          return true;
+        });
+      }
+
+      const skipped = [];
+      const lenient = new JsonlHistoryStore(file, { onInvalidLine: (e) => skipped.push(e.line) });
+      assert.equal((await lenient.latest()).mgDl, 100);
+      assert.deepEqual(skipped, [2]);
+      assert.equal(await lenient.add([bg(1, 110)]), 1);
+      assert.equal((await readFile(file, "utf8")).split("\n")[2], JSON.stringify(raw(1, 110)));
+
+      // Once repaired, the same instance loads again instead of staying broken.
+      await writeFile(file, JSON.stringify(raw(0, 100)) + "\n");
+      assert.equal((await strict.latest()).mgDl, 100);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("JsonlHistoryStore keeps nothing from a failed write", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-history-"));
+    try {
+      const store = new JsonlHistoryStore(path.join(dir, "missing", "readings.jsonl"));
+      await assert.rejects(store.add([bg(0, 100), bg(1, 110)]), { code: "ENOENT" });
+      assert.equal(await store.latest(), undefined);
+
+      await mkdir(path.join(dir, "missing"));
+      const [a, b] = await Promise.all([
+        store.add([bg(0, 100), bg(1, 110)]),
+        store.add([bg(1, 110)]),
+      ]);
+      assert.deepEqual([a, b], [2, 0]);
+      assert.deepEqual(values(await store.range(new Date(T), new Date(T + 300_000))), [100, 110]);
+      const lines = await readFile(path.join(dir, "missing", "readings.jsonl"), "utf8");
+      assert.equal(lines.trim().split("\n").length, 2);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("SqliteHistoryStore (node:sqlite)", async () => {
+    await exerciseStore(new SqliteHistoryStore(new DatabaseSync(":memory:")));
+  });
+
+  it("SqliteHistoryStore rejects instead of throwing and adds all or nothing", async () => {
+    const db = new DatabaseSync(":memory:");
+    const store = new SqliteHistoryStore(db);
+    const unserializable = new GlucoseReading({ ...raw(1, 110), Extra: 1n });
+    await assert.rejects(() => store.add([bg(0, 100), unserializable]), TypeError);
+    assert.equal(await store.latest(), undefined);
+    assert.equal(await store.add([bg(0, 100)]), 1);
+
+    db.exec("INSERT INTO glucose_readings (ts, raw) VALUES (0, '{broken')");
+    await assert.rejects(() => store.range(new Date(0), new Date(T)), SyntaxError);
+    await assert.rejects(() => new SqliteHistoryStore(db, "bad name").latest());
+  });
+});
+
+describe("Dexcom history", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("saves fetched readings and serves ranges beyond the Share window", async () => {
+    const reads = [];
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("AuthenticatePublisherAccount"))
+        return Promise.resolve(ok("12345678-90ab-cdef-1234-567890abcdef"));
+      if (s.includes("LoginPublisherAccountById"))
+        return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+      if (s.includes("ReadPublisherLatestGlucoseValues")) {
+        reads.push(new URL(s).searchParams.get("minutes"));
+        return Promise.resolve(ok([raw(3, 130), raw(2, 120)]));
+      }
+      return Promise.resolve(new Response("{}", { status: 404 }));
+    });
+
+    const history = new MemoryHistoryStore();
+    await history.add([bg(0, 100), bg(1, 110)]); // archived earlier
+    const dex = new Dexcom({ username: "u", password: "p", history });
+
+    const all = await dex.getGlucoseHistory(new Date(T), new Date(T + 3_600_000));
+    assert.deepEqual(values(all), [130, 120, 110, 100]);
+    assert.equal(await dex.syncHistory(), 0);
+    assert.deepEqual(reads, ["1440", "1440"]);
+  });
+
+  it("reports a failed history write without failing the fetch", async () => {
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("AuthenticatePublisherAccount"))
+        return Promise.resolve(ok("12345678-90ab-cdef-1234-567890abcdef"));
+      if (s.includes("LoginPublisherAccountById"))
+        return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+      return Promise.resolve(ok([raw(1, 110), raw(0, 100)]));
+    });
+    const history = new MemoryHistoryStore();
+    history.add = () => Promise.reject(new Error("disk full"));
+    const events = [];
+    const dex = new Dexcom({
+      username: "u",
+      password: "p",
+      history,
+      hooks: { onHistoryError: (e) => events.push(e) },
+    });
+
+    assert.deepEqual(values(await dex.getGlucoseReadings()), [110, 100]);
+    assert.deepEqual(events, [{ count: 2, message: "disk full" }]);
+    await assert.rejects(() => dex.syncHistory(), /disk full/);
+  });
+
+  it("requires a history store", async () => {
+    const dex = new Dexcom({ username: "u", password: "p" });
+    await assert.rejects(() => dex.getGlucoseHistory(new Date(T)), /History store not configured/);
+  });
+});
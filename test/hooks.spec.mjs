@@ -0,0 +1,168 @@
+// Lifecycle hooks and logger tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+const testingEntry = path.resolve(__dirname, "../dist/testing.js");
+
+const { Dexcom, DexcomErrorCode } = await import(distEntry);
+const { FakeShareServer, generateReadings } = await import(testingEntry);
+
+const PASSWORD = "hunter2-secret";
+const fastRetry = { retries: 3, baseDelayMs: 1, maxDelayMs: 5, jitter: false };
+
+function setup(options = {}) {
+  const share = new FakeShareServer();
+  share.addAccount({
+    username: "anna@example.com",
+    password: PASSWORD,
+    readings: (now) => generateReadings({ end: now.getTime(), count: 12 }),
+  });
+  const events = [];
+  const record = (name) => (e) => events.push([name, e]);
+  const hooks = Object.fromEntries(
+    [
+      "onRequest",
+      "onResponse",
+      "onRetry",
+      "onSessionCreated",
+      "onSessionRefreshed",
+      "onSessionInvalidated",
+      "onValidationFailure",
+    ].map((n) => [n, record(n)]),
+  );
+  const logs = [];
+  const logger = Object.fromEntries(
+    ["debug", "info", "warn", "error"].map((level) => [
+      level,
+      (message, data) => logs.push({ level, message, data }),
+    ]),
+  );
+  const dex = new Dexcom({
+    username: "anna@example.com",
+    password: PASSWORD,
+    retry: fastRetry,
+    hooks,
+    logger,
+    transport: { fetch: share.fetch },
+    ...options,
+  });
+  return { share, dex, events, logs };
+}
+
+/** Session IDs the fake server handed out. */
+function sessionIds(share) {
+  return share.requests.map((r) => new URL(r.url).searchParams.get("sessionId")).filter(Boolean);
+}
+
+describe("hooks & logger", () => {
+  it("reports requests, responses and session creation", async () => {
+    const { share, dex, events } = setup();
+    await dex.getCurrentGlucoseReading();
+    assert.deepEqual(
+      events.map(([name, e]) => `${name}:${e.endpoint?.split("/")[1] ?? ""}`),
+      [
+        "onRequest:AuthenticatePublisherAccount",
+        "onResponse:AuthenticatePublisherAccount",
+        "onRequest:LoginPublisherAccountById",
+        "onResponse:LoginPublisherAccountById",
+        "onSessionCreated:",
+        "onRequest:ReadPublisherLatestGlucoseValues",
+        "onResponse:ReadPublisherLatestGlucoseValues",
+      ],
+    );
+    const [session] = sessionIds(share);
+    const created = events[4][1];
+    assert.equal(created.sessionId, `****${session.slice(-4)}`);
+    assert.equal(created.accountId, dex.getAccountId);
+    const read = events[6][1];
+    assert.equal(read.status, 200);
+    assert.equal(read.attempt, 1);
+    assert.ok(read.durationMs >= 0);
+    assert.ok(read.url.includes(`sessionId=****${session.slice(-4)}`));
+    assert.ok(!read.url.includes(session));
+  });
+
+  it("reports retries, session invalidation and refresh", async () => {
+    const { share, dex, events } = setup();
+    await dex.getCurrentGlucoseReading();
+    events.length = 0;
+    share.inject("SessionNotValid", { endpoint: "readings" });
+    share.inject("serviceUnavailable", { endpoint: "readings" });
+    share.inject("network", { endpoint: "readings" });
+    await dex.getCurrentGlucoseReading();
+
+    const [first, second] = sessionIds(share).filter((id, i, all) => all.indexOf(id) === i);
+    const byName = (n) => events.filter(([name]) => name === n).map(([, e]) => e);
+    assert.deepEqual(byName("onSessionInvalidated"), [
+      {
+        sessionId: `****${first.slice(-4)}`,
+        accountId: dex.getAccountId,
+        code: DexcomErrorCode.SESSION_INVALID,
+      },
+    ]);
+    assert.equal(byName("onSessionCreated").length, 1);
+    const [refreshed] = byName("onSessionRefreshed");
+    assert.equal(refreshed.sessionId, `****${second.slice(-4)}`);
+    assert.equal(refreshed.previousSessionId, `****${first.slice(-4)}`);
+    assert.deepEqual(
+      byName("onRetry").map((e) => [e.attempt, e.delayMs, e.reason]),
+      [
+        [1, 1, "HTTP 503"],
+        [2, 2, "fetch failed"],
+      ],
+    );
+  });
+
+  it("reports validation failures", async () => {
+    const { share, dex, events, logs } = setup();
+    share.inject({ status: 200, body: '[{"Value": 100}]' }, { endpoint: "readings" });
+    await assert.rejects(dex.getCurrentGlucoseReading());
+    const failures = events.filter(([name]) => name === "onValidationFailure");
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0][1].endpoint, "Publisher/ReadPublisherLatestGlucoseValues");
+    assert.match(failures[0][1].message, /DT|Trend/);
+    assert.ok(logs.some((l) => l.level === "error" && l.message === "dexcom: validation failed"));
+  });
+
+  it("never leaks the password or session IDs to the logger", async () => {
+    const { share, dex, logs } = setup();
+    share.inject("rateLimit", { endpoint: "login" });
+    await dex.getCurrentGlucoseReading();
+    share.inject("SessionIdNotFound", { endpoint: "readings" });
+    await dex.getCurrentGlucoseReading();
+
+    const levels = new Set(logs.map((l) => l.level));
+    assert.deepEqual([...levels].sort(), ["debug", "info", "warn"]);
+    const text = JSON.stringify(logs);
+    assert.ok(!text.includes(PASSWORD));
+    for (const id of sessionIds(share)) assert.ok(!text.includes(id), `leaked ${id}`);
+    assert.ok(text.includes("session refreshed"));
+  });
+
+  it("a throwing hook does not break the client", async () => {
+    const warnings = [];
+    const { dex } = setup({
+      hooks: {
+        onSessionCreated: () => {
+          throw new Error(`boom ${PASSWORD}`);
+        },
+      },
+      logger: {
+        debug() {},
+        info() {},
+        warn: (message, data) => warnings.push([message, data]),
+        error() {},
+      },
+    });
+    assert.ok(await dex.getCurrentGlucoseReading());
+    assert.deepEqual(warnings, [
+      ["dexcom: onSessionCreated hook threw", { error: "boom <redacted>" }],
+    ]);
+  });
+});
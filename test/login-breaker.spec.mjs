@@ -0,0 +1,197 @@
+// Login circuit breaker tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+const testingEntry = path.resolve(__dirname, "../dist/testing.js");
+
+const {
+  Dexcom,
+  AccountError,
+  LoginBlockedError,
+  DexcomErrorCode,
+  FileSessionCache,
+  KeyedMemorySessionCache,
+} = await import(distEntry);
+const { FakeShareServer } = await import(testingEntry);
+
+const USERNAME = "anna@example.com";
+const PASSWORD = "pw";
+
+// A handle of its own per client on one store, like a FileSessionCache each on one directory
+function sharedStore() {
+  const store = new KeyedMemorySessionCache();
+  return () => ({
+    keyed: true,
+    get: (key) => store.get(key),
+    set: (key, value, ttlMs) => store.set(key, value, ttlMs),
+    delete: (key) => store.delete(key),
+  });
+}
+
+function setup() {
+  const share = new FakeShareServer();
+  const account = share.addAccount({
+    username: USERNAME,
+    password: PASSWORD,
+    readings: (now) => [{ mgDl: 100, datetime: now }],
+  });
+  const client = (options = {}) =>
+    new Dexcom({
+      username: USERNAME,
+      password: PASSWORD,
+      transport: { fetch: share.fetch },
+      ...options,
+    });
+  return { share, account, client };
+}
+
+describe("login circuit breaker", () => {
+  it("opens after repeated authentication failures and refuses logins", async () => {
+    const { share, client } = setup();
+    // Default retry and breaker options: each failed login is one request to Dexcom
+    const dex = client({ password: "wrong" });
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(dex.getCurrentGlucoseReading(), {
+        code: DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION,
+      });
+    }
+    const status = await dex.getLoginBreakerStatus();
+    assert.equal(status.state, "open");
+    assert.equal(status.failures, 3);
+    assert.ok(status.openUntil > new Date(Date.now() + 29 * 60_000));
+
+    await assert.rejects(dex.getCurrentGlucoseReading(), (err) => {
+      assert.ok(err instanceof LoginBlockedError);
+      assert.ok(err instanceof AccountError);
+      assert.equal(err.code, DexcomErrorCode.LOGIN_BLOCKED);
+      assert.deepEqual(err.retryAt, status.openUntil);
+      return true;
+    });
+    assert.equal(share.count("authenticate"), 3);
+
+    await dex.resetLoginBreaker();
+    assert.equal((await dex.getLoginBreakerStatus()).state, "closed");
+  });
+
+  it("opens at once when Share reports the account locked", async () => {
+    const { share, client } = setup();
+    const dex = client();
+    share.inject("SSO_AuthenticateMaxAttemptsExceeded", { endpoint: "authenticate" });
+    await assert.rejects(dex.getCurrentGlucoseReading(), {
+      code: DexcomErrorCode.ACCOUNT_MAX_ATTEMPTS,
+    });
+    await assert.rejects(dex.getCurrentGlucoseReading(), LoginBlockedError);
+    assert.equal(share.count("authenticate"), 1);
+  });
+
+  it("a successful login resets the failure streak", async () => {
+    const { share, client } = setup();
+    const dex = client();
+    share.inject("AccountPasswordInvalid", { endpoint: "login", times: 2 });
+    for (let i = 0; i < 2; i++) await assert.rejects(dex.getCurrentGlucoseReading(), AccountError);
+    assert.equal((await dex.getLoginBreakerStatus()).failures, 2);
+    assert.ok(await dex.getCurrentGlucoseReading());
+    assert.deepEqual(await dex.getLoginBreakerStatus(), {
+      state: "closed",
+      failures: 0,
+      threshold: 3,
+    });
+  });
+
+  it("counts concurrent failures of clients sharing one store", async () => {
+    const share = new FakeShareServer({ latencyMs: 20 });
+    share.addAccount({ username: USERNAME, password: PASSWORD });
+    const handle = sharedStore();
+    const clients = Array.from(
+      { length: 3 },
+      () =>
+        new Dexcom({
+          username: USERNAME,
+          password: "wrong",
+          retry: { retries: 1 },
+          cache: handle(),
+          loginBreaker: { threshold: 5 },
+          transport: { fetch: share.fetch },
+        }),
+    );
+    const results = await Promise.allSettled(clients.map((c) => c.getCurrentGlucoseReading()));
+    assert.ok(results.every((r) => r.reason instanceof AccountError));
+    assert.equal((await clients[0].getLoginBreakerStatus()).failures, 3);
+  });
+
+  it("allows one trial login after the cooldown", async () => {
+    const { share, client } = setup();
+    const dex = client({ loginBreaker: { threshold: 1, cooldownMs: 40 } });
+    share.inject("AccountPasswordInvalid", { endpoint: "authenticate", times: 2 });
+    await assert.rejects(dex.getCurrentGlucoseReading(), AccountError);
+    await assert.rejects(dex.getCurrentGlucoseReading(), LoginBlockedError);
+
+    await delay(60);
+    assert.equal((await dex.getLoginBreakerStatus()).state, "half-open");
+    await assert.rejects(dex.getCurrentGlucoseReading(), {
+      code: DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION,
+    });
+    assert.equal((await dex.getLoginBreakerStatus()).state, "open");
+
+    await delay(60);
+    assert.ok(await dex.getCurrentGlucoseReading());
+    assert.equal((await dex.getLoginBreakerStatus()).state, "closed");
+    assert.equal(share.count("authenticate"), 3);
+  });
+
+  it("lets only one of several concurrent callers make the trial login", async () => {
+    const { share, client } = setup();
+    const handle = sharedStore();
+    const options = { password: "wrong", loginBreaker: { threshold: 1, cooldownMs: 40 } };
+    const first = client({ ...options, cache: handle() });
+    await assert.rejects(first.getCurrentGlucoseReading(), AccountError);
+    await delay(60);
+
+    const clients = [
+      first,
+      client({ ...options, cache: handle() }),
+      client({ ...options, cache: handle() }),
+    ];
+    const results = await Promise.allSettled(clients.map((c) => c.getCurrentGlucoseReading()));
+    const names = results.map((r) => r.reason.name).sort();
+    assert.deepEqual(names, ["AccountError", "LoginBlockedError", "LoginBlockedError"]);
+    assert.equal(share.count("authenticate"), 2);
+    assert.equal((await first.getLoginBreakerStatus()).state, "open");
+  });
+
+  it("state survives a restart through a shared cache", async () => {
+    const { share, client } = setup();
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-breaker-"));
+    try {
+      const first = client({ password: "wrong", cache: new FileSessionCache(dir) });
+      for (let i = 0; i < 3; i++) await assert.rejects(first.getCurrentGlucoseReading());
+
+      const restarted = client({ password: "wrong", cache: new FileSessionCache(dir) });
+      assert.equal((await restarted.getLoginBreakerStatus()).state, "open");
+      await assert.rejects(restarted.getCurrentGlucoseReading(), LoginBlockedError);
+      assert.equal(share.count("authenticate"), 3);
+
+      const other = client({ username: "ben@example.com", cache: new FileSessionCache(dir) });
+      assert.equal((await other.getLoginBreakerStatus()).state, "closed");
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("can be disabled", async () => {
+    const { share, client } = setup();
+    const dex = client({ password: "wrong", loginBreaker: false });
+    for (let i = 0; i < 5; i++) await assert.rejects(dex.getCurrentGlucoseReading(), AccountError);
+    assert.equal(share.count("authenticate"), 5);
+    assert.equal((await dex.getLoginBreakerStatus()).state, "closed");
+  });
+});
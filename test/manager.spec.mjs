@@ -0,0 +1,178 @@
+// DexcomManager tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { DexcomManager } = await import(distEntry);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+
+const uuid = (n) => `${String(n).repeat(8)}-1111-2222-3333-444444444444`;
+const MIN = 60_000;
+
+// Login echoes the accountId back as the session id, so reads can tell patients apart.
+function sharePerPatient(values, { failFor = [], inFlight = { now: 0, max: 0 } } = {}) {
+  return async (url, init) => {
+    const s = reqToString(url);
+    if (s.includes("LoginPublisherAccountById")) {
+      return ok(JSON.parse(init.body).accountId);
+    }
+    if (s.includes("ReadPublisherLatestGlucoseValues")) {
+      const session = new URL(s).searchParams.get("sessionId");
+      inFlight.now += 1;
+      inFlight.max = Math.max(inFlight.max, inFlight.now);
+      await delay(5);
+      inFlight.now -= 1;
+      if (failFor.includes(session)) return new Response("{}", { status: 418 });
+      const [value, ageMin] = values[session];
+      return ok([{ DT: `Date(${Date.now() - ageMin * MIN}-0400)`, Value: value, Trend: "Flat" }]);
+    }
+    return new Response("{}", { status: 404 });
+  };
+}
+
+async function until(cond, timeoutMs = 2000) {
+  const end = Date.now() + timeoutMs;
+  while (!cond()) {
+    if (Date.now() > end) throw new Error("condition not met in time");
+    await delay(5);
+  }
+}
+
+const accounts = [1, 2, 3, 4, 5].map((n) => ({ id: `p${n}`, accountId: uuid(n), password: "pw" }));
+
+describe("DexcomManager", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("polls all patients under the concurrency limit and isolates failures", async () => {
+    const inFlight = { now: 0, max: 0 };
+    const values = Object.fromEntries(accounts.map((a, i) => [a.accountId, [100 + i, i * 5]]));
+    setGlobalFetch(sharePerPatient(values, { failFor: [uuid(3)], inFlight }));
+
+    const updates = [];
+    const mgr = new DexcomManager(accounts, {
+      concurrency: 2,
+      onUpdate: (s) => updates.push(s.id),
+    });
+    assert.deepEqual(
+      mgr.snapshot().map((s) => s.freshness),
+      ["none", "none", "none", "none", "none"],
+    );
+
+    const snaps = await mgr.pollAll();
+    assert.equal(inFlight.max, 2);
+    assert.equal(updates.length, 5);
+    const byId = Object.fromEntries(snaps.map((s) => [s.id, s]));
+    assert.equal(byId.p1.reading.mgDl, 100);
+    assert.equal(byId.p1.freshness, "fresh");
+    assert.equal(byId.p5.freshness, "stale"); // 20 minutes old
+    assert.equal(byId.p3.reading, undefined);
+    assert.match(String(byId.p3.error), /Unexpected server response/);
+    assert.ok(byId.p3.lastPolledAt instanceof Date);
+
+    mgr.remove("p5");
+    assert.equal(mgr.snapshot().length, 4);
+    assert.equal(await mgr.poll("p5"), undefined);
+  });
+
+  it("start() staggers polls over the interval and stop() halts them", async () => {
+    const values = { [uuid(1)]: [90, 0], [uuid(2)]: [95, 0] };
+    setGlobalFetch(sharePerPatient(values));
+    const polled = [];
+    const mgr = new DexcomManager(accounts.slice(0, 2), {
+      pollIntervalMs: 400,
+      onUpdate: (s) => polled.push(s.id),
+    });
+    try {
+      mgr.start();
+      mgr.start(); // idempotent
+      await until(() => polled.length > 0);
+      assert.deepEqual(polled, ["p1"]); // p2 is offset by half an interval
+      await until(() => polled.includes("p2"));
+      mgr.add({ id: "p9", accountId: uuid(2), password: "pw" });
+    } finally {
+      mgr.stop();
+    }
+    const count = polled.length;
+    await delay(60);
+    assert.ok(polled.length <= count + 1, "at most an in-flight poll completes after stop");
+    assert.equal(mgr.snapshot().find((s) => s.id === "p1").reading.mgDl, 90);
+  });
+
+  it("a throwing onUpdate neither rejects poll() nor stops polling", async () => {
+    setGlobalFetch(sharePerPatient({ [uuid(1)]: [90, 0] }));
+    const warnings = [];
+    let calls = 0;
+    const mgr = new DexcomManager(accounts.slice(0, 1), {
+      pollIntervalMs: 10,
+      clientOptions: {
+        logger: { debug() {}, info() {}, warn: (m, d) => warnings.push([m, d]), error() {} },
+      },
+      onUpdate: () => {
+        calls += 1;
+        throw new Error("render failed");
+      },
+    });
+    assert.equal((await mgr.poll("p1")).reading.mgDl, 90);
+    assert.deepEqual(warnings[0], [
+      "dexcom: onUpdate callback threw",
+      { id: "p1", error: "render failed" },
+    ]);
+    try {
+      mgr.start();
+      await until(() => calls >= 4);
+    } finally {
+      mgr.stop();
+    }
+  });
+
+  it("restarting while a poll is in flight keeps one timer per patient", async () => {
+    const inner = sharePerPatient({ [uuid(1)]: [90, 0] });
+    let reads = 0;
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    setGlobalFetch(async (url, init) => {
+      if (reqToString(url).includes("ReadPublisher")) {
+        reads += 1;
+        if (reads === 1) await gate;
+      }
+      return inner(url, init);
+    });
+    const mgr = new DexcomManager(accounts.slice(0, 1), { pollIntervalMs: 50 });
+    let window;
+    try {
+      mgr.start();
+      await until(() => reads === 1);
+      mgr.stop();
+      mgr.start();
+      release();
+      const started = Date.now();
+      await delay(300);
+      window = Date.now() - started;
+    } finally {
+      mgr.stop();
+    }
+    // One chain polls at most once per interval; a duplicate timer would double that.
+    assert.ok(reads - 1 <= Math.floor(window / 50) + 1, `${reads - 1} polls in ${window} ms`);
+  });
+});
@@ -0,0 +1,168 @@
+// Nightscout uploader tests against compiled dist build and a local stand-in server.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { NightscoutUploader, GlucoseReading, toNightscoutEntry } = await import(distEntry);
+
+const SECRET = "averylongsecret";
+const T = 1691455258000;
+const bg = (i, value, trend = "Flat") =>
+  new GlucoseReading({ DT: `Date(${T + i * 300_000}-0400)`, Value: value, Trend: trend });
+
+// Minimal Nightscout stand-in: GET/POST /api/v1/entries
+const entries = [];
+const requests = [];
+const server = createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ method: req.method, path: url.pathname, headers: req.headers, url });
+    if (url.pathname.startsWith("/html/")) {
+      res.writeHead(200, { "content-type": "text/html" }).end("<html>maintenance</html>");
+      return;
+    }
+    const authed =
+      req.headers["api-secret"] === createHash("sha1").update(SECRET).digest("hex") ||
+      url.searchParams.get("token") === "tok-123";
+    if (!authed) {
+      res.writeHead(401).end(JSON.stringify({ status: 401 }));
+      return;
+    }
+    if (req.method === "GET" && url.pathname === "/api/v1/entries/sgv.json") {
+      const newest = [...entries].sort((a, b) => b.date - a.date).slice(0, 1);
+      res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(newest));
+      return;
+    }
+    if (req.method === "POST" && url.pathname === "/api/v1/entries") {
+      const posted = JSON.parse(body);
+      entries.push(...posted);
+      res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(posted));
+      return;
+    }
+    res.writeHead(404).end("{}");
+  });
+});
+let baseUrl = "";
+
+before(
+  () =>
+    new Promise((resolve) =>
+      server.listen(0, "127.0.0.1", () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/`;
+        resolve();
+      }),
+    ),
+);
+after(() => new Promise((resolve) => server.close(resolve)));
+
+describe("Nightscout", () => {
+  it("maps readings to SGV entries", () => {
+    assert.deepEqual(toNightscoutEntry(bg(0, 85, "NotComputable"), "share"), {
+      type: "sgv",
+      sgv: 85,
+      direction: "NOT COMPUTABLE",
+      trend: 8,
+      date: T,
+      dateString: "2023-08-07T20:40:58-04:00",
+      device: "share",
+    });
+    assert.equal(toNightscoutEntry(bg(0, 85, "SingleUp")).direction, "SingleUp");
+  });
+
+  it("uploads with a hashed API secret and de-duplicates", async () => {
+    entries.length = 0;
+    const ns = new NightscoutUploader({ url: baseUrl, apiSecret: SECRET });
+    assert.equal(await ns.lastUploadedAt(), undefined);
+    assert.equal(await ns.upload([bg(1, 90), bg(0, 85), bg(1, 90)]), 2);
+    assert.deepEqual(
+      entries.map((e) => e.sgv),
+      [85, 90],
+    );
+    assert.equal(await ns.upload([bg(1, 90), bg(2, 95)]), 1);
+    assert.equal(await ns.upload([bg(2, 95)]), 0);
+    assert.equal(entries.length, 3);
+
+    // A fresh uploader picks up where the site left off
+    const again = new NightscoutUploader({ url: baseUrl, apiSecret: SECRET });
+    assert.equal((await again.lastUploadedAt()).getTime(), T + 600_000);
+  });
+
+  it("authenticates with a token and backfills via sync()", async () => {
+    entries.length = 0;
+    requests.length = 0;
+    const calls = [];
+    const dex = {
+      getGlucoseReadings: (minutes, maxCount) => {
+        calls.push([minutes, maxCount]);
+        return Promise.resolve([bg(1, 101), bg(0, 100)]);
+      },
+    };
+    const ns = new NightscoutUploader({ url: baseUrl, token: "tok-123", device: "bridge" });
+    assert.equal(await ns.sync(dex), 2);
+    assert.deepEqual(calls, [[1440, 288]]);
+    assert.equal(entries[0].device, "bridge");
+    assert.equal(requests[0].url.searchParams.get("token"), "tok-123");
+    assert.equal(requests[0].headers["api-secret"], undefined);
+
+    // Second sync asks only for the minutes since the last upload (clamped to 24h)
+    assert.equal(await ns.sync(dex), 0);
+    assert.equal(calls[1][0], 1440);
+  });
+
+  it("rejects missing credentials and failed requests", async () => {
+    assert.throws(
+      () => new NightscoutUploader({ url: baseUrl }),
+      /Nightscout API secret or token required/,
+    );
+    const ns = new NightscoutUploader({ url: baseUrl, apiSecret: "wrong" });
+    await assert.rejects(() => ns.upload([bg(0, 85)]), {
+      name: "ServerError",
+      message: /Nightscout request failed/,
+      status: 401,
+      endpoint: "/api/v1/entries/sgv.json",
+      attempts: 1,
+    });
+  });
+
+  it("reports unreachable sites and non-JSON replies with request details", async () => {
+    const retry = { retries: 2, baseDelayMs: 1, maxDelayMs: 5, jitter: false };
+    const down = createServer();
+    await new Promise((resolve) => down.listen(0, "127.0.0.1", resolve));
+    const { port } = down.address();
+    await new Promise((resolve) => down.close(resolve));
+    const offline = new NightscoutUploader({ url: `http://127.0.0.1:${port}`, token: "x", retry });
+    await assert.rejects(
+      () => offline.lastUploadedAt(),
+      (e) => {
+        assert.equal(e.name, "NetworkError");
+        assert.equal(e.endpoint, "/api/v1/entries/sgv.json");
+        assert.equal(e.attempts, 2);
+        assert.ok(e.cause instanceof Error);
+        return true;
+      },
+    );
+
+    const html = new NightscoutUploader({ url: `${baseUrl}html`, apiSecret: SECRET, retry });
+    await assert.rejects(
+      () => html.lastUploadedAt(),
+      (e) => {
+        assert.equal(e.name, "ServerError");
+        assert.match(e.message, /Invalid or malformed JSON/);
+        assert.equal(e.status, 200);
+        assert.equal(e.endpoint, "/html/api/v1/entries/sgv.json");
+        assert.ok(e.cause instanceof SyntaxError);
+        return true;
+      },
+    );
+  });
+});
@@ -0,0 +1,110 @@
+// GlucoseReading serialization tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { GlucoseReading, ArgumentError, DexcomErrorCode } = await import(distEntry);
+
+const T = 1691455258000;
+const raw = {
+  WT: `Date(${T + 1000})`,
+  ST: `Date(${T - 1000})`,
+  DT: `Date(${T}-0400)`,
+  Value: 132,
+  Trend: "FortyFiveUp",
+};
+
+const PUBLIC = [
+  "value",
+  "mgDl",
+  "mmolL",
+  "trend",
+  "trendDirection",
+  "trendArrow",
+  "timezone",
+  "utcOffsetMinutes",
+  "localIso",
+  "clockSkewMs",
+];
+const snapshot = (r) => ({
+  ...Object.fromEntries(PUBLIC.map((k) => [k, r[k]])),
+  datetime: r.datetime.getTime(),
+  systemTime: r.systemTime?.getTime(),
+  wallTime: r.wallTime?.getTime(),
+});
+
+describe("GlucoseReading serialization", () => {
+  it("toJSON gives the versioned shape", () => {
+    const r = new GlucoseReading(raw);
+    assert.deepEqual(r.toJSON(), {
+      version: 1,
+      value: 132,
+      units: "mg/dL",
+      trendDirection: "FortyFiveUp",
+      datetime: "2023-08-08T00:40:58.000Z",
+      timezone: "-0400",
+      systemTime: "2023-08-08T00:40:57.000Z",
+      wallTime: "2023-08-08T00:40:59.000Z",
+    });
+    assert.deepEqual(JSON.parse(JSON.stringify(r)), r.toJSON());
+  });
+
+  it("round-trips through JSON text and plain objects", () => {
+    const r = new GlucoseReading(raw);
+    assert.deepEqual(snapshot(GlucoseReading.fromJSON(JSON.stringify(r))), snapshot(r));
+    assert.deepEqual(snapshot(GlucoseReading.fromObject(structuredClone(r.toJSON()))), snapshot(r));
+
+    const minimal = new GlucoseReading({ DT: `Date(${T}+0530)`, Value: "80", Trend: "None" });
+    assert.equal(minimal.toJSON().systemTime, undefined);
+    assert.deepEqual(snapshot(GlucoseReading.fromJSON(JSON.stringify(minimal))), snapshot(minimal));
+  });
+
+  it("restores a structured clone of an instance", () => {
+    const r = new GlucoseReading({ ...raw, Extra: "kept" });
+    const back = GlucoseReading.fromObject(structuredClone(r));
+    assert.ok(back instanceof GlucoseReading);
+    assert.deepEqual(snapshot(back), snapshot(r));
+    assert.deepEqual(back.json, r.json);
+  });
+
+  it("arrays of readings round-trip", () => {
+    const list = [new GlucoseReading(raw), new GlucoseReading({ ...raw, Value: 90 })];
+    const back = JSON.parse(JSON.stringify(list)).map((o) => GlucoseReading.fromObject(o));
+    assert.deepEqual(back.map(snapshot), list.map(snapshot));
+  });
+
+  it("rejects invalid input with an ArgumentError", () => {
+    const good = new GlucoseReading(raw).toJSON();
+    const bad = [
+      { ...good, version: 2 },
+      { ...good, units: "mmol/L" },
+      { ...good, trendDirection: "Sideways" },
+      { ...good, datetime: "yesterday" },
+      { ...good, timezone: "EST" },
+      { ...good, value: "132" },
+      { _json: { ...raw, Trend: "Sideways" } },
+      null,
+    ];
+    for (const value of bad) {
+      assert.throws(
+        () => GlucoseReading.fromObject(value),
+        (err) => {
+          assert.ok(err instanceof ArgumentError);
+          assert.equal(err.code, DexcomErrorCode.GLUCOSE_READING_INVALID);
+          assert.equal(err.cause?.name, "ZodError");
+          return true;
+        },
+      );
+    }
+    assert.throws(
+      () => GlucoseReading.fromJSON("{not json"),
+      (err) => err instanceof ArgumentError && err.cause instanceof SyntaxError,
+    );
+  });
+});
@@ -0,0 +1,380 @@
+// Keyed session cache tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { setTimeout as delay } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const {
+  Dexcom,
+  Region,
+  MemorySessionCache,
+  KeyedMemorySessionCache,
+  FileSessionCache,
+  RedisSessionCache,
+  fromSessionCache,
+} = await import(distEntry);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function dexErr(code, message, status = 500) {
+  return new Response(JSON.stringify({ Code: code, Message: message }), { status });
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+
+const ACCOUNT = "12345678-90ab-cdef-1234-567890abcdef";
+const reading = [{ DT: "Date(1691455258000-0400)", Value: 100, Trend: "Flat" }];
+
+// Counts calls; login returns a fresh session id each time
+function countingShare() {
+  const calls = { auth: 0, login: 0, read: 0 };
+  setGlobalFetch((url, init) => {
+    const s = reqToString(url);
+    if (s.includes("AuthenticatePublisherAccount")) {
+      calls.auth += 1;
+      return Promise.resolve(ok(ACCOUNT));
+    }
+    if (s.includes("LoginPublisherAccountById")) {
+      calls.login += 1;
+      const n = String(calls.login).padStart(12, "0");
+      calls.lastLogin = JSON.parse(init.body).accountId;
+      return Promise.resolve(ok(`aaaaaaaa-bbbb-cccc-dddd-${n}`));
+    }
+    if (s.includes("ReadPublisherLatestGlucoseValues")) {
+      calls.read += 1;
+      return Promise.resolve(ok(reading));
+    }
+    return Promise.resolve(new Response("{}", { status: 404 }));
+  });
+  return calls;
+}
+
+// Same contract for every keyed adapter
+async function exerciseCache(cache) {
+  assert.equal(await cache.get("a"), null);
+  await cache.set("a", "one", 60_000);
+  await cache.set("b:x/y", "two", 60_000);
+  assert.equal(await cache.get("a"), "one");
+  assert.equal(await cache.get("b:x/y"), "two");
+  await cache.set("a", "uno", 60_000);
+  assert.equal(await cache.get("a"), "uno");
+  await cache.delete("a");
+  await cache.delete("missing");
+  assert.equal(await cache.get("a"), null);
+  await cache.set("short", "gone", 5);
+  await delay(20);
+  assert.equal(await cache.get("short"), null);
+}
+
+describe("Keyed session caches with the client", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("shares one cache between accounts and regions without collisions", async () => {
+    const calls = countingShare();
+    const cache = new KeyedMemorySessionCache();
+    const other = "bbbbbbbb-90ab-cdef-1234-567890abcdef";
+    const a = new Dexcom({ accountId: ACCOUNT, password: "p", cache });
+    const b = new Dexcom({ accountId: other, password: "p", cache });
+    const c = new Dexcom({ accountId: ACCOUNT, password: "p", cache, region: Region.OUS });
+    const a2 = new Dexcom({ accountId: ACCOUNT, password: "p", cache });
+
+    await a.getCurrentGlucoseReading();
+    await b.getCurrentGlucoseReading();
+    await c.getCurrentGlucoseReading();
+    assert.equal(calls.login, 3);
+    await a2.getCurrentGlucoseReading(); // reuses a's session
+    await b.getCurrentGlucoseReading();
+    assert.equal(calls.login, 3);
+    assert.equal(calls.read, 5);
+  });
+
+  it("caches account IDs looked up by username", async () => {
+    const calls = countingShare();
+    const cache = new KeyedMemorySessionCache();
+    await new Dexcom({ username: "Anna@Example.com", password: "p", cache }).getGlucoseReadings();
+    const again = new Dexcom({ username: "anna@example.com", password: "p", cache });
+    await again.getGlucoseReadings();
+    assert.equal(calls.auth, 1);
+    assert.equal(calls.login, 1);
+
+    await cache.delete(`dexcom:session:us:${ACCOUNT}`);
+    const restarted = new Dexcom({ username: "anna@example.com", password: "p", cache });
+    await restarted.getGlucoseReadings();
+    assert.equal(calls.auth, 1, "account ID comes from the cache");
+    assert.equal(calls.login, 2);
+    assert.equal(calls.lastLogin, ACCOUNT);
+  });
+
+  it("forgets a cached account ID that no longer logs in", async () => {
+    const calls = countingShare();
+    const stale = "bbbbbbbb-90ab-cdef-1234-567890abcdef";
+    const shared = globalThis.fetch;
+    setGlobalFetch((url, init) => {
+      if (reqToString(url).includes("LoginPublisherAccountById")) {
+        if (JSON.parse(init.body).accountId === stale) {
+          return Promise.resolve(dexErr("SSO_InternalError", "Cannot Authenticate by AccountId"));
+        }
+      }
+      return shared(url, init);
+    });
+    const cache = new KeyedMemorySessionCache();
+    await cache.set("dexcom:account:us:anna@example.com", stale, 60_000);
+    const options = { username: "anna@example.com", password: "p", cache, retry: { retries: 1 } };
+
+    await assert.rejects(new Dexcom(options).getGlucoseReadings(), { name: "AccountError" });
+    assert.equal(await cache.get("dexcom:account:us:anna@example.com"), null);
+    assert.equal(calls.auth, 0);
+
+    await new Dexcom(options).getGlucoseReadings();
+    assert.equal(calls.auth, 1);
+    assert.equal(calls.lastLogin, ACCOUNT);
+    assert.equal(await cache.get("dexcom:account:us:anna@example.com"), ACCOUNT);
+  });
+
+  it("drops only its own session key on SessionError", async () => {
+    const cache = new KeyedMemorySessionCache();
+    let stale = true;
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("LoginPublisherAccountById"))
+        return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+      if (s.includes("ReadPublisherLatestGlucoseValues") && stale) {
+        stale = false;
+        return Promise.resolve(dexErr("SessionNotValid", "expired", 401));
+      }
+      return Promise.resolve(ok(reading));
+    });
+    await cache.set("unrelated", "keep", 60_000);
+    await cache.set(`dexcom:session:us:${ACCOUNT}`, "11111111-2222-3333-4444-555555555555", 60_000);
+    const dex = new Dexcom({ accountId: ACCOUNT, password: "p", cache });
+    assert.equal((await dex.getCurrentGlucoseReading()).mgDl, 100);
+    assert.equal(await cache.get("unrelated"), "keep");
+    assert.equal(
+      await cache.get(`dexcom:session:us:${ACCOUNT}`),
+      "aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee",
+    );
+  });
+
+  it("keeps working with an unkeyed SessionCache", async () => {
+    const calls = countingShare();
+    const legacy = new MemorySessionCache();
+    await new Dexcom({ username: "u", password: "p", cache: legacy }).getGlucoseReadings();
+    assert.ok(await legacy.get());
+    // A pre-warmed unkeyed cache skips both auth and login
+    await new Dexcom({ username: "u", password: "p", cache: legacy }).getGlucoseReadings();
+    assert.equal(calls.auth, 1);
+    assert.equal(calls.login, 1);
+
+    const view = fromSessionCache(legacy);
+    assert.equal(view.keyed, true);
+    await view.delete("anything");
+    assert.equal(await legacy.get(), null);
+  });
+});
+
+describe("FileSessionCache", () => {
+  it("implements the keyed contract and is shared across instances", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-cache-"));
+    try {
+      const cacheDir = path.join(dir, "nested");
+      await exerciseCache(new FileSessionCache(cacheDir));
+
+      const writer = new FileSessionCache(cacheDir);
+      const reader = new FileSessionCache(cacheDir);
+      await Promise.all(Array.from({ length: 10 }, (_, i) => writer.set(`k${i}`, `v${i}`, 60_000)));
+      assert.equal(await reader.get("k7"), "v7");
+      const files = await readdir(cacheDir);
+      assert.equal(
+        files.some((f) => f.endsWith(".tmp")),
+        false,
+      );
+
+      await writeFile(path.join(cacheDir, "broken.json"), "{not json");
+      assert.equal(await reader.get("broken"), null);
+      for (const json of ["null", "42", '"text"']) {
+        await writeFile(path.join(cacheDir, "odd.json"), json);
+        assert.equal(await reader.get("odd"), null);
+      }
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("creates the directory again after a failed attempt", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "dexcom-cache-"));
+    try {
+      const blocker = path.join(dir, "blocker");
+      await writeFile(blocker, "");
+      const cache = new FileSessionCache(path.join(blocker, "cache"));
+      await assert.rejects(cache.set("k", "v", 60_000), { code: "ENOTDIR" });
+      await rm(blocker);
+      await cache.set("k", "v", 60_000);
+      assert.equal(await cache.get("k"), "v");
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// Minimal in-process stand-in for a Redis server (RESP2, GET/SET PX/DEL/AUTH/SELECT).
+async function startRedisStandIn({ password } = {}) {
+  const data = new Map();
+  const log = [];
+  const sockets = new Set();
+  let silent = false;
+  const server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let authed = !password;
+    let buf = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      for (;;) {
+        const parsed = parseCommand(buf);
+        if (!parsed) break;
+        buf = buf.subarray(parsed.next);
+        const [cmd, ...args] = parsed.args;
+        log.push(cmd);
+        if (silent) continue;
+        const bulk = (v) => (v == null ? "$-1\r\n" : `$${Buffer.byteLength(v)}\r\n${v}\r\n`);
+        if (cmd === "AUTH") {
+          authed = args.at(-1) === password;
+          socket.write(authed ? "+OK\r\n" : "-WRONGPASS invalid password\r\n");
+        } else if (!authed) socket.write("-NOAUTH Authentication required.\r\n");
+        else if (cmd === "SELECT") socket.write("+OK\r\n");
+        else if (cmd === "GET") {
+          const e = data.get(args[0]);
+          socket.write(bulk(e && Date.now() < e.expiresAt ? e.value : null));
+        } else if (cmd === "SET") {
+          data.set(args[0], { value: args[1], expiresAt: Date.now() + Number(args[3]) });
+          socket.write("+OK\r\n");
+        } else if (cmd === "DEL") {
+          socket.write(`:${data.delete(args[0]) ? 1 : 0}\r\n`);
+        } else socket.write("-ERR unknown command\r\n");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: (auth = "", db = "") => `redis://${auth}127.0.0.1:${server.address().port}/${db}`,
+    data,
+    log,
+    dropConnections: () => sockets.forEach((s) => s.destroy()),
+    set silent(value) {
+      silent = value;
+    },
+    close: () => {
+      sockets.forEach((s) => s.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+function parseCommand(buf) {
+  let pos = 0;
+  const line = () => {
+    const eol = buf.indexOf("\r\n", pos);
+    if (eol < 0) return undefined;
+    const text = buf.toString("utf8", pos, eol);
+    pos = eol + 2;
+    return text;
+  };
+  const head = line();
+  if (head === undefined) return undefined;
+  const args = [];
+  for (let i = 0; i < Number(head.slice(1)); i++) {
+    const len = line();
+    if (len === undefined || buf.length < pos + Number(len.slice(1)) + 2) return undefined;
+    args.push(buf.toString("utf8", pos, pos + Number(len.slice(1))));
+    pos += Number(len.slice(1)) + 2;
+  }
+  return { args, next: pos };
+}
+
+describe("RedisSessionCache", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("implements the keyed contract over RESP with AUTH, SELECT and a key prefix", async () => {
+    const redis = await startRedisStandIn({ password: "s3cret" });
+    const cache = new RedisSessionCache({ url: redis.url(":s3cret@", "2"), keyPrefix: "app:" });
+    try {
+      await exerciseCache(cache);
+      assert.equal(redis.data.get("app:b:x/y").value, "two");
+      assert.deepEqual(redis.log.slice(0, 2), ["AUTH", "SELECT"]);
+    } finally {
+      await cache.close();
+      await redis.close();
+    }
+  });
+
+  it("backs the client and reconnects after the connection drops", async () => {
+    const redis = await startRedisStandIn();
+    const calls = countingShare();
+    const cache = new RedisSessionCache({ url: redis.url() });
+    try {
+      await new Dexcom({ username: "u", password: "p", cache }).getGlucoseReadings();
+      assert.equal(redis.data.get("dexcom:account:us:u").value, ACCOUNT);
+      redis.dropConnections();
+      await delay(10);
+      await new Dexcom({ username: "u", password: "p", cache }).getGlucoseReadings();
+      assert.equal(calls.auth, 1);
+      assert.equal(calls.login, 1);
+    } finally {
+      await cache.close();
+      await redis.close();
+    }
+  });
+
+  it("times out a silent server and stops waiting when the call is aborted", async () => {
+    const redis = await startRedisStandIn();
+    const cache = new RedisSessionCache({ url: redis.url(), timeoutMs: 100 });
+    try {
+      await cache.set("a", "one", 60_000);
+      redis.silent = true;
+      const controller = new AbortController();
+      const aborted = cache.get("a", controller.signal);
+      controller.abort();
+      await assert.rejects(aborted, { name: "CancellationError" });
+      await assert.rejects(cache.get("a"), /timed out after 100 ms/);
+
+      redis.silent = false;
+      assert.equal(await cache.get("a"), "one");
+    } finally {
+      await cache.close();
+      await redis.close();
+    }
+  });
+
+  it("rejects on error replies", async () => {
+    const redis = await startRedisStandIn({ password: "right" });
+    const cache = new RedisSessionCache({ url: redis.url(":wrong@") });
+    try {
+      await assert.rejects(cache.get("a"), /WRONGPASS/);
+      const anonymous = new RedisSessionCache({ url: redis.url() });
+      await assert.rejects(anonymous.get("a"), /NOAUTH/);
+      await anonymous.close();
+    } finally {
+      await cache.close();
+      await redis.close();
+    }
+  });
+});
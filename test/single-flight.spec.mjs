@@ -0,0 +1,140 @@
+// Single-flight session acquisition tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { Dexcom, AccountError, MemorySessionCache, KeyedMemorySessionCache } = await import(
+  distEntry
+);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function dexErr(code, message, status = 500) {
+  return new Response(JSON.stringify({ Code: code, Message: message }), { status });
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+
+const ACCOUNT = "12345678-90ab-cdef-1234-567890abcdef";
+const reading = [{ DT: "Date(1691455258000-0400)", Value: 100, Trend: "Flat" }];
+const session = (n) => `aaaaaaaa-bbbb-cccc-dddd-${String(n).padStart(12, "0")}`;
+
+/**
+ * Slow auth/login so concurrent callers overlap. Reads with a session id in
+ * `expired` fail with SessionNotValid.
+ */
+function slowShare({ expired = new Set(), loginFails = 0 } = {}) {
+  const calls = { auth: 0, login: 0, read: 0 };
+  setGlobalFetch(async (url) => {
+    const s = reqToString(url);
+    if (s.includes("AuthenticatePublisherAccount")) {
+      calls.auth += 1;
+      await delay(10);
+      return ok(ACCOUNT);
+    }
+    if (s.includes("LoginPublisherAccountById")) {
+      calls.login += 1;
+      await delay(10);
+      if (calls.login <= loginFails) return dexErr("AccountPasswordInvalid", "bad", 400);
+      return ok(session(calls.login));
+    }
+    if (s.includes("ReadPublisherLatestGlucoseValues")) {
+      calls.read += 1;
+      const id = new URL(s).searchParams.get("sessionId");
+      if (expired.has(id)) return dexErr("SessionNotValid", "expired", 401);
+      return ok(reading);
+    }
+    return new Response("{}", { status: 404 });
+  });
+  return calls;
+}
+
+const times = (n, fn) => Promise.all(Array.from({ length: n }, (_, i) => fn(i)));
+
+describe("Single-flight session acquisition", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("concurrent calls on a cold cache share one authenticate + login", async () => {
+    const calls = slowShare();
+    const dex = new Dexcom({ username: "u", password: "p" });
+    const results = await times(5, () => dex.getCurrentGlucoseReading());
+    assert.ok(results.every((r) => r.mgDl === 100));
+    assert.equal(calls.auth, 1);
+    assert.equal(calls.login, 1);
+    assert.equal(calls.read, 5);
+  });
+
+  it("concurrent SessionError refreshes share one login", async () => {
+    const expired = new Set([session(1)]);
+    const calls = slowShare({ expired });
+    const dex = new Dexcom({ accountId: ACCOUNT, password: "p" });
+    await dex.getCurrentGlucoseReading(); // caches session 1, which then expires
+
+    const results = await times(4, () => dex.getCurrentGlucoseReading());
+    assert.ok(results.every((r) => r.mgDl === 100));
+    assert.equal(calls.login, 2);
+  });
+
+  it("a refresh reuses a session renewed by another caller meanwhile", async () => {
+    const expired = new Set([session(1)]);
+    const calls = slowShare({ expired });
+    const cache = new KeyedMemorySessionCache();
+    const a = new Dexcom({ accountId: ACCOUNT, password: "p", cache });
+    await a.getCurrentGlucoseReading();
+    await a.getCurrentGlucoseReading(); // renews to session 2
+    assert.equal(calls.login, 2);
+
+    // Another client still holding the stale id renews without logging in again
+    const b = new Dexcom({ accountId: ACCOUNT, password: "p", cache });
+    assert.equal(await b["renewSession"](session(1)), session(2));
+    assert.equal(calls.login, 2);
+  });
+
+  it("clients sharing a cache share one login (keyed and unkeyed caches)", async () => {
+    for (const cache of [new KeyedMemorySessionCache(), new MemorySessionCache()]) {
+      const calls = slowShare();
+      const clients = [1, 2, 3].map(() => new Dexcom({ accountId: ACCOUNT, password: "p", cache }));
+      await times(3, (i) => clients[i].getGlucoseReadings());
+      assert.equal(calls.login, 1);
+    }
+  });
+
+  it("clients with separate caches do not share logins", async () => {
+    const calls = slowShare();
+    const clients = [1, 2].map(() => new Dexcom({ accountId: ACCOUNT, password: "p" }));
+    await times(2, (i) => clients[i].getGlucoseReadings());
+    assert.equal(calls.login, 2);
+  });
+
+  it("a failed login rejects every waiter and the next call tries again", async () => {
+    const calls = slowShare({ loginFails: 1 });
+    const dex = new Dexcom({ accountId: ACCOUNT, password: "p" });
+    const results = await Promise.allSettled([
+      dex.getGlucoseReadings(),
+      dex.getGlucoseReadings(),
+      dex.getGlucoseReadings(),
+    ]);
+    assert.ok(results.every((r) => r.status === "rejected" && r.reason instanceof AccountError));
+    assert.equal(calls.login, 1);
+
+    assert.equal((await dex.getCurrentGlucoseReading()).mgDl, 100);
+    assert.equal(calls.login, 2);
+  });
+});
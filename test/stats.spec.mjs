@@ -0,0 +1,73 @@
+// glucoseStatistics tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { glucoseStatistics, GlucoseReading } = await import(distEntry);
+
+const T0 = 1691455258000;
+const MIN = 60_000;
+// One reading per 5-minute slot
+const series = (values) =>
+  values.map(
+    (v, i) => new GlucoseReading({ DT: `Date(${T0 + i * 5 * MIN}-0400)`, Value: v, Trend: "Flat" }),
+  );
+
+describe("glucoseStatistics", () => {
+  it("computes mean, SD, CV, GMI and time in ranges", () => {
+    const s = glucoseStatistics(series([50, 60, 100, 120, 140, 200, 300, 150, 130, 100]));
+    assert.equal(s.count, 10);
+    assert.deepEqual(s.mean, { mgDl: 135, mmolL: 7.5 });
+    assert.equal(s.sd.mgDl, 72.5);
+    assert.equal(s.sd.mmolL, 4);
+    assert.equal(s.cv, 53.7);
+    assert.equal(s.gmi, 6.5); // 3.31 + 0.02392 * 135
+    assert.equal(s.estimatedA1c, 6.3); // (135 + 46.7) / 28.7
+    assert.deepEqual(s.timeInRange, { veryLow: 10, low: 10, inRange: 60, high: 10, veryHigh: 10 });
+    assert.deepEqual(s.sufficiency, { expected: 10, present: 10, percent: 100 });
+  });
+
+  it("accepts cut-offs in mmol/L", () => {
+    const s = glucoseStatistics(series([65, 100, 170]), { units: "mmol/L", low: 3.9, high: 9 });
+    assert.deepEqual(s.timeInRange, {
+      veryLow: 0,
+      low: 33.3,
+      inRange: 33.3,
+      high: 33.3,
+      veryHigh: 0,
+    });
+  });
+
+  it("reports data sufficiency over a given period and ignores duplicates", () => {
+    const readings = series([100, 110, 120]);
+    const s = glucoseStatistics([...readings, readings[0]], {
+      start: new Date(T0),
+      end: new Date(T0 + 55 * MIN),
+    });
+    assert.equal(s.count, 3);
+    assert.deepEqual(s.sufficiency, { expected: 12, present: 3, percent: 25 });
+    assert.equal(glucoseStatistics(series([100])).sd.mgDl, 0);
+    assert.equal(glucoseStatistics([]), undefined);
+  });
+
+  it("leaves readings outside start/end out of every metric", () => {
+    const readings = series([300, 100, 120, 140, 40]);
+    const s = glucoseStatistics(readings, {
+      start: new Date(T0 + 5 * MIN),
+      end: new Date(T0 + 15 * MIN),
+    });
+    assert.equal(s.count, 3);
+    assert.deepEqual(s.mean, { mgDl: 120, mmolL: 6.7 });
+    assert.equal(s.sd.mgDl, 20);
+    assert.equal(s.cv, 16.7);
+    assert.deepEqual(s.timeInRange, { veryLow: 0, low: 0, inRange: 100, high: 0, veryHigh: 0 });
+    assert.deepEqual(s.sufficiency, { expected: 3, present: 3, percent: 100 });
+    assert.equal(glucoseStatistics(readings, { start: new Date(T0 + 60 * MIN) }), undefined);
+  });
+});
@@ -0,0 +1,122 @@
+// Dexcom.getReadingsSince() tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { Dexcom } = await import(distEntry);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+
+const MIN = 60_000;
+const raw = (t, value) => ({ DT: `Date(${t}-0400)`, Value: value, Trend: "Flat" });
+
+describe("Dexcom.getReadingsSince()", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("returns only new readings, requests a minimal window and catches late arrivals", async () => {
+    const now = Date.now();
+    let serverData = [];
+    const requests = [];
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("AuthenticatePublisherAccount"))
+        return Promise.resolve(ok("12345678-90ab-cdef-1234-567890abcdef"));
+      if (s.includes("LoginPublisherAccountById"))
+        return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+      if (s.includes("ReadPublisherLatestGlucoseValues")) {
+        const q = new URL(s).searchParams;
+        requests.push([Number(q.get("minutes")), Number(q.get("maxCount"))]);
+        return Promise.resolve(ok(serverData));
+      }
+      return Promise.resolve(new Response("{}", { status: 404 }));
+    });
+
+    const dex = new Dexcom({ username: "u", password: "p" });
+
+    // First call: full window
+    serverData = [raw(now - 10 * MIN, 110), raw(now - 20 * MIN, 100)];
+    const first = await dex.getReadingsSince();
+    assert.deepEqual(
+      first.readings.map((r) => r.mgDl),
+      [100, 110],
+    );
+    assert.deepEqual(requests[0], [1440, 288]);
+
+    // Second call: only the window since the last reading (+15 min overlap)
+    serverData = [raw(now, 120), raw(now - 5 * MIN, 115), raw(now - 10 * MIN, 110)];
+    const second = await dex.getReadingsSince(first.cursor);
+    assert.deepEqual(
+      second.readings.map((r) => r.mgDl),
+      [115, 120],
+    );
+    const [minutes, maxCount] = requests[1];
+    assert.ok(minutes >= 26 && minutes <= 27, `minutes=${minutes}`); // 25 + 1 margin (+ elapsed)
+    assert.equal(maxCount, Math.ceil(minutes / 5) + 2);
+
+    // A reading older than the last one shows up late: still returned once
+    serverData = [raw(now, 120), raw(now - 2 * MIN, 118), raw(now - 5 * MIN, 115)];
+    const third = await dex.getReadingsSince(second.cursor);
+    assert.deepEqual(
+      third.readings.map((r) => r.mgDl),
+      [118],
+    );
+    const fourth = await dex.getReadingsSince(third.cursor);
+    assert.deepEqual(fourth.readings, []);
+  });
+
+  it("does not let a future-dated reading skip the readings after it", async () => {
+    const now = Date.now();
+    let serverData = [];
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("AuthenticatePublisherAccount"))
+        return Promise.resolve(ok("12345678-90ab-cdef-1234-567890abcdef"));
+      if (s.includes("LoginPublisherAccountById"))
+        return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+      return Promise.resolve(ok(serverData));
+    });
+    const dex = new Dexcom({ username: "u", password: "p" });
+
+    serverData = [raw(now + 30 * MIN, 250), raw(now - 5 * MIN, 110)];
+    const first = await dex.getReadingsSince();
+    assert.deepEqual(
+      first.readings.map((r) => r.mgDl),
+      [110, 250],
+    );
+
+    serverData = [raw(now + 30 * MIN, 250), raw(now + MIN, 115), raw(now - 5 * MIN, 110)];
+    const second = await dex.getReadingsSince(first.cursor);
+    assert.deepEqual(
+      second.readings.map((r) => r.mgDl),
+      [115],
+    );
+  });
+
+  it("rejects malformed cursors", async () => {
+    const dex = new Dexcom({ username: "u", password: "p" });
+    await assert.rejects(() => dex.getReadingsSince("not-a-cursor"), /Sync cursor invalid/);
+    await assert.rejects(
+      () => dex.getReadingsSince(btoa(JSON.stringify({ v: 2 }))),
+      /Sync cursor invalid/,
+    );
+  });
+});
@@ -0,0 +1,229 @@
+// Fake Share server (testing entry point) tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+const testingEntry = path.resolve(__dirname, "../dist/testing.js");
+
+const { Dexcom, AccountError, ArgumentError, SessionError, ServerError, DexcomErrorCode } =
+  await import(distEntry);
+const { FakeShareServer, generateReadings } = await import(testingEntry);
+
+const NOW = Date.UTC(2024, 0, 15, 12, 0, 0);
+const PASSWORD = "pw";
+const fastRetry = { retries: 3, baseDelayMs: 1, maxDelayMs: 5, jitter: false };
+
+function setup(serverOptions = {}, clientOptions = {}) {
+  const share = new FakeShareServer({ now: () => NOW, ...serverOptions });
+  const account = share.addAccount({
+    username: "anna@example.com",
+    password: PASSWORD,
+    readings: generateReadings({ end: NOW, count: 288, seed: 7 }),
+  });
+  const dex = new Dexcom({
+    accountId: account.accountId,
+    password: PASSWORD,
+    retry: fastRetry,
+    transport: { fetch: share.fetch },
+    ...clientOptions,
+  });
+  return { share, account, dex };
+}
+
+describe("generateReadings", () => {
+  it("is deterministic, evenly spaced, in range and trend-annotated", () => {
+    const a = generateReadings({ end: NOW, count: 50, seed: 3 });
+    const b = generateReadings({ end: NOW, count: 50, seed: 3 });
+    assert.deepEqual(a, b);
+    assert.equal(a.length, 50);
+    assert.equal(a.at(-1).datetime, NOW);
+    assert.equal(a[1].datetime - a[0].datetime, 300_000);
+    assert.ok(a.every((r) => r.mgDl >= 40 && r.mgDl <= 400 && typeof r.trend === "string"));
+    const wild = generateReadings({ end: NOW, count: 20, baseMgDl: 450, noiseMgDl: 0 });
+    assert.ok(wild.every((r) => r.mgDl === 400));
+  });
+});
+
+describe("FakeShareServer", () => {
+  it("serves the username -> account -> session -> readings flow", async () => {
+    const { share, account } = setup();
+    const dex = new Dexcom({
+      username: "Anna@Example.com",
+      password: PASSWORD,
+      transport: { fetch: share.fetch },
+    });
+    const readings = await dex.getGlucoseReadings(60, 5);
+    assert.equal(readings.length, 5);
+    assert.equal(readings[0].datetime.getTime(), NOW);
+    assert.ok(readings[0].datetime > readings[1].datetime);
+    assert.equal((await dex.getGlucoseReadings(30, 288)).length, 7);
+    assert.equal(dex.getAccountId, account.accountId);
+    assert.equal(share.count("authenticate"), 1);
+    assert.equal(share.count("login"), 1);
+    assert.equal(share.count("readings"), 2);
+  });
+
+  it("scripted readings and readings as a function of the clock", async () => {
+    const share = new FakeShareServer({ now: () => NOW });
+    const { accountId } = share.addAccount({
+      password: PASSWORD,
+      readings: [
+        { mgDl: 55, trend: "DoubleDown", datetime: new Date(NOW - 60_000), timezone: "-0500" },
+      ],
+    });
+    const dex = new Dexcom({ accountId, password: PASSWORD, transport: { fetch: share.fetch } });
+    const r = await dex.getCurrentGlucoseReading();
+    assert.equal(r.mgDl, 55);
+    assert.equal(r.trendDirection, "DoubleDown");
+    assert.equal(r.timezone, "-0500");
+
+    share.setReadings(accountId, (now) => [{ mgDl: 99, datetime: now }]);
+    assert.equal((await dex.getCurrentGlucoseReading()).mgDl, 99);
+  });
+
+  it("injects every Share error code the client maps", async () => {
+    const cases = [
+      [
+        "AccountPasswordInvalid",
+        "login",
+        AccountError,
+        DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION,
+      ],
+      [
+        "SSO_AuthenticateMaxAttemptsExceeded",
+        "login",
+        AccountError,
+        DexcomErrorCode.ACCOUNT_MAX_ATTEMPTS,
+      ],
+      ["SSO_InternalError", "login", AccountError, DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION],
+      ["InvalidArgument", "login", ArgumentError, DexcomErrorCode.PASSWORD_INVALID],
+      ["UnknownCode", "readings", ServerError, DexcomErrorCode.SERVER_UNKNOWN_CODE],
+      ["malformedJson", "readings", ServerError, DexcomErrorCode.SERVER_INVALID_JSON],
+    ];
+    for (const [fault, endpoint, ErrorClass, code] of cases) {
+      const { share, dex } = setup();
+      share.inject(fault, { endpoint });
+      await assert.rejects(dex.getCurrentGlucoseReading(), (err) => {
+        assert.ok(err instanceof ErrorClass, `${fault}: ${err}`);
+        assert.equal(err.code, code);
+        return true;
+      });
+      assert.equal(share.count(endpoint), 1, `${fault} is not retried`);
+    }
+  });
+
+  it("session errors heal once, and surface when they persist", async () => {
+    for (const fault of ["SessionIdNotFound", "SessionNotValid"]) {
+      const { share, dex } = setup();
+      share.inject(fault, { endpoint: "readings" });
+      assert.ok(await dex.getCurrentGlucoseReading());
+      assert.equal(share.count("login"), 2);
+
+      share.inject(fault, { endpoint: "readings", times: 2 });
+      await assert.rejects(dex.getCurrentGlucoseReading(), SessionError);
+    }
+  });
+
+  it("429 and 5xx are retried; network failures too", async () => {
+    const { share, dex } = setup();
+    share.inject("rateLimit", { endpoint: "readings" });
+    share.inject("serviceUnavailable", { endpoint: "readings" });
+    assert.ok(await dex.getCurrentGlucoseReading());
+    assert.equal(share.count("readings"), 3);
+    assert.equal(share.requests[1].fault, "rateLimit");
+
+    share.inject("network", { endpoint: "readings" });
+    assert.ok(await dex.getCurrentGlucoseReading());
+
+    share.inject({ status: 502 }, { times: Infinity });
+    await assert.rejects(dex.getCurrentGlucoseReading(), { name: "ServerError", status: 502 });
+    share.clearFaults();
+    assert.ok(await dex.getCurrentGlucoseReading());
+  });
+
+  it("expires sessions after N reads, after a TTL, or on demand", async () => {
+    let now = NOW;
+    const { share, dex } = setup({ sessionMaxReads: 2, sessionTtlMs: 60_000, now: () => now });
+    for (let i = 0; i < 3; i++) await dex.getCurrentGlucoseReading();
+    assert.equal(share.count("login"), 2);
+
+    now += 60_000;
+    await dex.getCurrentGlucoseReading();
+    assert.equal(share.count("login"), 3);
+
+    share.expireSessions();
+    await dex.getCurrentGlucoseReading();
+    assert.equal(share.count("login"), 4);
+  });
+
+  it("locks the account after too many wrong passwords", async () => {
+    const { share, account } = setup({ maxFailedLogins: 2 });
+    const wrong = new Dexcom({
+      accountId: account.accountId,
+      password: "nope",
+      transport: { fetch: share.fetch },
+    });
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(wrong.getCurrentGlucoseReading(), {
+        code: DexcomErrorCode.ACCOUNT_FAILED_AUTHENTICATION,
+      });
+    }
+    await assert.rejects(wrong.getCurrentGlucoseReading(), {
+      code: DexcomErrorCode.ACCOUNT_MAX_ATTEMPTS,
+    });
+    const unknown = new Dexcom({
+      username: "nobody",
+      password: PASSWORD,
+      transport: { fetch: share.fetch },
+    });
+    await assert.rejects(unknown.getCurrentGlucoseReading(), AccountError);
+  });
+
+  it("honours latency and the caller's deadline", async () => {
+    const { dex } = setup({ latencyMs: 200 });
+    await assert.rejects(dex.getCurrentGlucoseReading({ timeoutMs: 20 }), {
+      code: DexcomErrorCode.REQUEST_TIMEOUT,
+    });
+  });
+
+  it("listens over HTTP for clients using the global fetch", async () => {
+    const { share, account } = setup();
+    const baseUrl = await share.listen();
+    try {
+      const dex = new Dexcom({
+        accountId: account.accountId,
+        password: PASSWORD,
+        transport: { baseUrl },
+      });
+      assert.equal((await dex.getCurrentGlucoseReading()).datetime.getTime(), NOW);
+
+      share.inject("rateLimit", { endpoint: "readings" });
+      share.inject("network", { endpoint: "readings" });
+      const retrying = new Dexcom({
+        accountId: account.accountId,
+        password: PASSWORD,
+        retry: fastRetry,
+        transport: { baseUrl },
+      });
+      assert.ok(await retrying.getCurrentGlucoseReading());
+      const res = await fetch(new URL("Nope", baseUrl), { method: "POST" });
+      assert.equal(res.status, 404);
+
+      share.setReadings(account.accountId, () => {
+        throw new Error("scenario bug");
+      });
+      await assert.rejects(dex.getCurrentGlucoseReading(), {
+        name: "ServerError",
+        status: 500,
+        serverMessage: "scenario bug",
+      });
+    } finally {
+      await share.close();
+    }
+  });
+});
@@ -0,0 +1,109 @@
+// Injectable transport tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { Dexcom, Region, KeyedMemorySessionCache } = await import(distEntry);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+
+const ACCOUNT = "12345678-90ab-cdef-1234-567890abcdef";
+const reading = [{ DT: "Date(1691455258000-0400)", Value: 100, Trend: "Flat" }];
+
+function recordingFetch() {
+  const requests = [];
+  const fn = (url, init) => {
+    const s = reqToString(url);
+    requests.push({ url: s, init });
+    if (s.includes("AuthenticatePublisherAccount")) return Promise.resolve(ok(ACCOUNT));
+    if (s.includes("LoginPublisherAccountById"))
+      return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+    if (s.includes("ReadPublisherLatestGlucoseValues")) return Promise.resolve(ok(reading));
+    return Promise.resolve(new Response("{}", { status: 404 }));
+  };
+  return { fn, requests };
+}
+
+describe("Transport options", () => {
+  beforeEach(() =>
+    setGlobalFetch(() => Promise.reject(new Error("global fetch must not be used"))),
+  );
+
+  it("sends every endpoint through the custom fetch with extra headers", async () => {
+    const { fn, requests } = recordingFetch();
+    const dex = new Dexcom({
+      username: "u",
+      password: "p",
+      transport: { fetch: fn, headers: { "User-Agent": "my-app/1.0" } },
+    });
+    assert.equal((await dex.getCurrentGlucoseReading({ timeoutMs: 5000 })).mgDl, 100);
+    assert.equal(requests.length, 3);
+    for (const { url, init } of requests) {
+      assert.ok(url.startsWith("https://share2.dexcom.com/ShareWebServices/Services/"));
+      assert.equal(init.headers["User-Agent"], "my-app/1.0");
+      assert.equal(init.headers["Content-Type"], "application/json");
+      assert.ok(init.signal instanceof AbortSignal);
+    }
+  });
+
+  it("overrides the base URL and application ID", async () => {
+    const { fn, requests } = recordingFetch();
+    const dex = new Dexcom({
+      accountId: ACCOUNT,
+      password: "p",
+      region: Region.JP,
+      transport: {
+        fetch: fn,
+        baseUrl: "http://localhost:8080/ShareWebServices/Services",
+        applicationId: "00000000-1111-2222-3333-444444444444",
+      },
+    });
+    await dex.getGlucoseReadings(5, 1);
+    assert.equal(
+      requests[0].url,
+      "http://localhost:8080/ShareWebServices/Services/General/LoginPublisherAccountById",
+    );
+    assert.equal(
+      JSON.parse(requests[0].init.body).applicationId,
+      "00000000-1111-2222-3333-444444444444",
+    );
+  });
+
+  it("keeps sessions for different base URLs apart in a shared cache", async () => {
+    const { fn, requests } = recordingFetch();
+    const cache = new KeyedMemorySessionCache();
+    const mk = (transport) =>
+      new Dexcom({
+        accountId: ACCOUNT,
+        password: "p",
+        cache,
+        transport: { fetch: fn, ...transport },
+      });
+    await mk({}).getGlucoseReadings(5, 1);
+    await mk({ baseUrl: "http://relay.local/" }).getGlucoseReadings(5, 1);
+    await mk({ baseUrl: "http://relay.local" }).getGlucoseReadings(5, 1);
+    const logins = requests.filter((r) => r.url.includes("LoginPublisherAccountById"));
+    assert.equal(logins.length, 2);
+    assert.ok(await cache.get(`dexcom:session:us:${ACCOUNT}`));
+    assert.ok(await cache.get(`dexcom:session:http://relay.local/:${ACCOUNT}`));
+  });
+});
@@ -0,0 +1,156 @@
+// Response validation errors and lenient parsing tests against compiled dist build.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+const testingEntry = path.resolve(__dirname, "../dist/testing.js");
+
+const { Dexcom, DexcomErrorCode, ServerError, ValidationError } = await import(distEntry);
+const { FakeShareServer } = await import(testingEntry);
+
+const READINGS = "Publisher/ReadPublisherLatestGlucoseValues";
+const record = (value, trend, ms = 1691455258000) => ({
+  WT: `Date(${ms})`,
+  ST: `Date(${ms})`,
+  DT: `Date(${ms}-0400)`,
+  Value: value,
+  Trend: trend,
+});
+
+function setup(body) {
+  const share = new FakeShareServer();
+  const { accountId } = share.addAccount({ password: "pw" });
+  const failures = [];
+  const dex = new Dexcom({
+    accountId,
+    password: "pw",
+    transport: { fetch: share.fetch },
+    hooks: { onValidationFailure: (e) => failures.push(e) },
+  });
+  const serve = (records) =>
+    share.inject({ status: 200, body: JSON.stringify(records) }, { endpoint: "readings" });
+  if (body) serve(body);
+  return { share, dex, failures, serve };
+}
+
+const MIXED = [
+  record(120, "Flat", 1691455258000),
+  record(118, "SuperFastUp", 1691454958000),
+  record(115, "FortyFiveDown", 1691454658000),
+];
+
+describe("response validation", () => {
+  it("throws a ValidationError naming the record and field", async () => {
+    const { dex, failures } = setup(MIXED);
+    await assert.rejects(dex.getGlucoseReadings(60, 3), (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.ok(err instanceof ServerError);
+      assert.equal(err.code, DexcomErrorCode.RESPONSE_INVALID);
+      assert.equal(err.endpoint, READINGS);
+      assert.deepEqual(err.issues, [
+        { record: 1, field: "Trend", message: "Unknown trend", received: "SuperFastUp" },
+      ]);
+      assert.equal(
+        err.message,
+        "Invalid response from server: record 1, field Trend: Unknown trend",
+      );
+      assert.ok(err.cause);
+      return true;
+    });
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].issues[0].record, 1);
+  });
+
+  it("a malformed WT or ST does not fail the batch", async () => {
+    const records = [
+      { ...record(120, "Flat"), WT: "Date(garbage)" },
+      { ...record(118, "Flat", 1691454958000), ST: 1691454958000 },
+    ];
+    const { dex, failures } = setup(records);
+    const readings = await dex.getGlucoseReadings(60, 2);
+    assert.deepEqual(
+      readings.map((r) => [r.mgDl, r.wallTime?.getTime(), r.systemTime?.getTime()]),
+      [
+        [120, undefined, 1691455258000],
+        [118, 1691454958000, undefined],
+      ],
+    );
+    assert.deepEqual(failures, []);
+  });
+
+  it("summarizes several issues", async () => {
+    const { dex } = setup([record("abc", "Flat"), { ...record(100, "Nope"), DT: "yesterday" }]);
+    await assert.rejects(dex.getGlucoseReadings(60, 3), (err) => {
+      assert.deepEqual(
+        err.issues.map((i) => [i.record, i.field]),
+        [
+          [0, "Value"],
+          [1, "DT"],
+          [1, "Trend"],
+        ],
+      );
+      assert.match(err.message, /record 0, field Value: .* \(\+2 more\)$/);
+      return true;
+    });
+  });
+
+  it("skip mode drops invalid records", async () => {
+    const { dex, failures } = setup(MIXED);
+    const readings = await dex.getGlucoseReadings(60, 3, { invalidRecords: "skip" });
+    assert.deepEqual(
+      readings.map((r) => [r.mgDl, r.trendDirection]),
+      [
+        [120, "Flat"],
+        [115, "FortyFiveDown"],
+      ],
+    );
+    assert.equal(failures.length, 1);
+  });
+
+  it("quarantine mode returns invalid records next to the readings", async () => {
+    const { dex, failures } = setup(MIXED);
+    const { readings, quarantined } = await dex.getGlucoseReadings(60, 3, {
+      invalidRecords: "quarantine",
+    });
+    assert.equal(readings.length, 2);
+    assert.deepEqual(quarantined, [
+      {
+        index: 1,
+        raw: MIXED[1],
+        issues: [{ record: 1, field: "Trend", message: "Unknown trend", received: "SuperFastUp" }],
+      },
+    ]);
+    assert.match(failures[0].message, /record 1, field Trend/);
+  });
+
+  it("a response that is not a list fails even in lenient modes", async () => {
+    const { dex, serve } = setup({ not: "a list" });
+    await assert.rejects(dex.getGlucoseReadings(60, 3, { invalidRecords: "skip" }), (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.equal(err.issues[0].record, undefined);
+      assert.equal(err.issues[0].field, undefined);
+      return true;
+    });
+    serve([]);
+    assert.deepEqual(await dex.getGlucoseReadings(60, 3, { invalidRecords: "quarantine" }), {
+      readings: [],
+      quarantined: [],
+    });
+  });
+
+  it("login responses are validated too", async () => {
+    const { share, dex } = setup();
+    share.inject({ status: 200, body: "12345" }, { endpoint: "login" });
+    await assert.rejects(dex.getCurrentGlucoseReading(), (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.equal(err.endpoint, "General/LoginPublisherAccountById");
+      assert.equal(err.issues[0].received, 12345);
+      return true;
+    });
+  });
+});
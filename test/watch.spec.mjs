@@ -0,0 +1,152 @@
+// Dexcom.watch() polling tests against compiled dist build.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distEntry = path.resolve(__dirname, "../dist/index.js");
+
+const { Dexcom } = await import(distEntry);
+
+function setGlobalFetch(fn) {
+  const g = globalThis;
+  if (fn) g.fetch = fn;
+  else delete g.fetch;
+}
+function ok(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+function dexErr(code, message, status = 400) {
+  return ok({ Code: code, Message: message }, status);
+}
+function reqToString(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.href;
+  if (input && typeof input === "object" && "url" in input) return input.url;
+  return String(input);
+}
+const raw = (ts, value) => ({ DT: `Date(${ts}-0400)`, Value: value, Trend: "Flat" });
+
+// Fast cadence so tests run in milliseconds
+const fast = { intervalMs: 20, lagMs: 0, minBackoffMs: 5, maxBackoffMs: 10 };
+
+describe("Dexcom.watch()", () => {
+  beforeEach(() => setGlobalFetch(undefined));
+
+  it("yields each new reading once, oldest first, and stops on abort", async () => {
+    const t0 = Date.now();
+    // Each poll returns a growing window (newest first, like Share); duplicates repeat.
+    const polls = [
+      [raw(t0, 100)],
+      [raw(t0, 100)],
+      [raw(t0 + 2, 102), raw(t0 + 1, 101), raw(t0, 100)],
+    ];
+    let reads = 0;
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("AuthenticatePublisherAccount"))
+        return Promise.resolve(ok("12345678-90ab-cdef-1234-567890abcdef"));
+      if (s.includes("LoginPublisherAccountById"))
+        return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+      if (s.includes("ReadPublisherLatestGlucoseValues")) {
+        const body = polls[Math.min(reads, polls.length - 1)];
+        reads += 1;
+        return Promise.resolve(ok(body));
+      }
+      return Promise.resolve(new Response("{}", { status: 404 }));
+    });
+
+    const ac = new AbortController();
+    const dex = new Dexcom({ username: "u", password: "p" });
+    const seen = [];
+    for await (const bg of dex.watch({ ...fast, signal: ac.signal })) {
+      seen.push(bg.mgDl);
+      if (seen.length === 3) ac.abort();
+    }
+    assert.deepEqual(seen, [100, 101, 102]);
+    assert.equal(reads, 3);
+  });
+
+  it("re-authenticates on SessionError while watching", async () => {
+    let logins = 0;
+    let reads = 0;
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("AuthenticatePublisherAccount"))
+        return Promise.resolve(ok("12345678-90ab-cdef-1234-567890abcdef"));
+      if (s.includes("LoginPublisherAccountById")) {
+        logins += 1;
+        return Promise.resolve(
+          ok(`aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeee${String(logins).padStart(2, "0")}`),
+        );
+      }
+      if (s.includes("ReadPublisherLatestGlucoseValues")) {
+        reads += 1;
+        if (reads === 2) return Promise.resolve(dexErr("SessionNotValid", "expired", 401));
+        return Promise.resolve(ok([raw(Date.now(), 90 + reads)]));
+      }
+      return Promise.resolve(new Response("{}", { status: 404 }));
+    });
+
+    const ac = new AbortController();
+    const dex = new Dexcom({ username: "u", password: "p" });
+    const seen = [];
+    for await (const bg of dex.watch({ ...fast, signal: ac.signal })) {
+      seen.push(bg.mgDl);
+      if (seen.length === 2) ac.abort();
+    }
+    assert.deepEqual(seen, [91, 93]);
+    assert.equal(logins, 2);
+  });
+
+  it("throws request errors without onError; reports and continues with it", async () => {
+    let reads = 0;
+    setGlobalFetch((url) => {
+      const s = reqToString(url);
+      if (s.includes("AuthenticatePublisherAccount"))
+        return Promise.resolve(ok("12345678-90ab-cdef-1234-567890abcdef"));
+      if (s.includes("LoginPublisherAccountById"))
+        return Promise.resolve(ok("aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee"));
+      if (s.includes("ReadPublisherLatestGlucoseValues")) {
+        reads += 1;
+        if (reads === 1) return Promise.resolve(new Response("{}", { status: 418 }));
+        return Promise.resolve(ok([raw(Date.now(), 120)]));
+      }
+      return Promise.resolve(new Response("{}", { status: 404 }));
+    });
+
+    const dex = new Dexcom({ username: "u", password: "p" });
+    await assert.rejects(async () => {
+      for await (const _ of dex.watch(fast)) break;
+    }, /Unexpected server response/i);
+
+    reads = 0;
+    const errors = [];
+    const ac = new AbortController();
+    for await (const bg of dex.watch({
+      ...fast,
+      signal: ac.signal,
+      onError: (e) => errors.push(e),
+    })) {
+      assert.equal(bg.mgDl, 120);
+      ac.abort();
+    }
+    assert.equal(errors.length, 1);
+  });
+
+  it("does nothing when the signal is already aborted", async () => {
+    let called = false;
+    setGlobalFetch(() => {
+      called = true;
+      return Promise.resolve(new Response("{}", { status: 500 }));
+    });
+    const dex = new Dexcom({ username: "u", password: "p" });
+    const seen = [];
+    for await (const bg of dex.watch({ signal: AbortSignal.abort() })) seen.push(bg);
+    assert.equal(seen.length, 0);
+    assert.equal(called, false);
+  });
+});